@@ -1,8 +1,217 @@
 // ==================== Configuration ====================
+// Field dictionary of the IBGE census tables, shared by the layers derived
+// from them. Each entry drives popups, the attribute table, the thematic
+// dropdown and exports:
+//   alias     label shown instead of the field name
+//   unit      appended to the label, e.g. 'km²'
+//   type      'code' | 'text' | 'integer' | 'decimal'; codes are never summed or mapped
+//   decimals  fraction digits shown for decimal values
+//   currency  ISO 4217 code for monetary values
+//   group     thematic dropdown group; ungrouped numeric fields go under "Outros atributos"
+const CENSUS_FIELDS = {
+    'CD_SETOR': { alias: 'Código do Setor', type: 'code' },
+    'SITUACAO': { alias: 'Situação', type: 'text' },
+    'CD_SIT': { alias: 'Código da Situação', type: 'code' },
+    'CD_TIPO': { alias: 'Código do Tipo de Setor', type: 'code' },
+    'CD_REGIAO': { alias: 'Código da Região', type: 'code' },
+    'NM_REGIAO': { alias: 'Região', type: 'text' },
+    'CD_UF': { alias: 'Código da UF', type: 'code' },
+    'NM_UF': { alias: 'UF', type: 'text' },
+    'CD_MUN': { alias: 'Código do Município', type: 'code' },
+    'NM_MUN': { alias: 'Município', type: 'text' },
+    'CD_DIST': { alias: 'Código do Distrito', type: 'code' },
+    'NM_DIST': { alias: 'Distrito', type: 'text' },
+    'CD_SUBDIST': { alias: 'Código do Subdistrito', type: 'code' },
+    'NM_SUBDIST': { alias: 'Subdistrito', type: 'text' },
+    'CD_BAIRRO': { alias: 'Código do Bairro', type: 'code' },
+    'NM_BAIRRO': { alias: 'Bairro', type: 'text' },
+    'CD_NU': { alias: 'Código do Núcleo Urbano', type: 'code' },
+    'NM_NU': { alias: 'Núcleo Urbano', type: 'text' },
+    'CD_FCU': { alias: 'Código da Favela ou Comunidade Urbana', type: 'code' },
+    'NM_FCU': { alias: 'Favela ou Comunidade Urbana', type: 'text' },
+    'CD_AGLOM': { alias: 'Código do Aglomerado', type: 'code' },
+    'NM_AGLOM': { alias: 'Aglomerado', type: 'text' },
+    'CD_RGINT': { alias: 'Código da Região Intermediária', type: 'code' },
+    'NM_RGINT': { alias: 'Região Intermediária', type: 'text' },
+    'CD_RGI': { alias: 'Código da Região Imediata', type: 'code' },
+    'NM_RGI': { alias: 'Região Imediata', type: 'text' },
+    'CD_CONCURB': { alias: 'Código da Concentração Urbana', type: 'code' },
+    'NM_CONCURB': { alias: 'Concentração Urbana', type: 'text' },
+    'ID': { alias: 'Identificador', type: 'code' },
+    'ID_SETOR': { alias: 'Identificador do Setor', type: 'text' },
+
+    'v0001': { alias: 'População Total', type: 'integer', group: '📊 Dados Demográficos' },
+    'v0002': { alias: 'Domicílios Particulares Permanentes', type: 'integer', group: '📊 Dados Demográficos' },
+    'v0003': { alias: 'Domicílios Particulares Ocupados', type: 'integer', group: '📊 Dados Demográficos' },
+    'v0004': { alias: 'Domicílios Particulares Vagos', type: 'integer', group: '📊 Dados Demográficos' },
+    'v0005': { alias: 'Moradores por Domicílio', type: 'decimal', decimals: 1, group: '📊 Dados Demográficos' },
+    'v0006': { alias: 'Área Média por Domicílio', unit: 'km²', type: 'decimal', decimals: 4, group: '📊 Dados Demográficos' },
+    'v0007': { alias: 'Densidade Demográfica', unit: 'hab/km²', type: 'decimal', decimals: 0, group: '📊 Dados Demográficos' },
+    'AREA_KM2': { alias: 'Área', unit: 'km²', type: 'decimal', decimals: 4, group: '📊 Dados Demográficos' },
+    'NÚMERO DE RESIDÊNCIAS POR SETOR': { alias: 'Residências', type: 'integer', group: '📊 Dados Demográficos' },
+
+    '15-29 Analfabetos': { alias: 'Analfabetos de 15 a 29 anos', type: 'integer', group: '📚 Educação' },
+    '30-59 Analfabetos': { alias: 'Analfabetos de 30 a 59 anos', type: 'integer', group: '📚 Educação' },
+    '60+ Analfabetos': { alias: 'Analfabetos de 60 anos ou mais', type: 'integer', group: '📚 Educação' },
+    'NÚMERO DE PESSOAS ANALFABETAS POR SETOR': { alias: 'Total de Analfabetos', type: 'integer', group: '📚 Educação' },
+
+    '0 a 4 anos': { alias: '0 a 4 anos', type: 'integer', group: '👶 Faixas Etárias' },
+    '5 a 9 anos': { alias: '5 a 9 anos', type: 'integer', group: '👶 Faixas Etárias' },
+    '9 a 14 anos': { alias: '9 a 14 anos', type: 'integer', group: '👶 Faixas Etárias' },
+    '70 anos +': { alias: '70 anos ou mais', type: 'integer', group: '👶 Faixas Etárias' },
+    'TOTAL DE CRIAÇAS DE 0-14 ANOS E IDOSOS +70 ANOS POR SETOR': { alias: 'Total de crianças (0-14) e idosos (70+)', type: 'integer', group: '👶 Faixas Etárias' },
+
+    'Branca': { alias: 'Branca', type: 'integer', group: '🎨 Raça/Cor' },
+    'Preta': { alias: 'Preta', type: 'integer', group: '🎨 Raça/Cor' },
+    'Amarela': { alias: 'Amarela', type: 'integer', group: '🎨 Raça/Cor' },
+    'Parda': { alias: 'Parda', type: 'integer', group: '🎨 Raça/Cor' },
+    'Indígena': { alias: 'Indígena', type: 'integer', group: '🎨 Raça/Cor' },
+
+    'Pessoas responsáveis em domicílios particulares permanentes ocupados': { alias: 'Pessoas Responsáveis', type: 'integer', group: '💰 Renda' },
+    'Domicílios Particulares Permanentes Ocupados, Quantidade de moradores': { alias: 'Moradores em Domicílios Ocupados', type: 'integer', group: '💰 Renda' },
+    'RENDIMENTO NOMINAL MÉDIO POR SETOR': { alias: 'Valor do rendimento nominal médio mensal', type: 'decimal', decimals: 2, currency: 'BRL', group: '💰 Renda' },
+
+    'Utiliza rede geral de distribuição': { alias: 'Rede Geral', type: 'integer', group: '💧 Água' },
+    'Utiliza poço profundo ou artesiano': { alias: 'Poço Profundo/Artesiano', type: 'integer', group: '💧 Água' },
+    'Utiliza poço raso, freático ou cacimba': { alias: 'Poço Raso/Cacimba', type: 'integer', group: '💧 Água' },
+    'Utiliza fonte, nascente ou mina': { alias: 'Fonte/Nascente', type: 'integer', group: '💧 Água' },
+    'Utiliza carro-pipa': { alias: 'Carro-pipa', type: 'integer', group: '💧 Água' },
+    'Utiliza água da chuva armazenada': { alias: 'Água da Chuva', type: 'integer', group: '💧 Água' },
+    'Utiliza rios, açudes, córregos, lagos e igarapés': { alias: 'Rios/Lagos', type: 'integer', group: '💧 Água' },
+    'Utiliza outra forma de abastecimento de água': { alias: 'Outra Forma de Abastecimento', type: 'integer', group: '💧 Água' },
+    'TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZAM REDE GERAL DE DISTRIBUIÇÃO DE ÁGUA POR SETOR': { alias: 'Residências sem Rede Geral de Água', type: 'integer', group: '💧 Água' },
+
+    'Rede geral ou pluvial': { alias: 'Rede Geral/Pluvial', type: 'integer', group: '🚽 Esgoto' },
+    'fossa séptica ou fossa filtro ligada à rede': { alias: 'Fossa Séptica (ligada)', type: 'integer', group: '🚽 Esgoto' },
+    'fossa séptica ou fossa filtro não ligada à rede': { alias: 'Fossa Séptica (não ligada)', type: 'integer', group: '🚽 Esgoto' },
+    'Fossa rudimentar ou buraco': { alias: 'Fossa Rudimentar', type: 'integer', group: '🚽 Esgoto' },
+    'Vala': { alias: 'Vala', type: 'integer', group: '🚽 Esgoto' },
+    'Rio, lago, córrego ou mar': { alias: 'Rio/Lago/Mar', type: 'integer', group: '🚽 Esgoto' },
+    'outra forma': { alias: 'Outra Forma de Esgotamento', type: 'integer', group: '🚽 Esgoto' },
+    'Destinação do esgoto inexistente, pois não tinham banheiro nem sanitário': { alias: 'Sem Banheiro nem Sanitário', type: 'integer', group: '🚽 Esgoto' },
+    'TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZA REDE DE ESGOTO GERAL OU PLUVIAL POR SETOR': { alias: 'Residências sem Rede de Esgoto', type: 'integer', group: '🚽 Esgoto' },
+
+    'Lixo coletado no domicílio por serviço de limpeza': { alias: 'Coletado no Domicílio', type: 'integer', group: '🗑️ Lixo' },
+    'Lixo depositado em caçamba de serviço de limpeza': { alias: 'Depositado em Caçamba', type: 'integer', group: '🗑️ Lixo' },
+    'Lixo queimado na propriedade': { alias: 'Queimado', type: 'integer', group: '🗑️ Lixo' },
+    'Lixo enterrado na propriedade': { alias: 'Enterrado', type: 'integer', group: '🗑️ Lixo' },
+    'Lixo jogado em terreno baldio, encosta ou área pública': { alias: 'Jogado em Terreno', type: 'integer', group: '🗑️ Lixo' },
+    ' Outro destino do lixo': { alias: 'Outro Destino', type: 'integer', group: '🗑️ Lixo' },
+    'TOTAL DE RESIDÊNCIAS SEM COLETA DE LIXO POR SERVIÇO DE LIMPEZA POR SETOR': { alias: 'Residências sem Coleta de Lixo', type: 'integer', group: '🗑️ Lixo' },
+
+    'Casa': { alias: 'Casa', type: 'integer', group: '🏠 Habitação' },
+    'Casa de vila ou em condomínio': { alias: 'Casa de Vila/Condomínio', type: 'integer', group: '🏠 Habitação' },
+    '  apartamento': { alias: 'Apartamento', type: 'integer', group: '🏠 Habitação' },
+    'habitação em casa de cômodos ou cortiço': { alias: 'Cômodos/Cortiço', type: 'integer', group: '🏠 Habitação' },
+    ' habitação indígena sem paredes ou maloca': { alias: 'Habitação Indígena/Maloca', type: 'integer', group: '🏠 Habitação' },
+    'TOTAL DE ESTRUTURA RESIDENCIAL PERMANENTE DEGRADADA OU INACABADA POR SETOR': { alias: 'Estrutura Degradada', type: 'integer', group: '🏠 Habitação' },
+    'tenda ou barraca de lona, plástico ou tecido': { alias: 'Tenda ou Barraca', type: 'integer', group: '🏠 Habitação' },
+    'dentro de estabelecimento em funcionamento': { alias: 'Dentro de Estabelecimento', type: 'integer', group: '🏠 Habitação' },
+    'abrigo natural e outras estruturas improvisadas': { alias: 'Abrigo Natural', type: 'integer', group: '🏠 Habitação' },
+    'estrutura improvisada em logradouro público, exceto tenda ou barraca': { alias: 'Estrutura em Logradouro Público', type: 'integer', group: '🏠 Habitação' },
+    'estrutura não residencial permanente degradada ou inacabada': { alias: 'Estrutura Não Residencial Degradada', type: 'integer', group: '🏠 Habitação' },
+    'veículo (carro, caminhão, trailer, barco etc)': { alias: 'Veículo', type: 'integer', group: '🏠 Habitação' },
+    'TOTAL DE MORADIAS TEMPORÁRIAS E IMPROVISADAS POR SETOR': { alias: 'Moradias Improvisadas', type: 'integer', group: '🏠 Habitação' }
+};
+
+// deficit_hab was saved as a shapefile, so its field names were cut to 10
+// characters and some accents were lost (�). Each one points at the
+// census field it came from, which also gives the name used in exports.
+const DEFICIT_HAB_SOURCE_FIELDS = {
+    'NÚMERO DE': 'NÚMERO DE RESIDÊNCIAS POR SETOR',
+    '15-29 Anal': '15-29 Analfabetos',
+    '30-59 Anal': '30-59 Analfabetos',
+    '60+ Analfa': '60+ Analfabetos',
+    'NÚMERO _1': 'NÚMERO DE PESSOAS ANALFABETAS POR SETOR',
+    '9 a 14 ano': '9 a 14 anos',
+    'TOTAL DE C': 'TOTAL DE CRIAÇAS DE 0-14 ANOS E IDOSOS +70 ANOS POR SETOR',
+    'Pessoas re': 'Pessoas responsáveis em domicílios particulares permanentes ocupados',
+    'Domicílio': 'Domicílios Particulares Permanentes Ocupados, Quantidade de moradores',
+    'RENDIMENTO': 'RENDIMENTO NOMINAL MÉDIO POR SETOR',
+    'Utiliza re': 'Utiliza rede geral de distribuição',
+    'Utiliza po': 'Utiliza poço profundo ou artesiano',
+    'Utiliza _1': 'Utiliza poço raso, freático ou cacimba',
+    'Utiliza fo': 'Utiliza fonte, nascente ou mina',
+    'Utiliza ca': 'Utiliza carro-pipa',
+    'Utiliza á': 'Utiliza água da chuva armazenada',
+    'Utiliza ri': 'Utiliza rios, açudes, córregos, lagos e igarapés',
+    'Utiliza ou': 'Utiliza outra forma de abastecimento de água',
+    'TOTAL DE R': 'TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZAM REDE GERAL DE DISTRIBUIÇÃO DE ÁGUA POR SETOR',
+    'Rede geral': 'Rede geral ou pluvial',
+    'fossa sép': 'fossa séptica ou fossa filtro ligada à rede',
+    'fossa s�_1': 'fossa séptica ou fossa filtro não ligada à rede',
+    'Fossa rudi': 'Fossa rudimentar ou buraco',
+    'Rio, lago,': 'Rio, lago, córrego ou mar',
+    'outra form': 'outra forma',
+    'Destinaç�': 'Destinação do esgoto inexistente, pois não tinham banheiro nem sanitário',
+    'TOTAL DE_1': 'TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZA REDE DE ESGOTO GERAL OU PLUVIAL POR SETOR',
+    'Lixo colet': 'Lixo coletado no domicílio por serviço de limpeza',
+    'Lixo depos': 'Lixo depositado em caçamba de serviço de limpeza',
+    'Lixo queim': 'Lixo queimado na propriedade',
+    'Lixo enter': 'Lixo enterrado na propriedade',
+    'Lixo jogad': 'Lixo jogado em terreno baldio, encosta ou área pública',
+    ' Outro des': ' Outro destino do lixo',
+    'TOTAL DE_2': 'TOTAL DE RESIDÊNCIAS SEM COLETA DE LIXO POR SERVIÇO DE LIMPEZA POR SETOR',
+    'Casa de vi': 'Casa de vila ou em condomínio',
+    '  apartame': '  apartamento',
+    'habitaçã': 'habitação em casa de cômodos ou cortiço',
+    ' habitaç�': ' habitação indígena sem paredes ou maloca',
+    'TOTAL DE E': 'TOTAL DE ESTRUTURA RESIDENCIAL PERMANENTE DEGRADADA OU INACABADA POR SETOR',
+    'tenda ou b': 'tenda ou barraca de lona, plástico ou tecido',
+    'dentro de': 'dentro de estabelecimento em funcionamento',
+    'abrigo nat': 'abrigo natural e outras estruturas improvisadas',
+    'estrutura': 'estrutura improvisada em logradouro público, exceto tenda ou barraca',
+    'estrutur_1': 'estrutura não residencial permanente degradada ou inacabada',
+    'veículo (': 'veículo (carro, caminhão, trailer, barco etc)',
+    'TOTAL DE M': 'TOTAL DE MORADIAS TEMPORÁRIAS E IMPROVISADAS POR SETOR'
+};
+
+const DEFICIT_HAB_FIELDS = {
+    ...CENSUS_FIELDS,
+    ...Object.fromEntries(Object.entries(DEFICIT_HAB_SOURCE_FIELDS).map(([name, source]) =>
+        [name, { ...CENSUS_FIELDS[source], source }]
+    ))
+};
+
+// Fields shown in the popups of the census layers
+const CENSUS_POPUP_FIELDS = [
+    'CD_SETOR', 'NM_MUN', 'NM_DIST', 'NM_BAIRRO', 'AREA_KM2',
+    'v0001', 'v0002', 'v0003', 'v0004', 'v0005', 'v0006', 'v0007'
+];
+
+// Output reference systems offered for export, with the ESRI WKT written to
+// shapefile .prj files
+const SIRGAS_2000_GEOGCS = 'GEOGCS["GCS_SIRGAS_2000",DATUM["D_SIRGAS_2000",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const EXPORT_CRS = {
+    'EPSG:4674': {
+        name: 'SIRGAS 2000 — geográficas (EPSG:4674)',
+        prj: SIRGAS_2000_GEOGCS
+    },
+    'EPSG:4326': {
+        name: 'WGS 84 — geográficas (EPSG:4326)',
+        prj: 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+    },
+    'EPSG:31983': {
+        name: 'SIRGAS 2000 / UTM 23S (EPSG:31983)',
+        prj: `PROJCS["SIRGAS_2000_UTM_Zone_23S",${SIRGAS_2000_GEOGCS},PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",10000000.0],PARAMETER["Central_Meridian",-45.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]`
+    }
+};
+
 const CONFIG = {
     center: [-22.6444, -43.6517], // Japeri coordinates [lat, lng] (Approximate center)
     zoom: 12,
+    // Municipal boundary box [[south, west], [north, east]], covered by offline basemap downloads
+    extent: [[-22.725, -43.675], [-22.615, -43.530]],
     minZoom: 10,
+    // Numeric identifiers that make no sense as thematic attributes
+    thematicExcludeFields: /^(CD_|ID$|ID_)/,
+    // Assumed CRS for files without a crs member whose coordinates are projected
+    defaultProjectedCrs: 'EPSG:31983',
+    // Layers with more vertices than this are drawn on canvas, with geometry
+    // simplified to the zoom level (see Layer Rendering)
+    largeLayerVertices: 10000,
+    // Data credit printed on map layouts
+    dataSource: 'IBGE — Censo Demográfico 2022',
     maxZoom: 18,
     basemaps: {
         streets: {
@@ -18,33 +227,158 @@ const CONFIG = {
             attribution: '© OpenTopoMap contributors'
         }
     },
+    // Layer registry. Each entry declares everything the app needs to load,
+    // style and describe a dataset, so adding a layer is a config change:
+    //   file          GeoJSON path; null for layers created in the browser. QGIS sidecars
+    //                 with the same base name are read when present: .qmd metadata for the
+    //                 layer info panel and a .qml renderer (see QGIS Styles & Metadata)
+    //   service       OGC source used instead of a file (see External Services):
+    //                 { type: 'wms', url, layers, styles, format, version, queryable, infoFormat }
+    //                 or { type: 'wfs', url, typeName, version }; saved marks the ones
+    //                 added through the services dialog and kept in localStorage
+    //   name          label shown in the layer list
+    //   description   text shown in the "Sobre" modal
+    //   color         base color (fill and stroke)
+    //   crs           source CRS override, e.g. 'EPSG:31983' (null = read the file's crs member)
+    //   labelField    property shown as a permanent label on each feature
+    //   style         overrides merged into the default polygon style
+    //   pointStyle    overrides merged into the default circle marker style
+    //   fields        field dictionary: alias, unit, type, decimals, currency and
+    //                 thematic group of each field (see CENSUS_FIELDS)
+    //   popup         titleField / title fallback / keys of the fields shown in the popup;
+    //                 useSelectedAttributes filters fields by #attributesList
+    //   searchFields  properties indexed by the search box
+    //   visible       checked and loaded on startup
+    //   panels        sidebar sections shown while the layer is active
+    //   pointDisplay  initial display of point layers: 'markers', 'cluster' or 'heatmap'
+    //                 (see Point Layers); the layer list switches it
     layers: {
         bairros: {
             file: 'data/bairros_jap.geojson',
+            name: 'Bairros',
+            description: 'Divisão administrativa dos bairros do município',
             color: '#667eea',
-            name: 'Bairros'
+            crs: null,
+            labelField: 'NM_BAIRRO',
+            style: { color: '#000000', weight: 2 },
+            fields: CENSUS_FIELDS,
+            popup: { titleField: 'NM_BAIRRO', title: 'Bairro', fields: CENSUS_POPUP_FIELDS },
+            searchFields: ['NM_BAIRRO', 'CD_BAIRRO'],
+            visible: true,
+            panels: ['thematicMappingPanel', 'queryBuilderPanel']
         },
         setores: {
             file: 'data/setores1_jap.geojson',
+            name: 'Setores Censitários',
+            description: 'Unidades territoriais do IBGE para coleta de dados',
             color: '#f093fb',
-            name: 'Setores Censitários'
+            crs: null,
+            labelField: null,
+            style: {},
+            fields: CENSUS_FIELDS,
+            popup: { titleField: 'NM_BAIRRO', title: 'Setor Censitário', fields: CENSUS_POPUP_FIELDS, useSelectedAttributes: true },
+            searchFields: ['CD_SETOR', 'ID_SETOR', 'NM_BAIRRO'],
+            visible: false,
+            panels: ['attributeSelector', 'thematicMappingPanel', 'queryBuilderPanel']
         },
         urb_rur: {
             file: 'data/urb_rur_jap.geojson',
+            name: 'Urbano / Rural',
+            description: 'Classificação das áreas urbanas e rurais',
             color: '#4facfe',
-            name: 'Urbano / Rural'
+            crs: null,
+            labelField: null,
+            style: {},
+            fields: CENSUS_FIELDS,
+            popup: { titleField: 'NM_BAIRRO', title: 'Situação', fields: CENSUS_POPUP_FIELDS },
+            searchFields: ['SITUACAO', 'CD_SETOR'],
+            visible: false,
+            panels: ['thematicMappingPanel', 'queryBuilderPanel']
         },
         deficit_hab: {
             file: 'data/deficit_hab_jap.geojson',
+            name: 'Déficit Habitacional',
+            description: 'Indicadores de necessidade habitacional',
             color: '#fa709a',
-            name: 'Déficit Habitacional'
+            crs: null,
+            labelField: null,
+            style: {},
+            fields: DEFICIT_HAB_FIELDS,
+            popup: { titleField: 'NM_BAIRRO', title: 'Setor Censitário', fields: CENSUS_POPUP_FIELDS },
+            searchFields: ['CD_SETOR', 'ID_SETOR', 'NM_BAIRRO'],
+            visible: false,
+            panels: ['thematicMappingPanel', 'queryBuilderPanel']
         },
         residencia: {
             file: 'data/residencias_jap.geojson',
+            name: 'Residências',
+            description: 'Localização das unidades residenciais',
             color: '#43e97b',
-            name: 'Residências'
+            crs: null,
+            labelField: null,
+            pointStyle: {},
+            fields: CENSUS_FIELDS,
+            popup: { titleField: null, title: 'Residência', fields: CENSUS_POPUP_FIELDS },
+            searchFields: null,
+            pointDisplay: 'cluster',
+            visible: false,
+            panels: ['queryBuilderPanel']
         }
-    }
+    },
+    // Named indicators derived from layer fields (see Indicator Expressions).
+    // Fields with spaces or punctuation go in [brackets]; an indicator is offered
+    // for every layer that has all the fields it references.
+    indicators: [
+        {
+            id: 'deficit_esgoto',
+            name: 'Déficit de esgotamento sanitário',
+            expression: '100 * ([Fossa rudimentar ou buraco] + [Vala] + [Rio, lago, córrego ou mar] + [outra forma] + [Destinação do esgoto inexistente, pois não tinham banheiro nem sanitário]) / v0003',
+            unit: '%',
+            decimals: 1
+        },
+        {
+            id: 'sem_rede_agua',
+            name: 'Domicílios sem rede geral de água',
+            expression: '100 * [TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZAM REDE GERAL DE DISTRIBUIÇÃO DE ÁGUA POR SETOR] / v0003',
+            unit: '%',
+            decimals: 1
+        },
+        {
+            id: 'sem_coleta_lixo',
+            name: 'Domicílios sem coleta de lixo',
+            expression: '100 * [TOTAL DE RESIDÊNCIAS SEM COLETA DE LIXO POR SERVIÇO DE LIMPEZA POR SETOR] / v0003',
+            unit: '%',
+            decimals: 1
+        },
+        {
+            id: 'lixo_queimado',
+            name: 'Domicílios que queimam o lixo',
+            expression: '100 * [Lixo queimado na propriedade] / v0003',
+            unit: '%',
+            decimals: 1
+        },
+        {
+            id: 'taxa_analfabetismo',
+            name: 'Analfabetos por mil habitantes',
+            expression: '1000 * [NÚMERO DE PESSOAS ANALFABETAS POR SETOR] / v0001',
+            unit: '‰',
+            decimals: 1
+        },
+        {
+            id: 'dependentes',
+            name: 'Crianças (0-14) e idosos (70+)',
+            expression: '100 * [TOTAL DE CRIAÇAS DE 0-14 ANOS E IDOSOS +70 ANOS POR SETOR] / v0001',
+            unit: '%',
+            decimals: 1
+        },
+        {
+            id: 'densidade_domicilios',
+            name: 'Densidade de domicílios',
+            expression: 'v0002 / AREA_KM2',
+            unit: 'dom./km²',
+            decimals: 0
+        }
+    ]
 };
 
 // ==================== Global Variables ====================
@@ -52,26 +386,56 @@ let map;
 let currentBasemap = 'streets';
 let basemapLayers = {};
 let dataLayers = {};
+let wmsLayers = {};
+// Layers drawn with simplified geometries: { levels, indexes, level } (see Layer Rendering)
+let simplifiedLayers = {};
+let canvasRenderer = null;
+let layerWorker = null;
+let layerWorkerRequestId = 0;
+const layerWorkerRequests = new Map();
 let loadingIndicator;
 let selectedAttributes = new Set(['CD_SETOR', 'NM_MUN', 'NM_DIST', 'AREA_KM2', 'v0001', 'v0002', 'v0007']);
 
 // ==================== Initialize Map ====================
 function initMap() {
+    // View and basemap shared through the URL hash (see URL State)
+    const urlState = parseUrlState(window.location.hash);
+
     // Create map
     map = L.map('map', {
-        center: CONFIG.center,
-        zoom: CONFIG.zoom,
+        center: urlState.center || CONFIG.center,
+        zoom: urlState.zoom ?? CONFIG.zoom,
         minZoom: CONFIG.minZoom,
         maxZoom: CONFIG.maxZoom,
         zoomControl: false,
         attributionControl: true
     });
 
+    // Register the reference systems used by the data layers (see geodata.js)
+    registerProjections();
+
+    // Large layers switch to the simplified geometries of the new zoom
+    map.on('zoomend', updateSimplifiedLayers);
+
+    // The swipe clip and the side-by-side map follow the view (see Map Comparison)
+    map.on('move', handleCompareMapMove);
+    map.on('resize', updateSwipeClip);
+
     // Add initial basemap
-    addBasemap('streets');
+    addBasemap(urlState.basemap || 'streets');
+
+    // Build the layer list from the registry
+    buildLayerList();
+
+    // Load data layers, then restore the rest of the URL state and keep the
+    // layer files for offline use (see Offline Use)
+    loadDataLayers().then(restoreUrlState).then(() => cacheLayerFiles());
 
-    // Load data layers
-    loadDataLayers();
+    // Measurement and drawing layers, with the annotations saved earlier
+    initMapTools();
+
+    // GetFeatureInfo on click and bbox refresh of WFS layers
+    initExternalServices();
 
     // Setup event listeners
     setupEventListeners();
@@ -95,6 +459,12 @@ function addBasemap(basemapName) {
 
     basemapLayers[basemapName].addTo(map);
     currentBasemap = basemapName;
+    scheduleUrlStateUpdate();
+
+    // While comparing, the legend names the basemap of each side
+    if (compareState.mode !== 'off') {
+        updateLegend();
+    }
 
     // Update UI
     document.querySelectorAll('.basemap-option').forEach(option => {
@@ -103,142 +473,644 @@ function addBasemap(basemapName) {
     document.querySelector(`[data-basemap="${basemapName}"]`).classList.add('active');
 }
 
+// ==================== Layer List ====================
+function buildLayerList() {
+    const layersList = document.getElementById('layersList');
+    const layersInfoList = document.getElementById('layersInfoList');
+    layersList.innerHTML = '';
+    layersInfoList.innerHTML = '';
+
+    const initialLayers = getInitialLayerNames();
+
+    for (const layerName of Object.keys(CONFIG.layers)) {
+        addLayerListItem(layerName, initialLayers.includes(layerName));
+    }
+}
+
+function addLayerListItem(layerName, checked) {
+    const config = CONFIG.layers[layerName];
+
+    const item = document.createElement('div');
+    item.className = 'layer-item';
+    item.dataset.layer = layerName;
+    item.innerHTML = `
+        <label class="layer-checkbox">
+            <input type="checkbox" id="layer-${layerName}"${checked ? ' checked' : ''}>
+            <span class="checkmark"></span>
+        </label>
+        <div class="layer-info">
+            <span class="layer-name">${escapeXml(config.name)}</span>
+            <span class="layer-status"></span>
+            <button class="layer-action-btn layer-retry-btn" title="Tentar carregar novamente" style="display: none;">
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                    <path d="M13.5 8A5.5 5.5 0 1 1 11.5 3.8M13.5 2V5.5H10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" />
+                </svg>
+            </button>
+            ${config.file ? `
+            <span class="layer-offline-badge" style="display: none;">
+                <svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+                    <path d="M4.5 12.5H12A3 3 0 0 0 12 6.5 4.5 4.5 0 0 0 3.5 7.5 2.5 2.5 0 0 0 4.5 12.5Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" />
+                    <path d="M6 9.5L7.5 11L10 8.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" />
+                </svg>
+            </span>` : ''}
+            <button class="layer-action-btn layer-metadata-btn" title="Metadados da camada">
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                    <circle cx="8" cy="8" r="6.5" stroke="currentColor" stroke-width="1.5" />
+                    <path d="M8 7V11.5M8 4.5V5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" />
+                </svg>
+            </button>
+            ${config.service?.type === 'wms' ? '' : `
+            <button class="layer-action-btn layer-chart-btn" title="Abrir gráficos">
+                <svg width="14" height="14" viewBox="0 0 18 18" fill="none">
+                    <path d="M2 16H16M4 16V10M8 16V4M12 16V8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" />
+                </svg>
+            </button>
+            <button class="layer-action-btn layer-table-btn" title="Abrir tabela de atributos">
+                <svg width="14" height="14" viewBox="0 0 18 18" fill="none">
+                    <rect x="2" y="2" width="14" height="14" rx="2" stroke="currentColor" stroke-width="1.5" />
+                    <path d="M2 7H16M2 11H16M7 7V16" stroke="currentColor" stroke-width="1.5" />
+                </svg>
+            </button>`}
+            ${config.file || (config.service && !config.service.saved) ? '' : `
+            <button class="layer-action-btn layer-remove-btn" title="Remover camada">
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                    <path d="M3 3L13 13M3 13L13 3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" />
+                </svg>
+            </button>`}
+            <span class="layer-color" style="background: ${config.color};"></span>
+        </div>
+    `;
+    item.querySelector('.layer-table-btn')?.addEventListener('click', async () => {
+        await showLayer(layerName);
+        openAttributeTable(layerName);
+    });
+    item.querySelector('.layer-chart-btn')?.addEventListener('click', async () => {
+        await showLayer(layerName);
+        openChartPanel(layerName);
+    });
+    item.querySelector('.layer-metadata-btn').addEventListener('click', () => openLayerMetadata(layerName));
+    item.querySelector('.layer-retry-btn').addEventListener('click', () => showLayer(layerName));
+    item.querySelector('.layer-status').addEventListener('click', (e) => {
+        if (e.currentTarget.classList.contains('has-issues')) openLayerMetadata(layerName);
+    });
+    item.querySelector('.layer-remove-btn')?.addEventListener('click', () => removeMemoryLayer(layerName));
+    document.getElementById('layersList').appendChild(item);
+
+    const infoItem = document.createElement('li');
+    infoItem.dataset.layer = layerName;
+    infoItem.innerHTML = `<strong>${escapeXml(config.name)}:</strong> ${escapeXml(config.description || '')}`;
+    document.getElementById('layersInfoList').appendChild(infoItem);
+
+    // Memory layers of points are created before their list item
+    renderPointLayerControls(layerName);
+
+    // New layers can also be drawn on the right side of a comparison
+    renderComparePanel();
+}
+
+// Check and load a layer before opening one of its panels
+async function showLayer(layerName) {
+    // Retry actions may outlive layers removed in the meantime
+    const checkbox = document.getElementById(`layer-${layerName}`);
+    if (checkbox && !checkbox.checked) {
+        checkbox.checked = true;
+        await setLayerVisibility(layerName, true);
+    }
+}
+
+async function setLayerVisibility(layerName, visible) {
+    if (visible) {
+        showLoading();
+        await loadLayer(layerName);
+        hideLoading();
+        if (!getMapLayer(layerName)) return;
+
+        getMapLayer(layerName).addTo(map);
+
+        // Show the sidebar panels declared for this layer
+        showLayerPanels(layerName);
+    } else {
+        if (getMapLayer(layerName)) {
+            map.removeLayer(getMapLayer(layerName));
+        }
+
+        hideLayerPanels(layerName);
+    }
+
+    scheduleUrlStateUpdate();
+}
+
+function showLayerPanels(layerName) {
+    const config = CONFIG.layers[layerName];
+
+    config.panels.forEach(panelId => {
+        document.getElementById(panelId).style.display = 'block';
+    });
+
+    if (config.panels.includes('thematicMappingPanel')) {
+        refreshThematicLayerSelect();
+    }
+    if (config.panels.includes('attributeSelector')) {
+        buildAttributesList();
+    }
+    if (config.panels.includes('queryBuilderPanel')) {
+        refreshQueryLayerSelect();
+    }
+    refreshTableLayerSelect();
+    refreshAggregationPanel();
+    refreshChartPanel();
+    updateLegend();
+}
+
+function hideLayerPanels(layerName) {
+    const config = CONFIG.layers[layerName];
+
+    // Reset thematic mapping of the layer if active
+    if (config.panels.includes('thematicMappingPanel')) {
+        resetThematicMapping(layerName);
+    }
+
+    // Drop the attribute query of the layer
+    if (config.panels.includes('queryBuilderPanel')) {
+        clearQuery(layerName);
+    }
+
+    // Close the attribute grid showing this layer
+    if (attributeTable.layerName === layerName) {
+        closeAttributeTable();
+    }
+
+    // Keep panels that another active layer (or the open grid) still declares
+    const activePanels = new Set(Object.keys(CONFIG.layers)
+        .filter(name => name !== layerName && isDataLayerActive(name))
+        .flatMap(name => CONFIG.layers[name].panels));
+    if (attributeTable.layerName) {
+        activePanels.add('attributeSelector');
+    }
+
+    config.panels.forEach(panelId => {
+        if (!activePanels.has(panelId)) {
+            document.getElementById(panelId).style.display = 'none';
+        }
+    });
+
+    if (config.panels.includes('thematicMappingPanel')) {
+        refreshThematicLayerSelect();
+    }
+    if (config.panels.includes('attributeSelector')) {
+        buildAttributesList();
+    }
+    if (config.panels.includes('queryBuilderPanel')) {
+        refreshQueryLayerSelect();
+    }
+    refreshAggregationPanel();
+    refreshChartPanel();
+    updateLegend();
+}
+
+// Numeric attributes present in a loaded layer (every non-empty value parses as a number),
+// leaving out fields the dictionary declares as codes or text
+function getNumericFields(layerName) {
+    const layer = dataLayers[layerName];
+    if (!layer) return [];
+
+    const candidates = new Map();
+    layer.eachLayer(featureLayer => {
+        for (const [key, value] of Object.entries(featureLayer.feature.properties)) {
+            if (CONFIG.thematicExcludeFields.test(key) || !isNumericFieldType(key, layerName)) continue;
+            if (value === null || value === undefined || value === '') continue;
+
+            const isNumeric = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+            candidates.set(key, (candidates.get(key) ?? true) && isNumeric);
+        }
+    });
+
+    return [...candidates].filter(([, isNumeric]) => isNumeric).map(([key]) => key);
+}
+
+// Denominators offered first when normalizing a thematic attribute
+const COMMON_DENOMINATORS = ['v0001', 'v0002', 'v0003', 'AREA_KM2'];
+
+// Append grouped <option>s for the fields still in `available`, removing them as they are used
+function appendFieldOptions(select, group, fields, available) {
+    const entries = Object.entries(fields).filter(([key]) => available.has(key));
+    if (entries.length === 0) return;
+
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group;
+    for (const [key, label] of entries) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        optgroup.appendChild(option);
+        available.delete(key);
+    }
+    select.appendChild(optgroup);
+}
+
+// Indicators and numeric fields of the layer, grouped and labelled by its field dictionary
+function appendNumericFieldOptions(select, layerName, numericFields = getNumericFields(layerName)) {
+    const getLabels = keys => Object.fromEntries(keys.map(key => [key, getFieldLabel(key, layerName)]));
+
+    // Indicators applicable to this layer
+    const indicators = Object.fromEntries(getLayerIndicators(layerName).map(indicator =>
+        [INDICATOR_PREFIX + indicator.id, indicator.unit ? `${indicator.name} (${indicator.unit})` : indicator.name]
+    ));
+    appendFieldOptions(select, '🧮 Indicadores', indicators, new Set(Object.keys(indicators)));
+
+    const available = new Set(numericFields);
+    getFieldGroups(layerName).forEach(({ group, fields }) => appendFieldOptions(select, group, getLabels(fields), available));
+
+    // Remaining numeric fields, without a group in the dictionary
+    appendFieldOptions(select, '🔢 Outros atributos', getLabels([...available]), available);
+}
+
+// Build the thematic attribute and normalization dropdowns of the layer
+function buildThematicSelect(layerName) {
+    const select = document.getElementById('thematicAttributeSelect');
+    const normalizeSelect = document.getElementById('normalizeSelect');
+    select.innerHTML = '<option value="">-- Nenhum (cores padrão) --</option>';
+    normalizeSelect.innerHTML = '<option value="">-- Sem normalização --</option>';
+
+    const numericFields = getNumericFields(layerName);
+    const getLabels = keys => Object.fromEntries(keys.map(key => [key, getFieldLabel(key, layerName)]));
+    appendNumericFieldOptions(select, layerName, numericFields);
+
+    // Denominators: the usual census totals first, then every other numeric field
+    const denominators = new Set(numericFields);
+    appendFieldOptions(normalizeSelect, 'Denominadores comuns', getLabels(COMMON_DENOMINATORS), denominators);
+    appendFieldOptions(normalizeSelect, 'Outros atributos', getLabels([...denominators]), denominators);
+}
+
 // ==================== Data Layer Management ====================
 async function loadDataLayers() {
     showLoading();
 
     try {
-        // Load bairros layer by default
-        await loadLayer('bairros');
+        // Load the layers listed in the URL, or those flagged as visible in the registry
+        const initialLayers = getInitialLayerNames();
+        for (const layerName of initialLayers) {
+            await loadLayer(layerName);
+            if (getMapLayer(layerName)) {
+                showLayerPanels(layerName);
+            }
+        }
         hideLoading();
     } catch (error) {
         console.error('Error loading initial layers:', error);
         hideLoading();
-        alert('Erro ao carregar camadas. Verifique o console para mais detalhes.');
+        notify('Erro ao carregar camadas.', 'error', { detail: error.message });
     }
 }
 
+// Failures are reported, not thrown: the layer is left unchecked with a retry
+// button in the layer list, and getMapLayer stays empty
 async function loadLayer(layerName) {
-    if (dataLayers[layerName]) {
+    if (getMapLayer(layerName)) {
         return; // Already loaded
     }
 
+    const config = CONFIG.layers[layerName];
+    setLayerStatus(layerName, 'loading');
+
     try {
-        const config = CONFIG.layers[layerName];
-        console.log(`Loading layer: ${layerName} from ${config.file}`);
+        const layer = config.service ? await loadServiceLayer(layerName) : await loadFileLayer(layerName);
+        setLayerStatus(layerName, 'loaded');
+
+        // Add to map if checkbox is checked
+        const checkbox = document.getElementById(`layer-${layerName}`);
+        if (checkbox && checkbox.checked) {
+            getMapLayer(layerName).addTo(map);
+            console.log(`Layer ${layerName} added to map`);
+        }
 
-        const response = await fetch(config.file);
+        return layer;
+    } catch (error) {
+        console.error(`Error loading layer ${layerName}:`, error);
+        setLayerStatus(layerName, 'failed', error.message);
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const checkbox = document.getElementById(`layer-${layerName}`);
+        if (checkbox) {
+            checkbox.checked = false;
         }
+        notify(`Erro ao carregar a camada ${config.name}: ${error.message}`, 'error', {
+            detail: config.service ?
+                `Verifique se o serviço ${getServiceBaseUrl(config.service.url)} está acessível.` :
+                `Verifique se o arquivo ${config.file} existe.`,
+            action: { label: 'Tentar novamente', handler: () => showLayer(layerName) }
+        });
+    }
+}
 
-        const geojsonData = await response.json();
-        console.log(`Layer ${layerName} loaded successfully with ${geojsonData.features?.length || 0} features`);
-
-        // Check if coordinates need reprojection (for deficit_hab layer)
-        if (layerName === 'deficit_hab' && geojsonData.features.length > 0) {
-            const firstCoord = geojsonData.features[0].geometry.coordinates[0][0][0];
-
-            // If coordinates are very large (> 180), they're likely in UTM projection
-            if (Math.abs(firstCoord[0]) > 180) {
-                console.log('Reprojecting deficit_hab coordinates from UTM to WGS84...');
-
-                // Define UTM Zone 23S projection (EPSG:31983 - SIRGAS 2000)
-                proj4.defs("EPSG:31983", "+proj=utm +zone=23 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs");
-
-                // Reproject all coordinates
-                geojsonData.features.forEach(feature => {
-                    if (feature.geometry.type === 'MultiPolygon') {
-                        feature.geometry.coordinates = feature.geometry.coordinates.map(polygon =>
-                            polygon.map(ring =>
-                                ring.map(coord => {
-                                    const [lng, lat] = proj4('EPSG:31983', 'EPSG:4326', coord);
-                                    return [lng, lat];
-                                })
-                            )
-                        );
-                    } else if (feature.geometry.type === 'Polygon') {
-                        feature.geometry.coordinates = feature.geometry.coordinates.map(ring =>
-                            ring.map(coord => {
-                                const [lng, lat] = proj4('EPSG:31983', 'EPSG:4326', coord);
-                                return [lng, lat];
-                            })
-                        );
-                    }
-                });
+async function loadFileLayer(layerName) {
+    const config = CONFIG.layers[layerName];
+    console.log(`Loading layer: ${layerName} from ${config.file}`);
+
+    // Parsed and reprojected from the declared (or overridden) CRS to WGS84
+    const [{ geojsonData, large, simplified, validation }] = await Promise.all([readLayerFile(layerName), loadQgisStyle(layerName)]);
+    console.log(`Layer ${layerName} loaded successfully with ${geojsonData.features?.length || 0} features`);
+
+    const layer = createDataLayer(layerName, geojsonData, { large, simplified });
+    reportLayerValidation(layerName, geojsonData, validation);
+    return layer;
+}
+
+const LAYER_STATUS_LABELS = {
+    loading: 'Carregando...',
+    loaded: 'Carregada',
+    failed: 'Falha ao carregar'
+};
+
+// Indicator next to the layer name: loading, loaded (with a warning when the
+// validation report found problems) or failed, which shows the retry button
+function setLayerStatus(layerName, status, detail = '') {
+    const item = document.querySelector(`.layer-item[data-layer="${layerName}"]`);
+    if (!item) return;
+
+    const issues = layerValidations[layerName]?.length || 0;
+    const indicator = item.querySelector('.layer-status');
+    indicator.className = `layer-status ${status}`;
+    indicator.classList.toggle('has-issues', status === 'loaded' && issues > 0);
+    indicator.title = status === 'loaded' && issues > 0 ?
+        `${LAYER_STATUS_LABELS.loaded} · ${issues} problema(s) nos dados; clique para ver o relatório` :
+        [LAYER_STATUS_LABELS[status], detail].filter(Boolean).join(': ');
+    item.querySelector('.layer-retry-btn').style.display = status === 'failed' ? '' : 'none';
+}
+
+// Build the Leaflet layer of WGS84 GeoJSON data and register it in dataLayers.
+// Registry files come with large and simplified from prepareLayerData (see geodata.js);
+// memory, WFS and uploaded layers are counted here
+function createDataLayer(layerName, geojsonData, { large, simplified = null } = {}) {
+    const config = CONFIG.layers[layerName];
+    const isLarge = large ?? countVertices(geojsonData) > CONFIG.largeLayerVertices;
+    const renderer = isLarge ? getCanvasRenderer() : undefined;
+
+    const layer = L.geoJSON(geojsonData, {
+        renderer,
+        style: feature => getFeatureStyle(feature, config),
+        pointToLayer: (feature, latlng) => {
+            // For point geometries (like residencias), create circle markers
+            return L.circleMarker(latlng, { renderer, ...getPointStyle(config, feature) });
+        },
+        onEachFeature: (feature, layer) => {
+            layer.on({
+                mouseover: highlightFeatureFixed,
+                mouseout: resetHighlight,
+                click: showFeatureInfo
+            });
 
-                console.log('Reprojection complete!');
+            // Add permanent label from the configured field (e.g. neighborhood names)
+            if (config.labelField && feature.properties[config.labelField]) {
+                const label = escapeXml(feature.properties[config.labelField]);
+                layer.bindTooltip(label, {
+                    permanent: true,
+                    direction: 'center',
+                    className: 'neighborhood-label'
+                });
             }
         }
+    });
 
-        const layer = L.geoJSON(geojsonData, {
-            style: feature => getFeatureStyle(feature, config.color),
-            pointToLayer: (feature, latlng) => {
-                // For point geometries (like residencias), create circle markers
-                return L.circleMarker(latlng, {
-                    radius: 6,
-                    fillColor: config.color,
-                    color: '#ffffff',
-                    weight: 2,
-                    opacity: 1,
-                    fillOpacity: 0.7
-                });
-            },
-            onEachFeature: (feature, layer) => {
-                layer.on({
-                    mouseover: highlightFeatureFixed,
-                    mouseout: resetHighlight,
-                    click: showFeatureInfo
-                });
+    dataLayers[layerName] = layer;
+    initPointLayer(layerName);
+    if (simplified) {
+        const indexes = new Map(geojsonData.features.map((feature, index) => [feature, index]));
+        simplifiedLayers[layerName] = { levels: simplified, indexes, level: null };
+        updateSimplifiedLayer(layerName);
+    }
+    return layer;
+}
 
-                // Add permanent label for bairros (neighborhoods)
-                if (layerName === 'bairros' && feature.properties.NM_BAIRRO) {
-                    const label = feature.properties.NM_BAIRRO;
-                    layer.bindTooltip(label, {
-                        permanent: true,
-                        direction: 'center',
-                        className: 'neighborhood-label'
-                    });
-                }
-            }
-        });
+// Download and prepare a registry file (see prepareLayerData in geodata.js), in
+// layer-worker.js when the browser runs workers, otherwise on the main thread
+async function readLayerFile(layerName) {
+    const config = CONFIG.layers[layerName];
+    const options = {
+        crs: config.crs,
+        defaultProjectedCrs: CONFIG.defaultProjectedCrs,
+        largeLayerVertices: CONFIG.largeLayerVertices,
+        extent: getValidationExtent()
+    };
+
+    const worker = getLayerWorker();
+    if (worker) {
+        try {
+            return await requestLayerWorker(worker, config.file, options);
+        } catch (error) {
+            if (!error.workerFailed) throw error;
+            console.warn('Layer worker unavailable, preparing layers on the main thread:', error.message);
+            layerWorker = false;
+        }
+    }
 
-        dataLayers[layerName] = layer;
+    const response = await fetch(config.file);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return prepareLayerData(await response.json(), options);
+}
 
-        // Apply black borders to bairros layer
-        if (layerName === 'bairros') {
-            layer.eachLayer(feature => {
-                feature.setStyle({
-                    color: '#000000',  // Black borders
-                    weight: 2
-                });
-            });
+// false once workers turned out to be unavailable
+function getLayerWorker() {
+    if (layerWorker === null) {
+        try {
+            layerWorker = new Worker('layer-worker.js');
+            layerWorker.addEventListener('message', handleLayerWorkerMessage);
+            layerWorker.addEventListener('error', handleLayerWorkerError);
+        } catch (error) {
+            layerWorker = false;
         }
+    }
+    return layerWorker;
+}
 
-        // Add to map if checkbox is checked
-        const checkbox = document.getElementById(`layer-${layerName}`);
-        if (checkbox && checkbox.checked) {
-            layer.addTo(map);
-            console.log(`Layer ${layerName} added to map`);
+function requestLayerWorker(worker, file, options) {
+    return new Promise((resolve, reject) => {
+        const id = ++layerWorkerRequestId;
+        layerWorkerRequests.set(id, { resolve, reject });
+        worker.postMessage({ id, file, options });
+    });
+}
+
+function handleLayerWorkerMessage(e) {
+    const { id, result, error } = e.data;
+    const request = layerWorkerRequests.get(id);
+    layerWorkerRequests.delete(id);
+
+    if (error) {
+        request.reject(new Error(error));
+    } else {
+        request.resolve(result);
+    }
+}
+
+// The worker script itself failed (e.g. proj4 unreachable): pending layers go back to the main thread
+function handleLayerWorkerError(e) {
+    const error = new Error(e.message || 'Layer worker failed to start');
+    error.workerFailed = true;
+    layerWorkerRequests.forEach(request => request.reject(error));
+    layerWorkerRequests.clear();
+}
+
+// ==================== Layer Rendering ====================
+// Large layers share one canvas in a pane below overlayPane (z-index 400), so the
+// SVG layers and drawings stay on top and keep their own mouse events
+const CANVAS_PANE = 'canvasLayers';
+const LATLNG_DEPTHS = { LineString: 0, MultiLineString: 1, Polygon: 1, MultiPolygon: 2 };
+
+function getCanvasRenderer() {
+    if (!canvasRenderer) {
+        map.createPane(CANVAS_PANE).style.zIndex = 350;
+        canvasRenderer = L.canvas({ pane: CANVAS_PANE });
+    }
+    return canvasRenderer;
+}
+
+function updateSimplifiedLayers() {
+    Object.keys(simplifiedLayers).forEach(updateSimplifiedLayer);
+}
+
+// Swap each polygon and line to the geometry of the current zoom level; the
+// feature keeps its original geometry for popups, exports and analysis
+function updateSimplifiedLayer(layerName) {
+    const entry = simplifiedLayers[layerName];
+    const level = SIMPLIFY_MAX_ZOOMS.findIndex(maxZoom => map.getZoom() <= maxZoom);
+    if (level === entry.level) return;
+    entry.level = level;
+
+    dataLayers[layerName].eachLayer(featureLayer => {
+        const geometry = level < 0 ?
+            featureLayer.feature.geometry :
+            entry.levels[level][entry.indexes.get(featureLayer.feature)];
+        if (featureLayer.setLatLngs && geometry.type in LATLNG_DEPTHS) {
+            featureLayer.setLatLngs(L.GeoJSON.coordsToLatLngs(geometry.coordinates, LATLNG_DEPTHS[geometry.type]));
         }
+    });
+}
 
-        return layer;
-    } catch (error) {
-        console.error(`Error loading layer ${layerName}:`, error);
-        alert(`Erro ao carregar camada ${layerName}: ${error.message}\n\nVerifique se o arquivo ${CONFIG.layers[layerName].file} existe.`);
-        throw error;
+// WMS layers are plain tile layers, kept apart from the GeoJSON dataLayers; point
+// layers may be on the map as clusters or a heatmap instead (see Point Layers)
+function getMapLayer(layerName) {
+    return pointLayerStates[layerName]?.displayLayer || dataLayers[layerName] || wmsLayers[layerName];
+}
+
+// GeoJSON layer loaded and shown on the map, in whatever display
+function isDataLayerActive(layerName) {
+    return Boolean(dataLayers[layerName]) && map.hasLayer(getMapLayer(layerName));
+}
+
+// Register a layer computed in the browser (file: null) and show it on the map;
+// prepared carries large and simplified when the data went through prepareLayerData
+async function addMemoryLayer(layerName, config, geojsonData, prepared = {}) {
+    CONFIG.layers[layerName] = { ...config, file: null };
+    createDataLayer(layerName, geojsonData, prepared);
+    addLayerListItem(layerName, true);
+    await setLayerVisibility(layerName, true);
+}
+
+function removeMemoryLayer(layerName) {
+    const config = CONFIG.layers[layerName];
+    if (getMapLayer(layerName) && map.hasLayer(getMapLayer(layerName))) {
+        document.getElementById(`layer-${layerName}`).checked = false;
+        setLayerVisibility(layerName, false);
+    }
+
+    document.querySelectorAll(`[data-layer="${layerName}"]`).forEach(element => element.remove());
+    delete dataLayers[layerName];
+    delete wmsLayers[layerName];
+    delete CONFIG.layers[layerName];
+    delete searchIndex[layerName];
+    delete thematicStates[layerName];
+    delete queryStates[layerName];
+    delete pointLayerStates[layerName];
+    delete simplifiedLayers[layerName];
+    delete layerValidations[layerName];
+    // WFS layers stop following the map view
+    wfsRequests[layerName]?.controller?.abort();
+    delete wfsRequests[layerName];
+    removeCompareLayer(layerName);
+    refreshTableLayerSelect();
+
+    if (config.service) {
+        saveServices();
     }
 }
 
-function getFeatureStyle(feature, color) {
+function getFeatureStyle(feature, config) {
     return {
-        fillColor: color,
+        fillColor: config.color,
         weight: 2,
         opacity: 1,
-        color: color,
+        color: config.color,
         dashArray: '',
-        fillOpacity: 0.3
+        fillOpacity: 0.3,
+        ...config.style,
+        ...getQgisSymbolStyle(feature, config)
+    };
+}
+
+function getPointStyle(config, feature) {
+    return {
+        radius: 6,
+        fillColor: config.color,
+        color: '#ffffff',
+        weight: 2,
+        opacity: 1,
+        fillOpacity: 0.7,
+        ...config.pointStyle,
+        ...getQgisSymbolStyle(feature, config)
+    };
+}
+
+function restyleLayer(layerName) {
+    const layer = dataLayers[layerName];
+    if (!layer) return;
+
+    layer.eachLayer(featureLayer => {
+        featureLayer.setStyle(getLayerStyle(layerName, featureLayer));
+        updateQueryVisibility(layerName, featureLayer);
+    });
+    if (pointLayerStates[layerName]) {
+        refreshPointDisplay(layerName);
+    }
+}
+
+// Resolve the resting style of a feature: thematic colors when active, otherwise
+// the registry style, with the table selection outline on top and features
+// left out by the attribute query faded or hidden
+function getLayerStyle(layerName, featureLayer) {
+    let style = getBaseLayerStyle(layerName, featureLayer);
+    if (isFeatureSelected(layerName, featureLayer)) {
+        style = { ...style, ...SELECTION_STYLE };
+    }
+    if (isFeatureFilteredOut(layerName, featureLayer)) {
+        style = { ...style, ...QUERY_DISPLAY_STYLES[queryStates[layerName].mode] };
+    }
+    return style;
+}
+
+function getBaseLayerStyle(layerName, featureLayer) {
+    const config = CONFIG.layers[layerName];
+
+    const thematic = thematicStates[layerName];
+    if (thematic && thematic.attribute) {
+        return getThematicStyle(featureLayer.feature.properties, thematic);
+    }
+
+    if (featureLayer instanceof L.CircleMarker) {
+        return { ...getPointStyle(config, featureLayer.feature), ...getPointCategoryStyle(layerName, featureLayer.feature) };
+    }
+
+    return getFeatureStyle(featureLayer.feature, config);
+}
+
+function getThematicStyle(props, thematic) {
+    return {
+        fillColor: getColorForValue(getThematicValue(props, thematic), thematic.breaks, thematic.colors),
+        weight: 1,
+        opacity: 1,
+        color: '#000000',
+        fillOpacity: 0.5
     };
 }
 
@@ -272,44 +1144,8 @@ function resetHighlight(e) {
         const layer = e.target;
         const layerName = getLayerName(layer);
 
-        // Check if it's a circle marker (point)
-        const isCircleMarker = layer instanceof L.CircleMarker;
-
-        // If thematic mapping is active, restore thematic color
-        if (currentThematicAttribute && layerName === 'setores') {
-            const value = layer.feature.properties[currentThematicAttribute];
-            const color = getColorForValue(value, thematicBreaks, thematicColors);
-
-            layer.setStyle({
-                fillColor: color,
-                weight: 1,
-                opacity: 1,
-                color: '#000000',
-                fillOpacity: 0.7
-            });
-        } else {
-            // Otherwise, restore original style
-            const config = CONFIG.layers[layerName];
-            if (config) {
-                if (isCircleMarker) {
-                    layer.setStyle({
-                        radius: 6,
-                        fillColor: config.color,
-                        color: '#ffffff',
-                        weight: 2,
-                        opacity: 1,
-                        fillOpacity: 0.7
-                    });
-                } else {
-                    layer.setStyle(getFeatureStyle(layer.feature, config.color));
-                    if (layerName === 'bairros') {
-                        layer.setStyle({
-                            color: '#000000',  // Restore black border
-                            weight: 2
-                        });
-                    }
-                }
-            }
+        if (CONFIG.layers[layerName]) {
+            layer.setStyle(getLayerStyle(layerName, layer));
         }
     }
 
@@ -323,212 +1159,6694 @@ function resetHighlight(e) {
     }
 
     function showFeatureInfo(e) {
+        // Clicks add vertices while measuring or drawing
+        if (activeMapTool) return;
+        // Vector popups take precedence over WMS GetFeatureInfo
+        L.DomEvent.stopPropagation(e);
+
         const feature = e.target.feature;
         const props = feature.properties;
         const layerName = getLayerName(e.target);
+        const popupConfig = CONFIG.layers[layerName].popup;
+
+        // Sync the attribute grid: layers whose popup follows the attribute selector open it,
+        // other layers select the row when the grid already shows them
+        if (popupConfig.useSelectedAttributes || attributeTable.layerName === layerName) {
+            selectFeatureInTable(layerName, e.target);
+        }
+
+        let content = '<div class="popup-content">';
+
+        // Title
+        const title = (popupConfig.titleField && props[popupConfig.titleField]) || popupConfig.title || 'Informações';
+        content += `<h3>${escapeXml(title)}</h3>`;
+
+        // Show the fields selected in the attribute selector, or every configured field
+        const propsToShow = popupConfig.useSelectedAttributes ?
+            popupConfig.fields.filter(key => selectedAttributes.has(key)) :
+            popupConfig.fields;
+
+        for (const key of propsToShow) {
+            if (props[key] !== undefined && props[key] !== null && props[key] !== '') {
+                content += `<p><strong>${escapeXml(getFieldLabel(key, layerName))}:</strong> ${escapeXml(formatFieldValue(key, props[key], layerName))}</p>`;
+            }
+        }
+
+        // Derived indicators available for this layer
+        const indicators = getLayerIndicators(layerName);
+        if (indicators.length > 0) {
+            content += '<h4>Indicadores</h4>';
+            indicators.forEach(indicator => {
+                const value = getFieldValue(props, INDICATOR_PREFIX + indicator.id);
+                content += `<p><strong>${escapeXml(indicator.name)}:</strong> ${escapeXml(formatIndicatorValue(indicator, value))}</p>`;
+            });
+        }
+
+        content += '</div>';
+
+        // No auto-panning while restoring a URL, which would record a new history entry
+        L.popup({ autoPan: !restoringUrlState })
+            .setLatLng(e.latlng)
+            .setContent(content)
+            .openOn(map);
+
+        setOpenFeature(layerName, e.target);
+    }
+
+    // ==================== Field Dictionary ====================
+    const NUMERIC_FIELD_TYPES = ['integer', 'decimal'];
+
+    // Dictionary entry of a field in the layer, or in the first registry layer
+    // that describes it when no layer is given
+    function getFieldDefinition(key, layerName) {
+        const fields = layerName ? CONFIG.layers[layerName]?.fields : null;
+        if (fields) return fields[key] || null;
+
+        for (const config of Object.values(CONFIG.layers)) {
+            if (config.fields?.[key]) return config.fields[key];
+        }
+        return null;
+    }
+
+    // Fields without a dictionary type are numeric when their values are
+    function isNumericFieldType(key, layerName) {
+        const type = getFieldDefinition(key, layerName)?.type;
+        return !type || NUMERIC_FIELD_TYPES.includes(type);
+    }
+
+    function getFieldLabel(key, layerName) {
+        if (isIndicatorKey(key)) {
+            return getIndicator(key)?.name || key;
+        }
+
+        const definition = getFieldDefinition(key, layerName);
+        if (!definition) return key.trim();
+        return definition.unit ? `${definition.alias} (${definition.unit})` : definition.alias;
+    }
+
+    // Display text of a value: codes and text as stored, numbers with the
+    // dictionary decimals or currency, '-' when empty
+    function formatFieldValue(key, value, layerName) {
+        if (isIndicatorKey(key)) {
+            return formatIndicatorValue(getIndicator(key), value);
+        }
+        if (value === null || value === undefined || value === '') return '-';
+
+        const definition = getFieldDefinition(key, layerName);
+        if (!isNumericFieldType(key, layerName)) return String(value);
+
+        // Census layers store some numbers as strings; fields outside the dictionary are taken as they come
+        const number = typeof value === 'number' || definition ? toNumber(value) : null;
+        if (number === null) return String(value);
+
+        if (definition?.currency) {
+            return number.toLocaleString('pt-BR', { style: 'currency', currency: definition.currency });
+        }
+        if (definition?.type === 'integer') {
+            return Math.round(number).toLocaleString('pt-BR');
+        }
+        if (definition?.decimals !== undefined) {
+            return number.toLocaleString('pt-BR', { minimumFractionDigits: definition.decimals, maximumFractionDigits: definition.decimals });
+        }
+        return number.toLocaleString('pt-BR');
+    }
+
+    // Grouped fields of the layer dictionary, in dictionary order: [{ group, fields: [key, ...] }]
+    function getFieldGroups(layerName) {
+        const groups = new Map();
+        Object.entries(CONFIG.layers[layerName]?.fields || {}).forEach(([key, definition]) => {
+            if (!definition.group) return;
+            if (!groups.has(definition.group)) groups.set(definition.group, []);
+            groups.get(definition.group).push(key);
+        });
+        return [...groups].map(([group, fields]) => ({ group, fields }));
+    }
+
+    // ==================== Indicator Expressions ====================
+    // A small arithmetic language evaluated without eval():
+    //   numbers, field names (v0001 or [Field with spaces]), + - * / and parentheses,
+    //   and the functions min, max, abs, round, sqrt and coalesce.
+    // Missing or non-numeric fields and division by zero yield null (no data).
+    const INDICATOR_STORAGE_KEY = 'geoportal-japeri:indicators';
+    const INDICATOR_PREFIX = 'ind:';
+
+    const EXPRESSION_FUNCTIONS = {
+        min: (...args) => Math.min(...args),
+        max: (...args) => Math.max(...args),
+        abs: x => Math.abs(x),
+        round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+        sqrt: x => (x < 0 ? null : Math.sqrt(x))
+    };
+
+    const NORMALIZATION_MODES = {
+        ratio: { label: 'Razão', factor: 1, suffix: '' },
+        percent: { label: 'Percentual (%)', factor: 100, suffix: ' (%)' },
+        per1000: { label: 'Por 1.000', factor: 1000, suffix: ' (‰)' }
+    };
+
+    const compiledExpressions = new Map();
+    let customIndicators = loadCustomIndicators();
+
+    function tokenizeExpression(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[\d.]/.test(char)) {
+                const match = text.slice(i).match(/^\d*\.?\d+(?:[eE][+-]?\d+)?/);
+                if (!match) throw new Error(`Número inválido na posição ${i + 1}`);
+                tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                i += match[0].length;
+            } else if (char === '[') {
+                const end = text.indexOf(']', i);
+                if (end === -1) throw new Error('Colchete não fechado');
+                tokens.push({ type: 'field', value: text.slice(i + 1, end) });
+                i = end + 1;
+            } else if (/[A-Za-z_À-ÿ]/.test(char)) {
+                const match = text.slice(i).match(/^[\wÀ-ÿ]+/);
+                tokens.push({ type: 'name', value: match[0] });
+                i += match[0].length;
+            } else if ('+-*/(),'.includes(char)) {
+                tokens.push({ type: 'op', value: char });
+                i++;
+            } else {
+                throw new Error(`Caractere inesperado "${char}" na posição ${i + 1}`);
+            }
+        }
+
+        return tokens;
+    }
+
+    // Recursive-descent parser producing a small AST
+    function parseExpression(text) {
+        const tokens = tokenizeExpression(text);
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+        const expect = value => {
+            if (!isOp(value)) throw new Error(`Esperado "${value}"`);
+            position++;
+        };
+
+        function parseSum() {
+            let node = parseProduct();
+            while (isOp('+') || isOp('-')) {
+                const op = tokens[position++].value;
+                node = { type: 'binary', op, left: node, right: parseProduct() };
+            }
+            return node;
+        }
+
+        function parseProduct() {
+            let node = parseUnary();
+            while (isOp('*') || isOp('/')) {
+                const op = tokens[position++].value;
+                node = { type: 'binary', op, left: node, right: parseUnary() };
+            }
+            return node;
+        }
+
+        function parseUnary() {
+            if (isOp('-')) {
+                position++;
+                return { type: 'negate', operand: parseUnary() };
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = tokens[position++];
+            if (!token) throw new Error('Expressão incompleta');
+
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value };
+            }
+            if (token.type === 'field') {
+                return { type: 'field', name: token.value };
+            }
+            if (token.type === 'name') {
+                if (!isOp('(')) {
+                    return { type: 'field', name: token.value };
+                }
+                const name = token.value.toLowerCase();
+                if (name !== 'coalesce' && !Object.hasOwn(EXPRESSION_FUNCTIONS, name)) {
+                    throw new Error(`Função desconhecida: ${token.value}`);
+                }
+                position++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseSum());
+                    while (isOp(',')) {
+                        position++;
+                        args.push(parseSum());
+                    }
+                }
+                expect(')');
+                return { type: 'call', name, args };
+            }
+            if (token.type === 'op' && token.value === '(') {
+                const node = parseSum();
+                expect(')');
+                return node;
+            }
+            throw new Error(`Símbolo inesperado "${token.value}"`);
+        }
+
+        const ast = parseSum();
+        if (position < tokens.length) {
+            throw new Error(`Símbolo inesperado "${tokens[position].value}"`);
+        }
+        return ast;
+    }
+
+    function collectExpressionFields(node, fields = new Set()) {
+        if (node.type === 'field') fields.add(node.name);
+        if (node.type === 'binary') {
+            collectExpressionFields(node.left, fields);
+            collectExpressionFields(node.right, fields);
+        }
+        if (node.type === 'negate') collectExpressionFields(node.operand, fields);
+        if (node.type === 'call') node.args.forEach(arg => collectExpressionFields(arg, fields));
+        return fields;
+    }
+
+    function evaluateExpression(node, props) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'field':
+                return toNumber(props[node.name]);
+            case 'negate': {
+                const value = evaluateExpression(node.operand, props);
+                return value === null ? null : -value;
+            }
+            case 'binary': {
+                const left = evaluateExpression(node.left, props);
+                const right = evaluateExpression(node.right, props);
+                if (left === null || right === null) return null;
+                if (node.op === '+') return left + right;
+                if (node.op === '-') return left - right;
+                if (node.op === '*') return left * right;
+                return right === 0 ? null : left / right;
+            }
+            case 'call': {
+                const args = node.args.map(arg => evaluateExpression(arg, props));
+                if (node.name === 'coalesce') {
+                    return args.find(value => value !== null) ?? null;
+                }
+                if (!Object.hasOwn(EXPRESSION_FUNCTIONS, node.name) || args.some(value => value === null)) return null;
+                const result = EXPRESSION_FUNCTIONS[node.name](...args);
+                return result === null || !isFinite(result) ? null : result;
+            }
+        }
+        return null;
+    }
+
+    // Parse once and cache; throws with a readable message on syntax errors
+    function compileExpression(text) {
+        if (!compiledExpressions.has(text)) {
+            const ast = parseExpression(text);
+            compiledExpressions.set(text, {
+                fields: collectExpressionFields(ast),
+                evaluate: props => evaluateExpression(ast, props)
+            });
+        }
+        return compiledExpressions.get(text);
+    }
+
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return isFinite(number) ? number : null;
+    }
+
+    function getIndicators() {
+        return [...CONFIG.indicators, ...customIndicators];
+    }
+
+    function getIndicator(key) {
+        const id = key.startsWith(INDICATOR_PREFIX) ? key.slice(INDICATOR_PREFIX.length) : key;
+        return getIndicators().find(indicator => indicator.id === id) || null;
+    }
+
+    function isIndicatorKey(key) {
+        return typeof key === 'string' && key.startsWith(INDICATOR_PREFIX);
+    }
+
+    // Indicators whose referenced fields all exist in the layer
+    function getLayerIndicators(layerName) {
+        const layer = dataLayers[layerName];
+        if (!layer || layer.getLayers().length === 0) return [];
+
+        const props = layer.getLayers()[0].feature.properties;
+        return getIndicators().filter(indicator => {
+            try {
+                return [...compileExpression(indicator.expression).fields].every(field => field in props);
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
+    // Value of a raw field or of an indicator (ind:<id>) for a feature
+    function getFieldValue(props, key) {
+        if (isIndicatorKey(key)) {
+            const indicator = getIndicator(key);
+            return indicator ? compileExpression(indicator.expression).evaluate(props) : null;
+        }
+        return toNumber(props[key]);
+    }
+
+    // Value used for thematic classification, optionally normalized by another field
+    function getThematicValue(props, state) {
+        const value = getFieldValue(props, state.attribute);
+        if (value === null || !state.normalizeBy) return value;
+
+        const denominator = getFieldValue(props, state.normalizeBy);
+        if (!denominator) return null;
+
+        return (value / denominator) * NORMALIZATION_MODES[state.normalizeMode].factor;
+    }
+
+    function formatIndicatorValue(indicator, value) {
+        if (value === null) return '-';
+        const formatted = value.toLocaleString('pt-BR', { maximumFractionDigits: indicator.decimals ?? 2 });
+        return indicator.unit ? `${formatted} ${indicator.unit}` : formatted;
+    }
+
+    function loadCustomIndicators() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(INDICATOR_STORAGE_KEY)) || [];
+            // Expressions saved by older versions may no longer be accepted by the parser
+            return stored.filter(indicator => {
+                try {
+                    compileExpression(indicator.expression);
+                    return true;
+                } catch (error) {
+                    console.warn(`Dropping custom indicator ${indicator.name}:`, error.message);
+                    return false;
+                }
+            });
+        } catch (error) {
+            console.warn('Could not read custom indicators:', error);
+            return [];
+        }
+    }
+
+    function saveCustomIndicators() {
+        localStorage.setItem(INDICATOR_STORAGE_KEY, JSON.stringify(customIndicators));
+    }
+
+    function addCustomIndicator(name, expression, unit) {
+        compileExpression(expression); // Throws on syntax errors
+
+        const indicator = {
+            id: `custom_${Date.now()}`,
+            name,
+            expression,
+            unit,
+            decimals: 2,
+            custom: true
+        };
+        customIndicators.push(indicator);
+        saveCustomIndicators();
+        return indicator;
+    }
+
+    function removeCustomIndicator(id) {
+        customIndicators = customIndicators.filter(indicator => indicator.id !== id);
+        saveCustomIndicators();
+
+        // Drop thematic maps that used it
+        for (const [layerName, state] of Object.entries(thematicStates)) {
+            if (state.attribute === INDICATOR_PREFIX + id || state.normalizeBy === INDICATOR_PREFIX + id) {
+                state.normalizeBy = null;
+                resetThematicMapping(layerName);
+            }
+        }
+    }
+
+    function renderCustomIndicatorList() {
+        const list = document.getElementById('customIndicatorList');
+        list.innerHTML = '';
+
+        customIndicators.forEach(indicator => {
+            const item = document.createElement('li');
+            item.className = 'custom-indicator-item';
+            item.innerHTML = `
+                <div>
+                    <span class="custom-indicator-name">${escapeXml(indicator.name)}</span>
+                    <code class="custom-indicator-expression">${escapeXml(indicator.expression)}</code>
+                </div>
+                <button class="close-table-btn" title="Remover indicador">
+                    <svg width="12" height="12" viewBox="0 0 14 14" fill="none">
+                        <path d="M1 1L13 13M1 13L13 1" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+                    </svg>
+                </button>
+            `;
+            item.querySelector('button').addEventListener('click', () => {
+                removeCustomIndicator(indicator.id);
+                renderCustomIndicatorList();
+                syncThematicPanel();
+            });
+            list.appendChild(item);
+        });
+    }
+
+    // ==================== Attribute Table Functions ====================
+    const TABLE_PAGE_SIZE = 50;
+    const SELECTION_STYLE = { color: '#00e5ff', weight: 3, dashArray: '' };
+
+    // Grid state: the layer shown, sorting, per-column filters and current page
+    const attributeTable = {
+        layerName: null,
+        sortKey: null,
+        sortDirection: 1,
+        filters: {},
+        page: 0
+    };
+
+    // Selected features per layer, as Leaflet ids
+    const selectedFeatures = {};
+
+    function isFeatureSelected(layerName, featureLayer) {
+        return Boolean(selectedFeatures[layerName]?.has(L.stamp(featureLayer)));
+    }
+
+    // Field label with indicators marked, for lists mixing both
+    function getAttributeLabel(key, layerName) {
+        const label = getFieldLabel(key, layerName);
+        return isIndicatorKey(key) ? `🧮 ${label}` : label;
+    }
+
+    function getCellValue(props, key) {
+        return isIndicatorKey(key) ? getFieldValue(props, key) : props[key];
+    }
+
+    // Fields of a layer plus the indicators it supports
+    function getLayerFields(layerName) {
+        const layer = dataLayers[layerName];
+        if (!layer || layer.getLayers().length === 0) return [];
+
+        const fields = Object.keys(layer.getLayers()[0].feature.properties);
+        const indicators = getLayerIndicators(layerName).map(indicator => INDICATOR_PREFIX + indicator.id);
+        return [...fields, ...indicators];
+    }
+
+    // Selected attributes of the layer, or all of its fields when none is selected (e.g. uploaded files)
+    function getTableColumns(layerName) {
+        const fields = getLayerFields(layerName);
+        const columns = fields.filter(key => selectedAttributes.has(key));
+        return columns.length ? columns : fields;
+    }
+
+    // Layer whose fields #attributesList offers: the table layer, else the first active layer declaring the panel
+    function getAttributeListLayerName() {
+        if (attributeTable.layerName) return attributeTable.layerName;
+
+        return Object.keys(CONFIG.layers).find(layerName =>
+            CONFIG.layers[layerName].panels.includes('attributeSelector') &&
+            isDataLayerActive(layerName)
+        ) || null;
+    }
+
+    function buildAttributesList() {
+        const list = document.getElementById('attributesList');
+        const layerName = getAttributeListLayerName();
+        list.innerHTML = '';
+        if (!layerName) return;
+
+        const fields = getLayerFields(layerName);
+
+        // Start with a few columns when none of the selected attributes exist in this layer
+        if (!fields.some(key => selectedAttributes.has(key))) {
+            fields.slice(0, 6).forEach(key => selectedAttributes.add(key));
+        }
+
+        document.getElementById('attributeSelectorLayer').textContent = CONFIG.layers[layerName].name;
+
+        fields.forEach(key => {
+            const label = document.createElement('label');
+            label.className = 'attribute-checkbox';
+            label.innerHTML = `
+                <input type="checkbox">
+                <span class="checkmark"></span>
+                <span class="attribute-name"></span>
+            `;
+            const checkbox = label.querySelector('input');
+            checkbox.value = key;
+            checkbox.checked = selectedAttributes.has(key);
+            label.querySelector('.attribute-name').textContent = getAttributeLabel(key, layerName);
+
+            checkbox.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    selectedAttributes.add(key);
+                } else {
+                    selectedAttributes.delete(key);
+                }
+
+                console.log('Atributos selecionados:', Array.from(selectedAttributes));
+                renderAttributeTable();
+                scheduleUrlStateUpdate();
+            });
+
+            list.appendChild(label);
+        });
+    }
+
+    function openAttributeTable(layerName) {
+        if (!dataLayers[layerName]) return;
+
+        if (attributeTable.layerName !== layerName) {
+            Object.assign(attributeTable, { layerName, sortKey: null, sortDirection: 1, filters: {}, page: 0 });
+        }
+
+        document.getElementById('attributeTablePanel').style.display = 'flex';
+        document.getElementById('attributeSelector').style.display = 'block';
+        refreshTableLayerSelect();
+        buildAttributesList();
+        renderAttributeTable();
+    }
+
+    function closeAttributeTable() {
+        document.getElementById('attributeTablePanel').style.display = 'none';
+        attributeTable.layerName = null;
+
+        // Keep the attribute selector only if an active layer declares it
+        if (!getAttributeListLayerName()) {
+            document.getElementById('attributeSelector').style.display = 'none';
+        }
+        buildAttributesList();
+    }
+
+    function refreshTableLayerSelect() {
+        const select = document.getElementById('tableLayerSelect');
+        select.innerHTML = Object.keys(dataLayers)
+            .map(layerName => `<option value="${layerName}">${escapeXml(CONFIG.layers[layerName].name)}</option>`)
+            .join('');
+        select.value = attributeTable.layerName || '';
+    }
+
+    function parseColumnFilter(text) {
+        const match = text.trim().match(/^(>=|<=|>|<|=)\s*(-?[\d.,]+)$/);
+        if (match) {
+            return { op: match[1], number: parseNumberInput(match[2]) };
+        }
+        return { op: 'contains', text: normalizeText(text.trim()) };
+    }
+
+    // Accept both "1.234,5" (pt-BR) and "1234.5"
+    function parseNumberInput(text) {
+        const raw = String(text).trim();
+        if (!/^-?[\d.,]+$/.test(raw)) return null;
+        const number = parseFloat(raw.includes(',') ? raw.replace(/\./g, '').replace(',', '.') : raw);
+        return isFinite(number) ? number : null;
+    }
+
+    function normalizeText(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    function matchesColumnFilter(value, filter, formatted) {
+        if (filter.op === 'contains') {
+            return normalizeText(formatted).includes(filter.text) || normalizeText(value ?? '').includes(filter.text);
+        }
+
+        const number = toNumber(value);
+        if (number === null) return false;
+        switch (filter.op) {
+            case '>': return number > filter.number;
+            case '<': return number < filter.number;
+            case '>=': return number >= filter.number;
+            case '<=': return number <= filter.number;
+            default: return number === filter.number;
+        }
+    }
+
+    // Features of the table layer after column filters and sorting
+    function getTableRows() {
+        const { layerName, sortKey, sortDirection, filters } = attributeTable;
+        const layer = dataLayers[layerName];
+        if (!layer) return [];
+
+        const activeFilters = Object.entries(filters)
+            .filter(([, text]) => text.trim() !== '')
+            .map(([key, text]) => [key, parseColumnFilter(text)]);
+
+        let rows = layer.getLayers().filter(featureLayer => {
+            const props = featureLayer.feature.properties;
+            return activeFilters.every(([key, filter]) => {
+                const value = getCellValue(props, key);
+                return matchesColumnFilter(value, filter, formatFieldValue(key, value, layerName));
+            });
+        });
+
+        if (sortKey) {
+            rows = rows.slice().sort((a, b) => {
+                const valueA = getCellValue(a.feature.properties, sortKey);
+                const valueB = getCellValue(b.feature.properties, sortKey);
+                const numberA = toNumber(valueA);
+                const numberB = toNumber(valueB);
+
+                // Empty values always last, numbers before text in mixed columns
+                const emptyA = valueA === null || valueA === undefined || valueA === '';
+                const emptyB = valueB === null || valueB === undefined || valueB === '';
+                if (emptyA || emptyB) return emptyA - emptyB;
+                if ((numberA === null) !== (numberB === null)) return numberA === null ? 1 : -1;
+
+                if (numberA !== null) {
+                    return (numberA - numberB) * sortDirection;
+                }
+                return String(valueA).localeCompare(String(valueB), 'pt-BR') * sortDirection;
+            });
+        }
+
+        return rows;
+    }
+
+    function renderAttributeTable() {
+        const { layerName } = attributeTable;
+        if (!layerName || document.getElementById('attributeTablePanel').style.display === 'none') return;
+
+        const tableHead = document.getElementById('attributeTableHead');
+        const tableBody = document.getElementById('attributeTableBody');
+        const columns = getTableColumns(layerName);
+        const rows = getTableRows();
+        const selection = selectedFeatures[layerName] || new Set();
+
+        // Header: sortable titles and one filter input per column
+        const headerRow = document.createElement('tr');
+        const filterRow = document.createElement('tr');
+        filterRow.className = 'filter-row';
+
+        columns.forEach(key => {
+            const th = document.createElement('th');
+            th.className = 'sortable-header';
+            th.title = key;
+            const indicator = attributeTable.sortKey === key ? (attributeTable.sortDirection === 1 ? '▲' : '▼') : '';
+            th.innerHTML = `<span></span> <span class="sort-indicator">${indicator}</span>`;
+            th.firstChild.textContent = getAttributeLabel(key, layerName);
+            th.addEventListener('click', () => {
+                if (attributeTable.sortKey === key) {
+                    attributeTable.sortDirection *= -1;
+                } else {
+                    attributeTable.sortKey = key;
+                    attributeTable.sortDirection = 1;
+                }
+                renderAttributeTable();
+            });
+            headerRow.appendChild(th);
+
+            const filterCell = document.createElement('th');
+            const filterInput = document.createElement('input');
+            filterInput.type = 'text';
+            filterInput.className = 'column-filter';
+            filterInput.placeholder = 'Filtrar…';
+            filterInput.title = 'Texto, ou >, <, >=, <=, = seguido de um número';
+            filterInput.value = attributeTable.filters[key] || '';
+            filterInput.addEventListener('change', (e) => {
+                attributeTable.filters[key] = e.target.value;
+                attributeTable.page = 0;
+                renderAttributeTable();
+            });
+            filterCell.appendChild(filterInput);
+            filterRow.appendChild(filterCell);
+        });
+
+        tableHead.innerHTML = '';
+        tableHead.appendChild(headerRow);
+        tableHead.appendChild(filterRow);
+
+        // Body: current page only
+        const pageCount = Math.max(1, Math.ceil(rows.length / TABLE_PAGE_SIZE));
+        attributeTable.page = Math.min(attributeTable.page, pageCount - 1);
+        const pageRows = rows.slice(attributeTable.page * TABLE_PAGE_SIZE, (attributeTable.page + 1) * TABLE_PAGE_SIZE);
+
+        tableBody.innerHTML = '';
+        if (columns.length === 0 || pageRows.length === 0) {
+            tableBody.innerHTML = `<tr><td colspan="${Math.max(columns.length, 1)}" class="no-data">${columns.length === 0 ? 'Selecione atributos para exibir' : 'Nenhuma feição encontrada'}</td></tr>`;
+        }
+
+        pageRows.forEach(featureLayer => {
+            const props = featureLayer.feature.properties;
+            const row = document.createElement('tr');
+            row.dataset.featureId = L.stamp(featureLayer);
+            if (selection.has(L.stamp(featureLayer))) {
+                row.classList.add('selected');
+            }
+
+            columns.forEach(key => {
+                const cell = document.createElement('td');
+                cell.textContent = formatFieldValue(key, getCellValue(props, key), layerName);
+                row.appendChild(cell);
+            });
+
+            row.addEventListener('click', (e) => handleRowClick(e, featureLayer, rows));
+            tableBody.appendChild(row);
+        });
+
+        // Footer: counts and pagination
+        document.getElementById('tableCount').textContent =
+            `${rows.length} de ${dataLayers[layerName].getLayers().length} feições · ${selection.size} selecionada(s)`;
+        document.getElementById('pageInfo').textContent = `Página ${attributeTable.page + 1} de ${pageCount}`;
+        document.getElementById('prevPageBtn').disabled = attributeTable.page === 0;
+        document.getElementById('nextPageBtn').disabled = attributeTable.page >= pageCount - 1;
+    }
+
+    let lastClickedRowId = null;
+
+    // Click selects one row; Ctrl/Cmd toggles; Shift extends the range from the last click
+    function handleRowClick(e, featureLayer, rows) {
+        const layerName = attributeTable.layerName;
+        const id = L.stamp(featureLayer);
+        let selection = selectedFeatures[layerName] || new Set();
+
+        if (e.shiftKey && lastClickedRowId !== null) {
+            const ids = rows.map(row => L.stamp(row));
+            const start = ids.indexOf(lastClickedRowId);
+            const end = ids.indexOf(id);
+            if (start !== -1 && end !== -1) {
+                ids.slice(Math.min(start, end), Math.max(start, end) + 1).forEach(rowId => selection.add(rowId));
+            }
+        } else if (e.ctrlKey || e.metaKey) {
+            if (selection.has(id)) {
+                selection.delete(id);
+            } else {
+                selection.add(id);
+            }
+        } else {
+            selection = new Set([id]);
+        }
+
+        lastClickedRowId = id;
+        setSelectedFeatures(layerName, selection);
+        zoomToSelection(layerName);
+    }
+
+    function setSelectedFeatures(layerName, selection) {
+        selectedFeatures[layerName] = selection;
+        restyleLayer(layerName);
+        renderAttributeTable();
+    }
+
+    function clearSelection(layerName) {
+        setSelectedFeatures(layerName, new Set());
+    }
+
+    function getSelectedFeatureLayers(layerName) {
+        const layer = dataLayers[layerName];
+        const selection = selectedFeatures[layerName];
+        if (!layer || !selection) return [];
+        return layer.getLayers().filter(featureLayer => selection.has(L.stamp(featureLayer)));
+    }
+
+    function zoomToSelection(layerName) {
+        const featureLayers = getSelectedFeatureLayers(layerName);
+        if (featureLayers.length === 0) return;
+
+        const bounds = L.featureGroup(featureLayers).getBounds();
+        if (bounds.isValid()) {
+            map.fitBounds(bounds, { padding: [40, 40], maxZoom: 17 });
+        }
+    }
+
+    // Map click: open the grid on the feature's layer, select its row and scroll to it
+    function selectFeatureInTable(layerName, featureLayer) {
+        openAttributeTable(layerName);
+
+        const id = L.stamp(featureLayer);
+        const rows = getTableRows();
+        const index = rows.findIndex(row => L.stamp(row) === id);
+        if (index === -1) {
+            // Hidden by a column filter: clear filters so the row can be shown
+            attributeTable.filters = {};
+        }
+
+        const rowIndex = index === -1 ? getTableRows().findIndex(row => L.stamp(row) === id) : index;
+        attributeTable.page = Math.floor(Math.max(rowIndex, 0) / TABLE_PAGE_SIZE);
+        lastClickedRowId = id;
+        setSelectedFeatures(layerName, new Set([id]));
+
+        const row = document.querySelector(`#attributeTableBody tr[data-feature-id="${id}"]`);
+        if (row && row.scrollIntoView) {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // ==================== Attribute Query Builder ====================
+    const QUERY_STORAGE_KEY = 'geoportal-japeri:queries';
+
+    // Operators offered per condition; "type" decides how the value is compared
+    const QUERY_OPERATORS = {
+        '=': { label: '=', type: 'number' },
+        '!=': { label: '≠', type: 'number' },
+        '>': { label: '>', type: 'number' },
+        '>=': { label: '≥', type: 'number' },
+        '<': { label: '<', type: 'number' },
+        '<=': { label: '≤', type: 'number' },
+        'contains': { label: 'contém', type: 'text' },
+        'not_contains': { label: 'não contém', type: 'text' },
+        'equals': { label: 'igual a (texto)', type: 'text' },
+        'not_equals': { label: 'diferente de (texto)', type: 'text' },
+        'is_null': { label: 'é nulo', type: 'null' },
+        'not_null': { label: 'não é nulo', type: 'null' }
+    };
+
+    // Non-matching features are faded ("dim") or made invisible and unclickable ("hide")
+    const QUERY_DISPLAY_STYLES = {
+        dim: { opacity: 0.15, fillOpacity: 0.05 },
+        hide: { opacity: 0, fillOpacity: 0 }
+    };
+
+    // Per-layer query: conditions edited in the panel and the matches of the last run
+    const queryStates = {};
+    let queryLayerName = null;
+    let savedQueries = loadSavedQueries();
+
+    function getQueryState(layerName) {
+        if (!queryStates[layerName]) {
+            queryStates[layerName] = {
+                combinator: 'and',
+                conditions: [createQueryCondition()],
+                mode: 'dim',
+                matches: null // Set of L.stamp ids while the query is applied
+            };
+        }
+        return queryStates[layerName];
+    }
+
+    function createQueryCondition(field = '', operator = '>', value = '') {
+        return { field, operator, value };
+    }
+
+    function isQueryActive(layerName) {
+        return Boolean(queryStates[layerName]?.matches);
+    }
+
+    function isFeatureFilteredOut(layerName, featureLayer) {
+        return isQueryActive(layerName) && !queryStates[layerName].matches.has(L.stamp(featureLayer));
+    }
+
+    // Null, undefined and blank values only satisfy the null checks
+    function matchesQueryCondition(props, condition) {
+        const operator = QUERY_OPERATORS[condition.operator];
+        const value = getCellValue(props, condition.field);
+        const isNull = value === null || value === undefined || String(value).trim() === '';
+
+        if (operator.type === 'null') {
+            return condition.operator === 'is_null' ? isNull : !isNull;
+        }
+        if (isNull) return false;
+
+        if (operator.type === 'text') {
+            const text = normalizeText(value);
+            const target = normalizeText(condition.value.trim());
+            switch (condition.operator) {
+                case 'contains': return text.includes(target);
+                case 'not_contains': return !text.includes(target);
+                case 'equals': return text === target;
+                default: return text !== target;
+            }
+        }
+
+        const number = toNumber(value);
+        const target = parseNumberInput(condition.value);
+        if (number === null || target === null) return false;
+        switch (condition.operator) {
+            case '=': return number === target;
+            case '!=': return number !== target;
+            case '>': return number > target;
+            case '>=': return number >= target;
+            case '<': return number < target;
+            default: return number <= target;
+        }
+    }
+
+    function matchesQuery(props, query) {
+        const conditions = query.conditions.filter(condition => condition.field);
+        const test = condition => matchesQueryCondition(props, condition);
+        return query.combinator === 'or' ? conditions.some(test) : conditions.every(test);
+    }
+
+    // Problems that prevent running the query, in the panel's language
+    function validateQuery(query, layerName) {
+        const conditions = query.conditions.filter(condition => condition.field);
+        if (conditions.length === 0) {
+            return 'Escolha o atributo de pelo menos uma condição.';
+        }
+
+        for (const condition of conditions) {
+            const operator = QUERY_OPERATORS[condition.operator];
+            const label = getFieldLabel(condition.field, layerName);
+            if (operator.type === 'number' && parseNumberInput(condition.value) === null) {
+                return `Informe um número válido para "${label}".`;
+            }
+            if (operator.type === 'text' && condition.value.trim() === '') {
+                return `Informe o texto a comparar para "${label}".`;
+            }
+        }
+        return null;
+    }
+
+    function applyQuery(layerName) {
+        const layer = dataLayers[layerName];
+        const state = getQueryState(layerName);
+        if (!layer) return;
+
+        const error = validateQuery(state, layerName);
+        if (error) {
+            notify(error, 'warning');
+            return;
+        }
+
+        state.matches = new Set(layer.getLayers()
+            .filter(featureLayer => matchesQuery(featureLayer.feature.properties, state))
+            .map(featureLayer => L.stamp(featureLayer)));
+
+        restyleLayer(layerName);
+        updateQueryResult();
+    }
+
+    function clearQuery(layerName = queryLayerName) {
+        if (!layerName || !queryStates[layerName]) return;
+
+        queryStates[layerName].matches = null;
+        restyleLayer(layerName);
+        updateQueryResult();
+    }
+
+    // Hidden features also drop their pointer events and permanent labels
+    function updateQueryVisibility(layerName, featureLayer) {
+        const hidden = isFeatureFilteredOut(layerName, featureLayer) && queryStates[layerName].mode === 'hide';
+        const element = featureLayer.getElement && featureLayer.getElement();
+        if (element) {
+            element.style.pointerEvents = hidden ? 'none' : '';
+        }
+        // Canvas-drawn features have no element; the canvas hit test reads the option
+        featureLayer.options.interactive = !hidden;
+
+        const tooltip = featureLayer.getTooltip && featureLayer.getTooltip();
+        if (tooltip) {
+            tooltip.setOpacity(hidden ? 0 : 0.9);
+        }
+    }
+
+    function updateQueryResult() {
+        const result = document.getElementById('queryResult');
+        const state = queryLayerName && queryStates[queryLayerName];
+
+        if (!state || !state.matches || !dataLayers[queryLayerName]) {
+            result.textContent = '';
+            document.getElementById('clearQueryBtn').style.display = 'none';
+            document.getElementById('selectQueryResultsBtn').style.display = 'none';
+            return;
+        }
+
+        const total = dataLayers[queryLayerName].getLayers().length;
+        result.textContent = `${state.matches.size} de ${total} feições atendem à consulta`;
+        document.getElementById('clearQueryBtn').style.display = 'block';
+        document.getElementById('selectQueryResultsBtn').style.display = state.matches.size ? 'block' : 'none';
+    }
+
+    // Hand the matches to the attribute grid as its selection
+    function selectQueryResults(layerName) {
+        const state = queryStates[layerName];
+        if (!state || !state.matches) return;
+
+        openAttributeTable(layerName);
+        setSelectedFeatures(layerName, new Set(state.matches));
+        zoomToSelection(layerName);
+    }
+
+    function getQueryLayerNames() {
+        return Object.keys(CONFIG.layers).filter(layerName =>
+            CONFIG.layers[layerName].panels.includes('queryBuilderPanel') &&
+            isDataLayerActive(layerName)
+        );
+    }
+
+    function refreshQueryLayerSelect() {
+        const layerSelect = document.getElementById('queryLayerSelect');
+        const layerNames = getQueryLayerNames();
+
+        layerSelect.innerHTML = layerNames
+            .map(layerName => `<option value="${layerName}">${escapeXml(CONFIG.layers[layerName].name)}</option>`)
+            .join('');
+
+        if (!layerNames.includes(queryLayerName)) {
+            queryLayerName = layerNames[0] || null;
+        }
+        layerSelect.value = queryLayerName || '';
+        syncQueryPanel();
+    }
+
+    // Fill the panel from the query of the edited layer
+    function syncQueryPanel() {
+        document.getElementById('queryConditions').innerHTML = '';
+        updateQueryResult();
+        renderSavedQueryList();
+        if (!queryLayerName) return;
+
+        const state = getQueryState(queryLayerName);
+        document.getElementById('queryCombinatorSelect').value = state.combinator;
+        document.getElementById('queryDisplaySelect').value = state.mode;
+        state.conditions.forEach((condition, index) => renderQueryCondition(condition, index));
+    }
+
+    function renderQueryCondition(condition, index) {
+        const state = getQueryState(queryLayerName);
+        const row = document.createElement('div');
+        row.className = 'query-condition';
+
+        const fieldSelect = document.createElement('select');
+        fieldSelect.className = 'thematic-select';
+        fieldSelect.innerHTML = '<option value="">-- Atributo --</option>' + getLayerFields(queryLayerName)
+            .map(key => `<option value="${escapeXml(key)}">${escapeXml(getAttributeLabel(key, queryLayerName))}</option>`)
+            .join('');
+        fieldSelect.value = condition.field;
+
+        const operatorSelect = document.createElement('select');
+        operatorSelect.className = 'thematic-select query-operator';
+        operatorSelect.innerHTML = Object.entries(QUERY_OPERATORS)
+            .map(([key, operator]) => `<option value="${key}">${operator.label}</option>`)
+            .join('');
+        operatorSelect.value = condition.operator;
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'thematic-select query-value';
+        valueInput.placeholder = 'Valor';
+        valueInput.value = condition.value;
+        valueInput.disabled = QUERY_OPERATORS[condition.operator].type === 'null';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'close-table-btn';
+        removeBtn.title = 'Remover condição';
+        removeBtn.innerHTML = `
+            <svg width="12" height="12" viewBox="0 0 14 14" fill="none">
+                <path d="M1 1L13 13M1 13L13 1" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+            </svg>
+        `;
+
+        fieldSelect.addEventListener('change', (e) => {
+            condition.field = e.target.value;
+        });
+        operatorSelect.addEventListener('change', (e) => {
+            condition.operator = e.target.value;
+            valueInput.disabled = QUERY_OPERATORS[condition.operator].type === 'null';
+        });
+        valueInput.addEventListener('input', (e) => {
+            condition.value = e.target.value;
+        });
+        removeBtn.addEventListener('click', () => {
+            state.conditions.splice(index, 1);
+            if (state.conditions.length === 0) {
+                state.conditions.push(createQueryCondition());
+            }
+            syncQueryPanel();
+        });
+
+        row.append(fieldSelect, operatorSelect, valueInput, removeBtn);
+        document.getElementById('queryConditions').appendChild(row);
+    }
+
+    function loadSavedQueries() {
+        try {
+            return JSON.parse(localStorage.getItem(QUERY_STORAGE_KEY)) || [];
+        } catch (error) {
+            console.warn('Could not read saved queries:', error);
+            return [];
+        }
+    }
+
+    function saveSavedQueries() {
+        localStorage.setItem(QUERY_STORAGE_KEY, JSON.stringify(savedQueries));
+    }
+
+    // Saving under an existing name of the same layer replaces that query
+    function saveQuery(name, layerName) {
+        const state = getQueryState(layerName);
+        const query = {
+            id: `query_${Date.now()}`,
+            name,
+            layerName,
+            combinator: state.combinator,
+            conditions: state.conditions.filter(condition => condition.field).map(condition => ({ ...condition })),
+            mode: state.mode
+        };
+
+        savedQueries = savedQueries.filter(saved => !(saved.layerName === layerName && saved.name === name));
+        savedQueries.push(query);
+        saveSavedQueries();
+        return query;
+    }
+
+    function removeSavedQuery(id) {
+        savedQueries = savedQueries.filter(query => query.id !== id);
+        saveSavedQueries();
+    }
+
+    // Turn the layer on if needed, load the conditions into the panel and run them
+    async function runSavedQuery(query) {
+        if (!CONFIG.layers[query.layerName]) return;
+
+        if (!isDataLayerActive(query.layerName)) {
+            const checkbox = document.getElementById(`layer-${query.layerName}`);
+            if (checkbox) checkbox.checked = true;
+            try {
+                await setLayerVisibility(query.layerName, true);
+            } catch (error) {
+                return;
+            }
+        }
+
+        const state = getQueryState(query.layerName);
+        state.combinator = query.combinator;
+        state.conditions = query.conditions.map(condition => ({ ...condition }));
+        state.mode = query.mode;
+
+        queryLayerName = query.layerName;
+        refreshQueryLayerSelect();
+        applyQuery(query.layerName);
+    }
+
+    function renderSavedQueryList() {
+        const list = document.getElementById('savedQueryList');
+        list.innerHTML = '';
+
+        savedQueries.forEach(query => {
+            const item = document.createElement('li');
+            item.className = 'custom-indicator-item saved-query-item';
+            item.innerHTML = `
+                <div>
+                    <span class="custom-indicator-name">${escapeXml(query.name)}</span>
+                    <span class="saved-query-layer">${escapeXml(CONFIG.layers[query.layerName]?.name || query.layerName)}</span>
+                </div>
+                <button class="close-table-btn" title="Excluir consulta">
+                    <svg width="12" height="12" viewBox="0 0 14 14" fill="none">
+                        <path d="M1 1L13 13M1 13L13 1" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+                    </svg>
+                </button>
+            `;
+            item.querySelector('div').title = 'Executar consulta';
+            item.querySelector('div').addEventListener('click', () => runSavedQuery(query));
+            item.querySelector('button').addEventListener('click', () => {
+                removeSavedQuery(query.id);
+                renderSavedQueryList();
+            });
+            list.appendChild(item);
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const panelState = () => getQueryState(queryLayerName);
+
+        document.getElementById('queryLayerSelect').addEventListener('change', (e) => {
+            queryLayerName = e.target.value;
+            syncQueryPanel();
+        });
+
+        document.getElementById('queryCombinatorSelect').addEventListener('change', (e) => {
+            if (queryLayerName) panelState().combinator = e.target.value;
+        });
+
+        document.getElementById('queryDisplaySelect').addEventListener('change', (e) => {
+            if (!queryLayerName) return;
+            panelState().mode = e.target.value;
+            if (isQueryActive(queryLayerName)) {
+                restyleLayer(queryLayerName);
+            }
+        });
+
+        document.getElementById('addConditionBtn').addEventListener('click', () => {
+            if (!queryLayerName) return;
+            panelState().conditions.push(createQueryCondition());
+            syncQueryPanel();
+        });
+
+        document.getElementById('applyQueryBtn').addEventListener('click', () => {
+            if (queryLayerName) applyQuery(queryLayerName);
+        });
+
+        document.getElementById('clearQueryBtn').addEventListener('click', () => {
+            clearQuery(queryLayerName);
+        });
+
+        document.getElementById('selectQueryResultsBtn').addEventListener('click', () => {
+            selectQueryResults(queryLayerName);
+        });
+
+        document.getElementById('saveQueryBtn').addEventListener('click', () => {
+            const nameInput = document.getElementById('queryNameInput');
+            const name = nameInput.value.trim();
+            if (!queryLayerName) return;
+
+            if (!name) {
+                notify('Informe um nome para a consulta.', 'warning');
+                return;
+            }
+
+            const error = validateQuery(panelState(), queryLayerName);
+            if (error) {
+                notify(error, 'warning');
+                return;
+            }
+
+            saveQuery(name, queryLayerName);
+            nameInput.value = '';
+            renderSavedQueryList();
+        });
+
+        renderSavedQueryList();
+    });
+
+    // ==================== Data Export ====================
+    const EXPORT_FORMATS = {
+        geojson: { name: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+        csv: { name: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+        kml: { name: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+        shapefile: { name: 'Shapefile (ZIP)', extension: 'zip', mime: 'application/zip' }
+    };
+
+    const EXPORT_SCOPES = {
+        all: 'Todas as feições',
+        filtered: 'Feições filtradas',
+        selected: 'Feições selecionadas'
+    };
+
+    // Column names written to the file
+    const EXPORT_FIELD_NAMES = {
+        source: 'Nomes originais dos campos',
+        alias: 'Apelidos do dicionário de campos'
+    };
+
+    // "filtered" keeps what the attribute query and, when the grid shows the layer,
+    // its column filters leave visible
+    function getExportFeatureLayers(layerName, scope) {
+        const layer = dataLayers[layerName];
+        if (!layer) return [];
+
+        if (scope === 'selected') {
+            return getSelectedFeatureLayers(layerName);
+        }
+        if (scope === 'filtered') {
+            const rows = attributeTable.layerName === layerName ? getTableRows() : layer.getLayers();
+            return rows.filter(featureLayer => !isFeatureFilteredOut(layerName, featureLayer));
+        }
+        return layer.getLayers();
+    }
+
+    // Columns visible in the attribute grid, or every field when none is checked
+    function getExportColumns(layerName) {
+        const columns = getTableColumns(layerName);
+        return columns.length ? columns : getLayerFields(layerName);
+    }
+
+    // Alias and unit from the dictionary, or the field name; truncated shapefile
+    // names are written as the census field they came from
+    function getExportFieldName(key, layerName, fieldNames = 'source') {
+        if (fieldNames === 'alias') return getFieldLabel(key, layerName);
+        if (isIndicatorKey(key)) return getIndicator(key).id;
+        return (getFieldDefinition(key, layerName)?.source || key).trim();
+    }
+
+    // Copy the chosen features and columns, reprojected from the map CRS
+    function buildExportCollection(layerName, scope, targetCrs, fieldNames) {
+        const columns = getExportColumns(layerName);
+        const collection = {
+            type: 'FeatureCollection',
+            name: layerName,
+            features: getExportFeatureLayers(layerName, scope).map(featureLayer => {
+                const props = featureLayer.feature.properties;
+                return {
+                    type: 'Feature',
+                    properties: Object.fromEntries(columns.map(key => [getExportFieldName(key, layerName, fieldNames), getCellValue(props, key) ?? null])),
+                    geometry: JSON.parse(JSON.stringify(featureLayer.feature.geometry))
+                };
+            })
+        };
+
+        reprojectGeoJSON(collection, 'EPSG:4326', targetCrs);
+        if (targetCrs !== 'EPSG:4326') {
+            collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${targetCrs.split(':')[1]}` } };
+        }
+        return collection;
+    }
+
+    function geometryToWkt(geometry) {
+        if (!geometry) return '';
+
+        const point = coord => coord.join(' ');
+        const ring = coords => `(${coords.map(point).join(', ')})`;
+        const polygon = rings => `(${rings.map(ring).join(', ')})`;
+
+        switch (geometry.type) {
+            case 'Point':
+                return `POINT (${point(geometry.coordinates)})`;
+            case 'MultiPoint':
+                return `MULTIPOINT (${geometry.coordinates.map(coord => `(${point(coord)})`).join(', ')})`;
+            case 'LineString':
+                return `LINESTRING ${ring(geometry.coordinates)}`;
+            case 'MultiLineString':
+                return `MULTILINESTRING ${polygon(geometry.coordinates)}`;
+            case 'Polygon':
+                return `POLYGON ${polygon(geometry.coordinates)}`;
+            case 'MultiPolygon':
+                return `MULTIPOLYGON (${geometry.coordinates.map(polygon).join(', ')})`;
+            case 'GeometryCollection':
+                return `GEOMETRYCOLLECTION (${geometry.geometries.map(geometryToWkt).join(', ')})`;
+            default:
+                return '';
+        }
+    }
+
+    // Area-weighted centroid for polygons (holes subtract), vertex mean otherwise
+    function getGeometryCentroid(geometry) {
+        if (!geometry) return null;
+        if (geometry.type === 'Point') return geometry.coordinates;
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+            geometry.type === 'MultiPolygon' ? geometry.coordinates : null;
+
+        if (polygons) {
+            let area = 0, cx = 0, cy = 0;
+            polygons.forEach(rings => rings.forEach((ring, index) => {
+                const moments = getRingMoments(ring);
+                // Outer rings add and holes subtract, whatever their winding order
+                const sign = (index === 0 ? 1 : -1) * Math.sign(moments.area);
+                area += sign * moments.area;
+                cx += sign * moments.cx;
+                cy += sign * moments.cy;
+            }));
+            if (area !== 0) return [cx / (3 * area), cy / (3 * area)];
+        }
+
+        const coords = [];
+        const collect = value => Array.isArray(value[0]) ? value.forEach(collect) : coords.push(value);
+        if (geometry.coordinates) collect(geometry.coordinates);
+        if (coords.length === 0) return null;
+        return [
+            coords.reduce((sum, coord) => sum + coord[0], 0) / coords.length,
+            coords.reduce((sum, coord) => sum + coord[1], 0) / coords.length
+        ];
+    }
+
+    // Twice the signed area (positive when counter-clockwise) and first moments of a ring
+    function getRingMoments(ring) {
+        let area = 0, cx = 0, cy = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+            area += cross;
+            cx += (ring[j][0] + ring[i][0]) * cross;
+            cy += (ring[j][1] + ring[i][1]) * cross;
+        }
+        return { area, cx, cy };
+    }
+
+    function escapeCsvValue(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Semicolon-separated with a BOM so spreadsheet software opens accents correctly
+    function toCsv(collection, geometryMode, crs) {
+        const fields = collection.features.length ? Object.keys(collection.features[0].properties) : [];
+        const geographic = crs !== 'EPSG:31983';
+        const geometryColumns = geometryMode === 'wkt' ? ['WKT'] : geographic ? ['LONGITUDE', 'LATITUDE'] : ['X', 'Y'];
+
+        const lines = [[...fields, ...geometryColumns].map(escapeCsvValue).join(';')];
+        collection.features.forEach(feature => {
+            const values = fields.map(field => feature.properties[field]);
+            if (geometryMode === 'wkt') {
+                values.push(geometryToWkt(feature.geometry));
+            } else {
+                const centroid = getGeometryCentroid(feature.geometry);
+                const decimals = geographic ? 7 : 2;
+                values.push(...(centroid ? centroid.map(value => value.toFixed(decimals)) : ['', '']));
+            }
+            lines.push(values.map(escapeCsvValue).join(';'));
+        });
+
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function geometryToKml(geometry) {
+        if (!geometry) return '';
+
+        const coordinates = coords => `<coordinates>${coords.map(coord => coord.join(',')).join(' ')}</coordinates>`;
+        const polygon = rings => '<Polygon>' +
+            `<outerBoundaryIs><LinearRing>${coordinates(rings[0])}</LinearRing></outerBoundaryIs>` +
+            rings.slice(1).map(ring => `<innerBoundaryIs><LinearRing>${coordinates(ring)}</LinearRing></innerBoundaryIs>`).join('') +
+            '</Polygon>';
+
+        switch (geometry.type) {
+            case 'Point':
+                return `<Point>${coordinates([geometry.coordinates])}</Point>`;
+            case 'LineString':
+                return `<LineString>${coordinates(geometry.coordinates)}</LineString>`;
+            case 'Polygon':
+                return polygon(geometry.coordinates);
+            case 'MultiPoint':
+                return `<MultiGeometry>${geometry.coordinates.map(coord => `<Point>${coordinates([coord])}</Point>`).join('')}</MultiGeometry>`;
+            case 'MultiLineString':
+                return `<MultiGeometry>${geometry.coordinates.map(line => `<LineString>${coordinates(line)}</LineString>`).join('')}</MultiGeometry>`;
+            case 'MultiPolygon':
+                return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+            case 'GeometryCollection':
+                return `<MultiGeometry>${geometry.geometries.map(geometryToKml).join('')}</MultiGeometry>`;
+            default:
+                return '';
+        }
+    }
+
+    // KML colors are aabbggrr
+    function toKmlColor(hex, alpha) {
+        const [r, g, b] = parseColor(hex).map(channel => channel.toString(16).padStart(2, '0'));
+        return `${alpha}${b}${g}${r}`;
+    }
+
+    // KML is always WGS84 (lon,lat) by specification. Placemark names come from the
+    // source features, since the title field may not be among the exported columns.
+    function toKml(collection, layerName, featureLayers) {
+        const config = CONFIG.layers[layerName];
+        const nameField = config.popup.titleField || config.labelField;
+
+        const placemarks = collection.features.map((feature, index) => {
+            const props = feature.properties;
+            const name = (nameField && featureLayers[index].feature.properties[nameField]) || `${config.name} ${index + 1}`;
+            const data = Object.entries(props)
+                .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value ?? '')}</value></Data>`)
+                .join('');
+            return `<Placemark><name>${escapeXml(name)}</name><styleUrl>#layerStyle</styleUrl>` +
+                `<ExtendedData>${data}</ExtendedData>${geometryToKml(feature.geometry)}</Placemark>`;
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+            `<name>${escapeXml(config.name)}</name>` +
+            `<Style id="layerStyle"><LineStyle><color>${toKmlColor(config.color, 'ff')}</color><width>1.5</width></LineStyle>` +
+            `<PolyStyle><color>${toKmlColor(config.color, '66')}</color></PolyStyle></Style>` +
+            placemarks.join('\n') +
+            '</Document></kml>';
+    }
+
+    // DBF column names: up to 10 ASCII characters, unique within the file
+    function getDbfFieldNames(fields) {
+        const used = new Set();
+        return Object.fromEntries(fields.map(field => {
+            const base = normalizeText(field).toUpperCase().replace(/[^A-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 10) || 'CAMPO';
+            let name = base;
+            for (let n = 1; used.has(name); n++) {
+                name = base.slice(0, 10 - String(n).length - 1) + '_' + n;
+            }
+            used.add(name);
+            return [field, name];
+        }));
+    }
+
+    function orientShapefileRings(rings) {
+        return rings.map((ring, index) => {
+            const counterClockwise = getRingMoments(ring).area > 0;
+            return (index === 0) === counterClockwise ? [...ring].reverse() : ring;
+        });
+    }
+
+    // .shp/.shx/.dbf/.prj/.cpg plus a table mapping the shortened DBF names back to the originals
+    async function toShapefileZip(collection, layerName, crs) {
+        const fields = collection.features.length ? Object.keys(collection.features[0].properties) : [];
+        const dbfNames = getDbfFieldNames(fields);
+        const zip = new JSZip();
+
+        const groups = {
+            POINT: { types: ['Point'], features: [] },
+            POLYLINE: { types: ['LineString', 'MultiLineString'], features: [] },
+            POLYGON: { types: ['Polygon', 'MultiPolygon'], features: [] }
+        };
+        collection.features.forEach(feature => {
+            const group = Object.values(groups).find(candidate => candidate.types.includes(feature.geometry?.type));
+            if (group) group.features.push(feature);
+        });
+
+        const nonEmpty = Object.entries(groups).filter(([, group]) => group.features.length);
+        if (nonEmpty.length === 0) {
+            throw new Error('Nenhuma geometria compatível com Shapefile');
+        }
+
+        nonEmpty.forEach(([type, group]) => {
+            // The writer expects multi-part coordinate arrays; shapefile outer rings run clockwise
+            const geometries = group.features.map(feature => {
+                const { type: geometryType, coordinates } = feature.geometry;
+                if (type === 'POLYGON') {
+                    return (geometryType === 'Polygon' ? [coordinates] : coordinates).map(orientShapefileRings);
+                }
+                return geometryType === 'LineString' ? [coordinates] : coordinates;
+            });
+            const rows = group.features.map(feature =>
+                Object.fromEntries(fields.map(field => [dbfNames[field], feature.properties[field] ?? '']))
+            );
+            const fileName = nonEmpty.length > 1 ? `${layerName}_${type.toLowerCase()}` : layerName;
+
+            shpwrite.write(rows, type, geometries, (error, files) => {
+                if (error) throw error;
+                zip.file(`${fileName}.shp`, files.shp.buffer, { binary: true });
+                zip.file(`${fileName}.shx`, files.shx.buffer, { binary: true });
+                zip.file(`${fileName}.dbf`, files.dbf.buffer, { binary: true });
+                zip.file(`${fileName}.prj`, EXPORT_CRS[crs].prj);
+                zip.file(`${fileName}.cpg`, 'ISO-8859-1');
+            });
+        });
+
+        zip.file('campos.csv', '\uFEFFCAMPO_DBF;CAMPO_ORIGINAL\r\n' +
+            fields.map(field => `${dbfNames[field]};${escapeCsvValue(field)}`).join('\r\n'));
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: EXPORT_FORMATS.shapefile.mime });
+    }
+
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function exportLayer({ layerName, scope, format, crs, csvGeometry, fieldNames }) {
+        const formatConfig = EXPORT_FORMATS[format];
+        const outputCrs = format === 'kml' ? 'EPSG:4326' : crs;
+
+        const collection = buildExportCollection(layerName, scope, outputCrs, fieldNames);
+        if (collection.features.length === 0) {
+            notify('Nenhuma feição para exportar com as opções escolhidas.', 'warning');
+            return;
+        }
+
+        let blob;
+        if (format === 'geojson') {
+            blob = new Blob([JSON.stringify(collection)], { type: formatConfig.mime });
+        } else if (format === 'csv') {
+            blob = new Blob([toCsv(collection, csvGeometry, outputCrs)], { type: formatConfig.mime });
+        } else if (format === 'kml') {
+            blob = new Blob([toKml(collection, layerName, getExportFeatureLayers(layerName, scope))], { type: formatConfig.mime });
+        } else {
+            blob = await toShapefileZip(collection, layerName, outputCrs);
+        }
+
+        const suffix = scope === 'all' ? '' : `_${scope === 'selected' ? 'selecao' : 'filtro'}`;
+        downloadBlob(blob, `${layerName}${suffix}_${outputCrs.replace(':', '')}.${formatConfig.extension}`);
+        console.log(`Exported ${collection.features.length} features of ${layerName} as ${format}`);
+    }
+
+    function getActiveLayerNames() {
+        return Object.keys(CONFIG.layers).filter(layerName => isDataLayerActive(layerName));
+    }
+
+    // Active layers including WMS imagery, which has no features to export or analyse
+    function getVisibleLayerNames() {
+        return Object.keys(CONFIG.layers).filter(layerName => getMapLayer(layerName) && map.hasLayer(getMapLayer(layerName)));
+    }
+
+    function openExportDialog(layerName = attributeTable.layerName) {
+        const layerNames = getActiveLayerNames();
+        if (layerNames.length === 0) {
+            notify('Ative uma camada para exportar.', 'warning');
+            return;
+        }
+
+        const layerSelect = document.getElementById('exportLayerSelect');
+        layerSelect.innerHTML = layerNames
+            .map(name => `<option value="${name}">${escapeXml(CONFIG.layers[name].name)}</option>`)
+            .join('');
+        layerSelect.value = layerNames.includes(layerName) ? layerName : layerNames[0];
+
+        refreshExportDialog();
+        document.getElementById('exportModal').classList.add('active');
+    }
+
+    function closeExportDialog() {
+        document.getElementById('exportModal').classList.remove('active');
+    }
+
+    // Feature counts per scope, format-dependent options and the exported columns
+    function refreshExportDialog() {
+        const layerName = document.getElementById('exportLayerSelect').value;
+        const format = document.getElementById('exportFormatSelect').value;
+        const scopeSelect = document.getElementById('exportScopeSelect');
+        const crsSelect = document.getElementById('exportCrsSelect');
+        const previousScope = scopeSelect.value;
+
+        scopeSelect.innerHTML = Object.entries(EXPORT_SCOPES).map(([scope, label]) => {
+            const count = getExportFeatureLayers(layerName, scope).length;
+            return `<option value="${scope}" ${count === 0 ? 'disabled' : ''}>${label} (${count})</option>`;
+        }).join('');
+        const available = [...scopeSelect.options].filter(option => !option.disabled).map(option => option.value);
+        scopeSelect.value = available.includes(previousScope) ? previousScope : 'all';
+
+        document.getElementById('exportCsvOptions').style.display = format === 'csv' ? 'block' : 'none';
+        crsSelect.disabled = format === 'kml';
+        if (format === 'kml') {
+            crsSelect.value = 'EPSG:4326';
+        }
+
+        const columns = getExportColumns(layerName);
+        document.getElementById('exportColumnsInfo').textContent =
+            `${columns.length} coluna(s): ${columns.slice(0, 6).map(key => getFieldLabel(key, layerName)).join(', ')}${columns.length > 6 ? '…' : ''}`;
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const crsSelect = document.getElementById('exportCrsSelect');
+        crsSelect.innerHTML = Object.entries(EXPORT_CRS)
+            .map(([code, crs]) => `<option value="${code}">${crs.name}</option>`)
+            .join('');
+
+        document.getElementById('exportFormatSelect').innerHTML = Object.entries(EXPORT_FORMATS)
+            .map(([format, config]) => `<option value="${format}">${config.name}</option>`)
+            .join('');
+
+        document.getElementById('exportFieldNamesSelect').innerHTML = Object.entries(EXPORT_FIELD_NAMES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        document.getElementById('exportBtn').addEventListener('click', () => openExportDialog());
+        document.getElementById('exportTableBtn').addEventListener('click', () => openExportDialog(attributeTable.layerName));
+        document.getElementById('closeExportModal').addEventListener('click', closeExportDialog);
+        document.getElementById('exportModal').addEventListener('click', (e) => {
+            if (e.target.id === 'exportModal') closeExportDialog();
+        });
+
+        document.getElementById('exportLayerSelect').addEventListener('change', refreshExportDialog);
+        document.getElementById('exportFormatSelect').addEventListener('change', refreshExportDialog);
+
+        document.getElementById('confirmExportBtn').addEventListener('click', async () => {
+            const options = {
+                layerName: document.getElementById('exportLayerSelect').value,
+                scope: document.getElementById('exportScopeSelect').value,
+                format: document.getElementById('exportFormatSelect').value,
+                crs: crsSelect.value,
+                csvGeometry: document.getElementById('exportCsvGeometrySelect').value,
+                fieldNames: document.getElementById('exportFieldNamesSelect').value
+            };
+
+            showLoading();
+            try {
+                await exportLayer(options);
+                closeExportDialog();
+            } catch (error) {
+                console.error('Error exporting layer:', error);
+                notify(`Erro ao exportar: ${error.message}`, 'error');
+            } finally {
+                hideLoading();
+            }
+        });
+    });
+
+    // ==================== Print Composer ====================
+    // Portrait paper sizes in millimetres
+    const PAPER_SIZES = {
+        A4: [210, 297],
+        A3: [297, 420]
+    };
+    const PRINT_DPI = 150;
+    const PREVIEW_DPI = 30;
+    const MM_PER_INCH = 25.4;
+    const SCREEN_PX_MM = MM_PER_INCH / 96; // Leaflet weights and radii are CSS pixels
+    const TILE_TIMEOUT = 10000;
+
+    function getPageSize(paper, orientation) {
+        const [width, height] = PAPER_SIZES[paper];
+        return orientation === 'landscape' ? [height, width] : [width, height];
+    }
+
+    // Page regions in millimetres. Landscape puts the legend beside the map,
+    // portrait below it.
+    function getPrintLayout(widthMm, heightMm, orientation) {
+        const margin = 10;
+        const headerHeight = 20;
+        const footerHeight = 12;
+        const gap = 5;
+        const innerWidth = widthMm - 2 * margin;
+        const bodyTop = margin + headerHeight;
+        const bodyHeight = heightMm - bodyTop - margin - footerHeight - gap;
+
+        const layout = {
+            header: { x: margin, y: margin, w: innerWidth, h: headerHeight },
+            footer: { x: margin, y: heightMm - margin - footerHeight, w: innerWidth, h: footerHeight }
+        };
+
+        if (orientation === 'landscape') {
+            const legendWidth = Math.min(85, innerWidth * 0.28);
+            layout.map = { x: margin, y: bodyTop, w: innerWidth - legendWidth - gap, h: bodyHeight };
+            layout.legend = { x: widthMm - margin - legendWidth, y: bodyTop, w: legendWidth, h: bodyHeight, columns: 1 };
+        } else {
+            const legendHeight = bodyHeight * 0.26;
+            layout.map = { x: margin, y: bodyTop, w: innerWidth, h: bodyHeight - legendHeight - gap };
+            layout.legend = { x: margin, y: bodyTop + bodyHeight - legendHeight, w: innerWidth, h: legendHeight, columns: 2 };
+        }
+        return layout;
+    }
+
+    function scaleRegion(region, pxPerMm) {
+        return { ...region, x: region.x * pxPerMm, y: region.y * pxPerMm, w: region.w * pxPerMm, h: region.h * pxPerMm };
+    }
+
+    function setCanvasFont(ctx, sizePx, weight = 400) {
+        ctx.font = `${weight} ${sizePx}px Inter, Arial, sans-serif`;
+    }
+
+    function wrapCanvasText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        String(text).split(/\s+/).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    // Resolves with null when the tile fails or times out, leaving a gap instead of blocking the print
+    function loadTileImage(url) {
+        return new Promise(resolve => {
+            const image = new Image();
+            const timer = setTimeout(() => resolve(null), TILE_TIMEOUT);
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                clearTimeout(timer);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            image.src = url;
+        });
+    }
+
+    // Draw the current basemap at the tile zoom closest to the print resolution
+    async function drawBasemapTiles(ctx, frame, view) {
+        const config = CONFIG.basemaps[currentBasemap];
+        const tileZoom = Math.max(0, Math.min(CONFIG.maxZoom, Math.round(view.zoom + Math.log2(view.scale))));
+        const factor = view.scale * Math.pow(2, view.zoom - tileZoom);
+        const tileSize = 256 * factor;
+        const center = view.centerPx.multiplyBy(Math.pow(2, tileZoom - view.zoom));
+        const tileCount = Math.pow(2, tileZoom);
+
+        const minX = Math.floor((center.x - frame.w / 2 / factor) / 256);
+        const maxX = Math.floor((center.x + frame.w / 2 / factor) / 256);
+        const minY = Math.max(0, Math.floor((center.y - frame.h / 2 / factor) / 256));
+        const maxY = Math.min(tileCount - 1, Math.floor((center.y + frame.h / 2 / factor) / 256));
+
+        const tiles = [];
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+                const url = L.Util.template(config.url, { s: 'abc'[Math.abs(x + y) % 3], x: wrappedX, y, z: tileZoom });
+                tiles.push(loadTileImage(url).then(image => ({ image, x, y })));
+            }
+        }
+
+        (await Promise.all(tiles)).forEach(({ image, x, y }) => {
+            if (!image) return;
+            ctx.drawImage(image,
+                frame.x + frame.w / 2 + (x * 256 - center.x) * factor,
+                frame.y + frame.h / 2 + (y * 256 - center.y) * factor,
+                tileSize + 0.5, tileSize + 0.5);
+        });
+    }
+
+    function traceGeometry(ctx, geometry, toFrame) {
+        const traceLine = (coords, close) => {
+            coords.forEach((coord, index) => {
+                const [x, y] = toFrame(coord);
+                if (index === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            if (close) ctx.closePath();
+        };
+
+        switch (geometry.type) {
+            case 'LineString':
+                traceLine(geometry.coordinates, false);
+                break;
+            case 'MultiLineString':
+                geometry.coordinates.forEach(line => traceLine(line, false));
+                break;
+            case 'Polygon':
+                geometry.coordinates.forEach(ring => traceLine(ring, true));
+                break;
+            case 'MultiPolygon':
+                geometry.coordinates.forEach(polygon => polygon.forEach(ring => traceLine(ring, true)));
+                break;
+            case 'GeometryCollection':
+                geometry.geometries.forEach(part => traceGeometry(ctx, part, toFrame));
+                break;
+        }
+    }
+
+    // Replay the Leaflet styles of every active layer, so thematic colors,
+    // selections and query fading print as they are shown
+    function drawPrintFeatures(ctx, toFrame, pxPerMm) {
+        const lineScale = pxPerMm * SCREEN_PX_MM;
+
+        getActiveLayerNames().forEach(layerName => {
+            dataLayers[layerName].eachLayer(featureLayer => {
+                const options = featureLayer.options;
+                const geometry = featureLayer.feature.geometry;
+                if (!geometry) return;
+
+                ctx.beginPath();
+                if (featureLayer instanceof L.CircleMarker) {
+                    const [x, y] = toFrame([featureLayer.getLatLng().lng, featureLayer.getLatLng().lat]);
+                    ctx.arc(x, y, options.radius * lineScale, 0, 2 * Math.PI);
+                } else {
+                    traceGeometry(ctx, geometry, toFrame);
+                }
+
+                if (options.fill !== false && !/LineString/.test(geometry.type)) {
+                    ctx.globalAlpha = options.fillOpacity ?? 0.2;
+                    ctx.fillStyle = options.fillColor || options.color;
+                    ctx.fill('evenodd');
+                }
+                if (options.stroke !== false && options.weight > 0) {
+                    ctx.globalAlpha = options.opacity ?? 1;
+                    ctx.strokeStyle = options.color;
+                    ctx.lineWidth = options.weight * lineScale;
+                    ctx.lineJoin = 'round';
+                    ctx.setLineDash(options.dashArray ? String(options.dashArray).split(/[\s,]+/).map(Number).map(v => v * lineScale) : []);
+                    ctx.stroke();
+                }
+                ctx.globalAlpha = 1;
+                ctx.setLineDash([]);
+            });
+        });
+
+        drawPrintLabels(ctx, toFrame, pxPerMm);
+    }
+
+    // Permanent feature labels (e.g. neighbourhood names) with a white halo
+    function drawPrintLabels(ctx, toFrame, pxPerMm) {
+        setCanvasFont(ctx, 3 * pxPerMm, 700);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 0.8 * pxPerMm;
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#000000';
+
+        getActiveLayerNames().forEach(layerName => {
+            const { labelField } = CONFIG.layers[layerName];
+            dataLayers[layerName].eachLayer(featureLayer => {
+                const tooltip = featureLayer.getTooltip && featureLayer.getTooltip();
+                if (!tooltip || !tooltip.options.permanent || tooltip.options.opacity === 0) return;
+
+                const latlng = featureLayer.getCenter ? featureLayer.getCenter() : featureLayer.getLatLng();
+                const [x, y] = toFrame([latlng.lng, latlng.lat]);
+                // The tooltip holds the label escaped for HTML; the canvas takes the text as it is
+                const text = String(featureLayer.feature.properties[labelField]);
+                ctx.strokeText(text, x, y);
+                ctx.fillText(text, x, y);
+            });
+        });
+    }
+
+    // Largest 1, 2 or 5 × 10^n not exceeding the given length
+    function getNiceScaleLength(maxMeters) {
+        const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+        const step = [5, 2, 1].find(candidate => candidate * magnitude <= maxMeters) || 1;
+        return step * magnitude;
+    }
+
+    function formatDistance(meters) {
+        return meters >= 1000 ?
+            `${(meters / 1000).toLocaleString('pt-BR')} km` :
+            `${meters.toLocaleString('pt-BR')} m`;
+    }
+
+    function drawScaleBar(ctx, frame, metersPerPx, pxPerMm) {
+        const length = getNiceScaleLength(frame.w * 0.25 * metersPerPx);
+        const barWidth = length / metersPerPx;
+        const barHeight = 1.5 * pxPerMm;
+        const padding = 2 * pxPerMm;
+        const x = frame.x + 4 * pxPerMm;
+        const y = frame.y + frame.h - 10 * pxPerMm;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(x - padding, y - 4.5 * pxPerMm, barWidth + 2 * padding + 10 * pxPerMm, 9 * pxPerMm);
+
+        for (let i = 0; i < 4; i++) {
+            ctx.fillStyle = i % 2 === 0 ? '#222222' : '#ffffff';
+            ctx.fillRect(x + (i * barWidth) / 4, y, barWidth / 4, barHeight);
+        }
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = 0.2 * pxPerMm;
+        ctx.strokeRect(x, y, barWidth, barHeight);
+
+        setCanvasFont(ctx, 2.6 * pxPerMm);
+        ctx.fillStyle = '#222222';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'center';
+        ctx.fillText('0', x, y - 0.5 * pxPerMm);
+        ctx.fillText(formatDistance(length / 2), x + barWidth / 2, y - 0.5 * pxPerMm);
+        ctx.textAlign = 'left';
+        ctx.fillText(formatDistance(length), x + barWidth - 1 * pxPerMm, y - 0.5 * pxPerMm);
+    }
+
+    function drawNorthArrow(ctx, frame, pxPerMm) {
+        const size = 12 * pxPerMm;
+        const cx = frame.x + frame.w - 10 * pxPerMm;
+        const top = frame.y + 6 * pxPerMm;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.beginPath();
+        ctx.arc(cx, top + size * 0.55, size * 0.6, 0, 2 * Math.PI);
+        ctx.fill();
+
+        // Left half dark, right half light
+        ctx.beginPath();
+        ctx.moveTo(cx, top + size * 0.2);
+        ctx.lineTo(cx - size * 0.25, top + size);
+        ctx.lineTo(cx, top + size * 0.8);
+        ctx.closePath();
+        ctx.fillStyle = '#222222';
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.moveTo(cx, top + size * 0.2);
+        ctx.lineTo(cx + size * 0.25, top + size);
+        ctx.lineTo(cx, top + size * 0.8);
+        ctx.closePath();
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = 0.25 * pxPerMm;
+        ctx.stroke();
+
+        setCanvasFont(ctx, 3.5 * pxPerMm, 700);
+        ctx.fillStyle = '#222222';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('N', cx, top + size * 0.2);
+    }
+
+    // Current map extent fitted into the frame; returns the ground resolution for the scale bar
+    async function drawPrintMap(ctx, frame, pxPerMm) {
+        const size = map.getSize();
+        const zoom = map.getZoom();
+        const centerPx = map.project(map.getCenter(), zoom);
+        const view = { zoom, centerPx, scale: Math.min(frame.w / size.x, frame.h / size.y) };
+        const toFrame = ([lng, lat]) => {
+            const point = map.project([lat, lng], zoom).subtract(centerPx).multiplyBy(view.scale);
+            return [frame.x + frame.w / 2 + point.x, frame.y + frame.h / 2 + point.y];
+        };
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(frame.x, frame.y, frame.w, frame.h);
+        ctx.clip();
+        ctx.fillStyle = '#e8e8e8';
+        ctx.fillRect(frame.x, frame.y, frame.w, frame.h);
+
+        await drawBasemapTiles(ctx, frame, view);
+        drawPrintFeatures(ctx, toFrame, pxPerMm);
+        ctx.restore();
+
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = 0.3 * pxPerMm;
+        ctx.strokeRect(frame.x, frame.y, frame.w, frame.h);
+
+        const sample = 100;
+        const meters = map.distance(map.unproject(centerPx, zoom), map.unproject(centerPx.add([sample, 0]), zoom));
+        return meters / (sample * view.scale);
+    }
+
+    // Thematic legends plus a swatch for every active layer without one
+    function getPrintLegendRows() {
+        const rows = [];
+        const blocks = getLegendBlocks();
+
+        blocks.forEach(block => {
+            rows.push({ type: 'title', text: block.title });
+            rows.push({ type: 'note', text: `${block.method} · ${block.colors.length} classes` });
+            block.colors.forEach((color, index) => {
+                const text = block.labels ? block.labels[index] : getLegendClassLabel(block.breaks, index, block.colors.length);
+                rows.push({ type: 'class', color, text, count: block.counts?.[index] });
+            });
+            if (block.noDataCount) {
+                rows.push({ type: 'class', color: '#cccccc', text: 'Sem dados', count: block.noDataCount });
+            }
+            rows.push({ type: 'gap' });
+        });
+
+        const plainLayers = getActiveLayerNames().filter(layerName => !blocks.some(block => block.layerName === layerName));
+        if (plainLayers.length) {
+            rows.push({ type: 'title', text: 'Camadas' });
+            plainLayers.forEach(layerName => {
+                const config = CONFIG.layers[layerName];
+                rows.push({ type: 'class', color: config.color, text: config.name });
+            });
+        }
+        return rows;
+    }
+
+    // Rows flow top-down and continue in the next column; whatever does not fit is left out
+    function drawPrintLegend(ctx, region, pxPerMm) {
+        const columnGap = 5 * pxPerMm;
+        const columnWidth = (region.w - columnGap * (region.columns - 1)) / region.columns;
+        const lineHeight = 4.2 * pxPerMm;
+        const swatch = 3.2 * pxPerMm;
+
+        setCanvasFont(ctx, 4 * pxPerMm, 700);
+        ctx.fillStyle = '#222222';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText('Legenda', region.x, region.y);
+
+        const top = region.y + 7 * pxPerMm;
+        let column = 0;
+        let y = top;
+
+        for (const row of getPrintLegendRows()) {
+            let lines = [];
+            if (row.type === 'title') {
+                setCanvasFont(ctx, 3 * pxPerMm, 700);
+                lines = wrapCanvasText(ctx, row.text, columnWidth);
+            } else if (row.type === 'note') {
+                setCanvasFont(ctx, 2.5 * pxPerMm);
+                lines = wrapCanvasText(ctx, row.text, columnWidth);
+            }
+            const height = row.type === 'gap' ? lineHeight / 2 : Math.max(1, lines.length) * lineHeight;
+
+            if (y + height > region.y + region.h) {
+                if (++column >= region.columns) break;
+                y = top;
+                if (row.type === 'gap') continue;
+            }
+            const rowX = region.x + column * (columnWidth + columnGap);
+
+            ctx.fillStyle = row.type === 'note' ? '#666666' : '#222222';
+            if (row.type === 'class') {
+                ctx.fillStyle = row.color;
+                ctx.fillRect(rowX, y + (lineHeight - swatch) / 2, swatch, swatch);
+                ctx.strokeStyle = '#555555';
+                ctx.lineWidth = 0.15 * pxPerMm;
+                ctx.strokeRect(rowX, y + (lineHeight - swatch) / 2, swatch, swatch);
+
+                setCanvasFont(ctx, 2.8 * pxPerMm);
+                ctx.fillStyle = '#222222';
+                ctx.textBaseline = 'middle';
+                ctx.textAlign = 'left';
+                const countWidth = row.count !== undefined ? 8 * pxPerMm : 0;
+                ctx.fillText(row.text, rowX + swatch + 2 * pxPerMm, y + lineHeight / 2, columnWidth - swatch - 2 * pxPerMm - countWidth);
+                if (row.count !== undefined) {
+                    ctx.textAlign = 'right';
+                    ctx.fillStyle = '#666666';
+                    ctx.fillText(String(row.count), rowX + columnWidth, y + lineHeight / 2);
+                }
+                ctx.textBaseline = 'top';
+                ctx.textAlign = 'left';
+            } else {
+                lines.forEach((line, index) => ctx.fillText(line, rowX, y + index * lineHeight + 0.5 * pxPerMm));
+            }
+            y += height;
+        }
+    }
+
+    function drawPrintHeader(ctx, region, pxPerMm, title, subtitle) {
+        ctx.fillStyle = '#222222';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        setCanvasFont(ctx, 7 * pxPerMm, 700);
+        ctx.fillText(title, region.x, region.y, region.w);
+        if (subtitle) {
+            setCanvasFont(ctx, 4 * pxPerMm);
+            ctx.fillStyle = '#555555';
+            ctx.fillText(subtitle, region.x, region.y + 9.5 * pxPerMm, region.w);
+        }
+
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 0.6 * pxPerMm;
+        ctx.beginPath();
+        ctx.moveTo(region.x, region.y + region.h - 2 * pxPerMm);
+        ctx.lineTo(region.x + region.w, region.y + region.h - 2 * pxPerMm);
+        ctx.stroke();
+    }
+
+    function drawPrintFooter(ctx, region, pxPerMm, metersPerPx) {
+        const scaleDenominator = Math.round(metersPerPx * pxPerMm * 1000);
+        const date = new Date().toLocaleDateString('pt-BR');
+
+        setCanvasFont(ctx, 2.6 * pxPerMm);
+        ctx.fillStyle = '#555555';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Fonte dos dados: ${CONFIG.dataSource} · Mapa base: ${CONFIG.basemaps[currentBasemap].attribution}`, region.x, region.y + 2 * pxPerMm, region.w * 0.8);
+        ctx.fillText(`Projeção: WGS 84 / Pseudo-Mercator (EPSG:3857) · Escala aproximada 1:${scaleDenominator.toLocaleString('pt-BR')} · Geoportal Japeri`,
+            region.x, region.y + 6 * pxPerMm, region.w * 0.8);
+        ctx.textAlign = 'right';
+        ctx.fillText(date, region.x + region.w, region.y + 2 * pxPerMm);
+    }
+
+    // Render the whole page on a canvas at the given resolution
+    async function composePrintLayout({ paper, orientation, title, subtitle }, dpi) {
+        const [widthMm, heightMm] = getPageSize(paper, orientation);
+        const pxPerMm = dpi / MM_PER_INCH;
+        const layout = getPrintLayout(widthMm, heightMm, orientation);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(widthMm * pxPerMm);
+        canvas.height = Math.round(heightMm * pxPerMm);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('Canvas não suportado neste navegador');
+        }
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const mapFrame = scaleRegion(layout.map, pxPerMm);
+        const metersPerPx = await drawPrintMap(ctx, mapFrame, pxPerMm);
+        drawScaleBar(ctx, mapFrame, metersPerPx, pxPerMm);
+        drawNorthArrow(ctx, mapFrame, pxPerMm);
+        drawPrintHeader(ctx, scaleRegion(layout.header, pxPerMm), pxPerMm, title, subtitle);
+        drawPrintLegend(ctx, scaleRegion(layout.legend, pxPerMm), pxPerMm);
+        drawPrintFooter(ctx, scaleRegion(layout.footer, pxPerMm), pxPerMm, metersPerPx);
+
+        return canvas;
+    }
+
+    function getPrintOptions() {
+        return {
+            paper: document.getElementById('printPaperSelect').value,
+            orientation: document.getElementById('printOrientationSelect').value,
+            format: document.getElementById('printFormatSelect').value,
+            title: document.getElementById('printTitleInput').value.trim() || 'Geoportal Japeri',
+            subtitle: document.getElementById('printSubtitleInput').value.trim()
+        };
+    }
+
+    // Canvas exports fail on tainted canvases (tiles served without CORS)
+    function canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Não foi possível gerar a imagem')), 'image/png');
+        });
+    }
+
+    async function printMap(options) {
+        const canvas = await composePrintLayout(options, PRINT_DPI);
+        const fileName = `mapa_japeri_${options.paper}_${options.orientation === 'landscape' ? 'paisagem' : 'retrato'}`;
+
+        if (options.format === 'png') {
+            downloadBlob(await canvasToBlob(canvas), `${fileName}.png`);
+            return;
+        }
+
+        const [widthMm, heightMm] = getPageSize(options.paper, options.orientation);
+        const pdf = new jspdf.jsPDF({ orientation: options.orientation, unit: 'mm', format: options.paper.toLowerCase() });
+        pdf.setProperties({ title: options.title, subject: options.subtitle, creator: 'Geoportal Japeri' });
+        pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, widthMm, heightMm);
+        downloadBlob(pdf.output('blob'), `${fileName}.pdf`);
+    }
+
+    let previewToken = 0;
+
+    // Low-resolution render of the page; stale renders are discarded
+    async function updatePrintPreview() {
+        const token = ++previewToken;
+        const preview = document.getElementById('printPreview');
+        try {
+            const canvas = await composePrintLayout(getPrintOptions(), PREVIEW_DPI);
+            if (token !== previewToken) return;
+            preview.width = canvas.width;
+            preview.height = canvas.height;
+            preview.getContext('2d').drawImage(canvas, 0, 0);
+        } catch (error) {
+            console.warn('Could not render print preview:', error);
+        }
+    }
+
+    function openPrintDialog() {
+        const subtitleInput = document.getElementById('printSubtitleInput');
+        const blocks = getLegendBlocks();
+        if (!subtitleInput.value && blocks.length) {
+            subtitleInput.value = blocks[0].title;
+        }
+
+        document.getElementById('printModal').classList.add('active');
+        updatePrintPreview();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const printModal = document.getElementById('printModal');
+
+        document.getElementById('printBtn').addEventListener('click', openPrintDialog);
+        document.getElementById('closePrintModal').addEventListener('click', () => printModal.classList.remove('active'));
+        printModal.addEventListener('click', (e) => {
+            if (e.target === printModal) printModal.classList.remove('active');
+        });
+
+        ['printPaperSelect', 'printOrientationSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', updatePrintPreview);
+        });
+        ['printTitleInput', 'printSubtitleInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', updatePrintPreview);
+        });
+
+        document.getElementById('confirmPrintBtn').addEventListener('click', async () => {
+            showLoading();
+            try {
+                await printMap(getPrintOptions());
+                printModal.classList.remove('active');
+            } catch (error) {
+                console.error('Error printing map:', error);
+                notify(`Erro ao gerar o mapa para impressão: ${error.message}`, 'error');
+            } finally {
+                hideLoading();
+            }
+        });
+    });
+
+    // ==================== URL State ====================
+    // The view, basemap, layers, attribute columns, thematic maps and open feature
+    // are mirrored in the hash, e.g.
+    //   #map=13/-22.64444/-43.65170&base=streets&layers=bairros,setores&attr=v0001
+    //    &thematic=setores|v0001|jenks|5|YlOrRd|0||percent|&feature=setores|12
+    // Every change pushes a history entry, so back/forward step through them.
+    const URL_STATE_DELAY = 400;
+
+    let urlStateReady = false;
+    let restoringUrlState = false;
+    let urlStateTimer = null;
+    let urlStateQueue = Promise.resolve();
+    let openFeature = null; // { layerName, index } of the feature whose popup is open
+
+    // Keep "/", "|" and "," readable in the hash
+    function encodeHashValue(value) {
+        return encodeURIComponent(value).replace(/%2F/g, '/').replace(/%7C/g, '|').replace(/%2C/g, ',');
+    }
+
+    function parseUrlState(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const state = {};
+
+        const view = (params.get('map') || '').split('/').map(Number);
+        if (view.length === 3 && view.every(isFinite)) {
+            state.zoom = view[0];
+            state.center = [view[1], view[2]];
+        }
+
+        if (CONFIG.basemaps[params.get('base')]) {
+            state.basemap = params.get('base');
+        }
+
+        if (params.has('layers')) {
+            state.layers = params.get('layers').split(',').filter(layerName => CONFIG.layers[layerName]);
+        }
+
+        if (params.has('attr')) {
+            state.attributes = params.getAll('attr').filter(Boolean);
+        }
+
+        state.thematic = params.getAll('thematic').map(value => {
+            const [layerName, attribute, method, numClasses, ramp, reversed, normalizeBy, normalizeMode, manualBreaks] = value.split('|');
+            return {
+                layerName,
+                attribute,
+                method: CLASSIFICATION_METHODS[method] ? method : 'quantile',
+                numClasses: Math.min(MAX_CLASSES, Math.max(MIN_CLASSES, parseInt(numClasses, 10) || 5)),
+                ramp: COLOR_RAMPS[ramp] ? ramp : 'YlOrRd',
+                reversed: reversed === '1',
+                normalizeBy: normalizeBy || null,
+                normalizeMode: NORMALIZATION_MODES[normalizeMode] ? normalizeMode : 'percent',
+                manualBreaks: manualBreaks ? manualBreaks.split(';').map(Number).filter(isFinite) : []
+            };
+        }).filter(entry => CONFIG.layers[entry.layerName] && entry.attribute);
+
+        const [featureLayer, featureIndex] = (params.get('feature') || '').split('|');
+        if (CONFIG.layers[featureLayer] && /^\d+$/.test(featureIndex)) {
+            state.feature = { layerName: featureLayer, index: Number(featureIndex) };
+        }
+
+        return state;
+    }
+
+    function serializeUrlState() {
+        const center = map.getCenter();
+        const parts = [
+            `map=${map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`,
+            `base=${currentBasemap}`,
+            `layers=${getVisibleLayerNames().join(',')}`,
+            ...[...selectedAttributes].map(key => `attr=${encodeHashValue(key)}`)
+        ];
+
+        Object.entries(thematicStates)
+            .filter(([layerName, state]) => state.attribute && getActiveLayerNames().includes(layerName))
+            .forEach(([layerName, state]) => {
+                const fields = [
+                    layerName, state.attribute, state.method, state.numClasses, state.ramp, state.reversed ? 1 : 0,
+                    state.normalizeBy || '', state.normalizeMode, state.manualBreaks.join(';')
+                ];
+                parts.push(`thematic=${fields.map(encodeHashValue).join('|')}`);
+            });
+
+        if (openFeature) {
+            parts.push(`feature=${openFeature.layerName}|${openFeature.index}`);
+        }
+        return `#${parts.join('&')}`;
+    }
+
+    // Layers to load on startup: the ones in the hash, else the registry defaults
+    function getInitialLayerNames() {
+        const state = parseUrlState(window.location.hash);
+        return state.layers || Object.keys(CONFIG.layers).filter(layerName => CONFIG.layers[layerName].visible);
+    }
+
+    function scheduleUrlStateUpdate() {
+        if (!urlStateReady || restoringUrlState) return;
+
+        clearTimeout(urlStateTimer);
+        urlStateTimer = setTimeout(() => {
+            const hash = serializeUrlState();
+            if (hash !== window.location.hash) {
+                history.pushState(null, '', hash);
+            }
+        }, URL_STATE_DELAY);
+    }
+
+    function setOpenFeature(layerName, featureLayer) {
+        const index = dataLayers[layerName].getLayers().indexOf(featureLayer);
+        openFeature = index === -1 ? null : { layerName, index };
+        scheduleUrlStateUpdate();
+    }
+
+    // Bring the app to a parsed URL state: layers first, then what depends on them
+    async function applyUrlState(state) {
+        restoringUrlState = true;
+        clearTimeout(urlStateTimer);
+
+        try {
+            if (state.basemap && state.basemap !== currentBasemap) {
+                addBasemap(state.basemap);
+            }
+
+            if (state.layers) {
+                for (const layerName of Object.keys(CONFIG.layers)) {
+                    const visible = state.layers.includes(layerName);
+                    const active = Boolean(getMapLayer(layerName) && map.hasLayer(getMapLayer(layerName)));
+                    if (visible === active) continue;
+
+                    const checkbox = document.getElementById(`layer-${layerName}`);
+                    checkbox.checked = visible;
+                    try {
+                        await setLayerVisibility(layerName, visible);
+                    } catch (error) {
+                        checkbox.checked = false;
+                    }
+                }
+            }
+
+            if (state.attributes) {
+                selectedAttributes = new Set(state.attributes);
+                buildAttributesList();
+                renderAttributeTable();
+            }
+
+            applyUrlThematicState(state.thematic || []);
+
+            if (state.center) {
+                map.setView(state.center, state.zoom, { animate: false });
+            }
+
+            openUrlFeature(state.feature);
+        } finally {
+            restoringUrlState = false;
+        }
+    }
+
+    function applyUrlThematicState(entries) {
+        for (const layerName of Object.keys(thematicStates)) {
+            if (thematicStates[layerName].attribute && !entries.some(entry => entry.layerName === layerName)) {
+                resetThematicMapping(layerName);
+            }
+        }
+
+        entries.forEach(entry => {
+            if (!isDataLayerActive(entry.layerName)) return;
+
+            const { layerName, attribute, ...settings } = entry;
+            const state = getThematicState(layerName);
+            const unchanged = state.attribute === attribute &&
+                Object.entries(settings).every(([key, value]) => JSON.stringify(state[key]) === JSON.stringify(value));
+            if (unchanged) return;
+
+            Object.assign(state, settings);
+            applyThematicMapping(layerName, attribute, getFieldLabel(attribute, layerName));
+        });
+
+        syncThematicPanel();
+    }
+
+    function openUrlFeature(feature) {
+        const featureLayer = feature && dataLayers[feature.layerName]?.getLayers()[feature.index];
+        if (!featureLayer || !isDataLayerActive(feature.layerName)) {
+            openFeature = null;
+            map.closePopup();
+            return;
+        }
+
+        const latlng = featureLayer.getCenter ? featureLayer.getCenter() : featureLayer.getLatLng();
+        featureLayer.fire('click', { latlng });
+    }
+
+    // Called once the initial layers are loaded
+    async function restoreUrlState() {
+        const state = parseUrlState(window.location.hash);
+        await applyUrlState({ ...state, layers: undefined, basemap: undefined, center: undefined });
+
+        urlStateReady = true;
+        history.replaceState(null, '', serializeUrlState());
+
+        map.on('moveend', scheduleUrlStateUpdate);
+        map.on('popupclose', () => {
+            openFeature = null;
+            scheduleUrlStateUpdate();
+        });
+        window.addEventListener('popstate', () => {
+            const nextState = parseUrlState(window.location.hash);
+            urlStateQueue = urlStateQueue.then(() => applyUrlState(nextState));
+        });
+    }
+
+    // ==================== Feature Search ====================
+    // Accent-insensitive fuzzy search over the searchFields of the loaded layers
+    const SEARCH_MAX_RESULTS = 10;
+    const SEARCH_MIN_LENGTH = 2;
+
+    const searchIndex = {}; // layerName -> [{ featureLayer, key, value, text, context }]
+    let searchResults = [];
+    let searchActiveIndex = -1;
+
+    // Loaded layers never change their features, so each index is built once.
+    // Matches on a secondary field carry the first field as context, so the
+    // sectors of one neighborhood can be told apart in the list.
+    function getSearchEntries(layerName) {
+        if (!searchIndex[layerName]) {
+            const fields = CONFIG.layers[layerName].searchFields || [];
+            searchIndex[layerName] = [];
+            dataLayers[layerName].getLayers().forEach(featureLayer => {
+                const props = featureLayer.feature.properties;
+                const primary = props[fields[0]] ?? '';
+                fields.forEach(key => {
+                    if (props[key] === undefined || props[key] === null || props[key] === '') return;
+                    const value = String(props[key]).trim();
+                    const context = key === fields[0] ? '' : String(primary).trim();
+                    searchIndex[layerName].push({ featureLayer, key, value, text: normalizeText(value), context });
+                });
+            });
+        }
+        return searchIndex[layerName];
+    }
+
+    function levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // 0 means no match; exact > prefix > word prefix > substring > typo-tolerant
+    function scoreSearchMatch(text, query) {
+        if (text === query) return 100;
+        if (text.startsWith(query)) return 80;
+
+        const words = text.split(/[\s\-/]+/).filter(Boolean);
+        if (words.some(word => word.startsWith(query))) return 70;
+        if (text.includes(query)) return 60;
+
+        // Every query token must be close to the start of some word, allowing
+        // one typo per four letters; codes only match exactly
+        const tokens = query.split(/\s+/).filter(Boolean);
+        let distance = 0;
+        for (const token of tokens) {
+            const tolerance = Math.floor(token.length / 4);
+            if (tolerance === 0 || /^\d+$/.test(token)) return 0;
+
+            const best = Math.min(...words.map(word => levenshtein(token, word.slice(0, token.length))));
+            if (best > tolerance) return 0;
+            distance += best;
+        }
+        return 50 - distance;
+    }
+
+    function searchFeatures(text) {
+        const query = normalizeText(text).trim().replace(/\s+/g, ' ');
+        if (query.length < SEARCH_MIN_LENGTH) return [];
+
+        // Keep the best match of each feature
+        const best = new Map();
+        for (const layerName of Object.keys(CONFIG.layers)) {
+            if (!dataLayers[layerName]) continue;
+
+            getSearchEntries(layerName).forEach(entry => {
+                const score = scoreSearchMatch(entry.text, query);
+                if (score === 0) return;
+
+                const id = L.stamp(entry.featureLayer);
+                if (!best.has(id) || best.get(id).score < score) {
+                    best.set(id, { ...entry, layerName, score });
+                }
+            });
+        }
+
+        return [...best.values()]
+            .sort((a, b) => b.score - a.score ||
+                a.value.localeCompare(b.value, 'pt-BR', { numeric: true }) ||
+                a.context.localeCompare(b.context, 'pt-BR', { numeric: true }))
+            .slice(0, SEARCH_MAX_RESULTS);
+    }
+
+    function renderSearchResults() {
+        const list = document.getElementById('searchResults');
+        list.innerHTML = '';
+
+        const query = document.getElementById('searchInput').value;
+        if (normalizeText(query).trim().length < SEARCH_MIN_LENGTH) {
+            list.classList.remove('active');
+            return;
+        }
+
+        if (searchResults.length === 0) {
+            list.innerHTML = '<li class="search-empty">Nenhum resultado nas camadas carregadas</li>';
+        }
+
+        searchResults.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-result' + (index === searchActiveIndex ? ' active' : '');
+            item.innerHTML = `
+                <span class="search-result-value">${escapeXml(result.value)}</span>
+                <span class="search-result-meta">${escapeXml(CONFIG.layers[result.layerName].name)} · ${escapeXml(getAttributeLabel(result.key, result.layerName))}${result.context ? ` · ${escapeXml(result.context)}` : ''}</span>
+            `;
+            // mousedown fires before the input loses focus and hides the list
+            item.addEventListener('mousedown', e => {
+                e.preventDefault();
+                selectSearchResult(result);
+            });
+            list.appendChild(item);
+        });
+
+        list.classList.add('active');
+    }
+
+    function updateSearch() {
+        searchResults = searchFeatures(document.getElementById('searchInput').value);
+        searchActiveIndex = searchResults.length > 0 ? 0 : -1;
+        renderSearchResults();
+    }
+
+    function closeSearchResults() {
+        document.getElementById('searchResults').classList.remove('active');
+    }
+
+    async function selectSearchResult({ layerName, featureLayer, value }) {
+        document.getElementById('searchInput').value = value;
+        closeSearchResults();
+
+        // Loaded but hidden layers are switched back on
+        if (!isDataLayerActive(layerName)) {
+            document.getElementById(`layer-${layerName}`).checked = true;
+            await setLayerVisibility(layerName, true);
+        }
+
+        let latlng;
+        if (featureLayer.getBounds) {
+            map.fitBounds(featureLayer.getBounds(), { padding: [40, 40], maxZoom: 17 });
+            latlng = featureLayer.getCenter();
+        } else {
+            latlng = featureLayer.getLatLng();
+            map.setView(latlng, Math.max(map.getZoom(), 17));
+        }
+
+        showFeatureInfo({ target: featureLayer, latlng });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const searchInput = document.getElementById('searchInput');
+
+        searchInput.addEventListener('input', updateSearch);
+        searchInput.addEventListener('focus', () => {
+            if (searchInput.value) updateSearch();
+        });
+        searchInput.addEventListener('blur', closeSearchResults);
+
+        searchInput.addEventListener('keydown', e => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (searchResults.length === 0) return;
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                searchActiveIndex = (searchActiveIndex + step + searchResults.length) % searchResults.length;
+                renderSearchResults();
+            } else if (e.key === 'Enter') {
+                if (searchResults[searchActiveIndex]) {
+                    selectSearchResult(searchResults[searchActiveIndex]);
+                }
+            } else if (e.key === 'Escape') {
+                // Keep the global Escape handler from closing other dialogs
+                e.stopPropagation();
+                closeSearchResults();
+                searchInput.blur();
+            }
+        });
+    });
+
+    // ==================== Spatial Aggregation ====================
+    // Roll up the numeric attributes of one layer (e.g. sectors) into the
+    // polygons of another, producing an in-memory layer that can be mapped,
+    // queried, shown in the grid and exported like any other.
+    const AGGREGATION_METHODS = {
+        attribute: 'Código do bairro (CD_BAIRRO)',
+        centroid: 'Ponto no polígono (centroide)',
+        area: 'Sobreposição ponderada pela área'
+    };
+    const AGGREGATION_GROUP_FIELD = 'CD_BAIRRO';
+    const AGGREGATION_COUNT_FIELD = 'N_FEICOES';
+    const AGGREGATION_COLOR = '#f5576c';
+
+    // Rates are recomputed from the summed counts instead of being summed:
+    // ratio = Σ numerator / Σ denominator, weighted mean = Σ (value × weight) / Σ weight.
+    // deficit_hab carries the same fields under 10-character shapefile names.
+    const AGGREGATION_RATES = {
+        'v0005': { numerator: 'v0001', denominator: 'v0007' },
+        'v0006': { weight: 'v0002' },
+        'RENDIMENTO NOMINAL MÉDIO POR SETOR': { weight: 'Pessoas responsáveis em domicílios particulares permanentes ocupados' },
+        'RENDIMENTO': { weight: 'Pessoas re' }
+    };
+
+    let aggregationCount = 0;
+
+    function isPolygonLayer(layerName) {
+        const featureLayer = dataLayers[layerName]?.getLayers()[0];
+        return Boolean(featureLayer && /Polygon$/.test(featureLayer.feature.geometry.type));
+    }
+
+    function getAggregationTargetNames(sourceName) {
+        return getActiveLayerNames().filter(layerName => layerName !== sourceName && isPolygonLayer(layerName));
+    }
+
+    // Summed fields and recomputed rates of a source layer
+    function getAggregationFields(sourceName) {
+        const numeric = getNumericFields(sourceName);
+        const rates = numeric.filter(key => {
+            const rule = AGGREGATION_RATES[key];
+            return rule && [rule.numerator, rule.denominator, rule.weight].filter(Boolean).every(field => numeric.includes(field));
+        });
+        return { sums: numeric.filter(key => !rates.includes(key)), rates };
+    }
+
+    // Accumulate one source feature, scaled by the share of it that falls in the group
+    function addToAggregate(aggregate, props, fields, share) {
+        aggregate.count++;
+        fields.sums.forEach(key => {
+            const value = toNumber(props[key]);
+            if (value !== null) {
+                aggregate.sums[key] = (aggregate.sums[key] || 0) + value * share;
+            }
+        });
+        fields.rates.forEach(key => {
+            const weightKey = AGGREGATION_RATES[key].weight;
+            if (!weightKey) return;
+            const value = toNumber(props[key]);
+            const weight = toNumber(props[weightKey]);
+            if (value !== null && weight !== null) {
+                const entry = aggregate.weighted[key] || (aggregate.weighted[key] = { total: 0, weight: 0 });
+                entry.total += value * weight * share;
+                entry.weight += weight * share;
+            }
+        });
+    }
+
+    function getAggregateProperties(aggregate, fields) {
+        const props = { [AGGREGATION_COUNT_FIELD]: aggregate.count };
+
+        // Counts are apportioned fractionally by the area overlay; keep four decimals for AREA_KM2
+        fields.sums.forEach(key => {
+            props[key] = key in aggregate.sums ? Math.round(aggregate.sums[key] * 10000) / 10000 : null;
+        });
+        fields.rates.forEach(key => {
+            const rule = AGGREGATION_RATES[key];
+            const [total, base] = rule.weight ?
+                [aggregate.weighted[key]?.total, aggregate.weighted[key]?.weight] :
+                [aggregate.sums[rule.numerator], aggregate.sums[rule.denominator]];
+            props[key] = base ? Math.round(total / base * 10000) / 10000 : null;
+        });
+        return props;
+    }
+
+    function createAggregate() {
+        return { count: 0, sums: {}, weighted: {} };
+    }
+
+    // Text attributes shared by every member of a group (municipality, district, neighborhood name...)
+    function getCommonTextProperties(propsList) {
+        const common = {};
+        for (const [key, value] of Object.entries(propsList[0])) {
+            if (typeof value !== 'string' || value.trim() === '' || !isNaN(value)) continue;
+            if (propsList.every(props => props[key] === value)) {
+                common[key] = value;
+            }
+        }
+        return common;
+    }
+
+    function aggregateByAttribute(sourceName, fields) {
+        const groups = new Map();
+        dataLayers[sourceName].eachLayer(featureLayer => {
+            const key = featureLayer.feature.properties[AGGREGATION_GROUP_FIELD];
+            if (key === undefined || key === null || key === '') return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(featureLayer.feature);
+        });
+
+        return [...groups].map(([key, features]) => {
+            const aggregate = createAggregate();
+            features.forEach(feature => addToAggregate(aggregate, feature.properties, fields, 1));
+
+            // Dissolve the member polygons into one outline
+            const geometry = features.length === 1 ?
+                features[0].geometry :
+                turf.union(turf.featureCollection(features))?.geometry;
+
+            return {
+                type: 'Feature',
+                geometry: geometry || features[0].geometry,
+                properties: {
+                    ...getCommonTextProperties(features.map(feature => feature.properties)),
+                    [AGGREGATION_GROUP_FIELD]: key,
+                    ...getAggregateProperties(aggregate, fields)
+                }
+            };
+        });
+    }
+
+    function bboxOverlaps(a, b) {
+        return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+    }
+
+    // Fraction of a polygon feature (of area `featureArea` m²) covered by another polygon
+    function getAreaShare(feature, featureArea, polygon) {
+        const intersection = turf.intersect(turf.featureCollection([feature, polygon]));
+        return intersection ? Math.min(turf.area(intersection) / featureArea, 1) : 0;
+    }
+
+    function aggregateByOverlay(sourceName, targetName, method, fields) {
+        const targets = dataLayers[targetName].getLayers().map(featureLayer => ({
+            feature: featureLayer.feature,
+            bbox: turf.bbox(featureLayer.feature),
+            aggregate: createAggregate()
+        }));
+
+        dataLayers[sourceName].eachLayer(featureLayer => {
+            const feature = featureLayer.feature;
+            if (!feature.geometry) return;
+
+            if (method === 'centroid') {
+                // pointOnFeature stays inside concave polygons, unlike the centroid
+                const point = feature.geometry.type === 'Point' ? feature : turf.pointOnFeature(feature);
+                const target = targets.find(entry => turf.booleanPointInPolygon(point, entry.feature));
+                if (target) {
+                    addToAggregate(target.aggregate, feature.properties, fields, 1);
+                }
+                return;
+            }
+
+            const bbox = turf.bbox(feature);
+            const area = turf.area(feature);
+            if (area === 0) return;
+
+            targets.filter(entry => bboxOverlaps(bbox, entry.bbox)).forEach(entry => {
+                const share = getAreaShare(feature, area, entry.feature);
+                if (share > 1e-6) {
+                    addToAggregate(entry.aggregate, feature.properties, fields, share);
+                }
+            });
+        });
+
+        return targets.map(({ feature, aggregate }) => ({
+            type: 'Feature',
+            geometry: feature.geometry,
+            properties: {
+                ...getCommonTextProperties([feature.properties]),
+                ...getAggregateProperties(aggregate, fields)
+            }
+        }));
+    }
+
+    function getAggregationConfig(sourceName, targetName, method) {
+        const source = CONFIG.layers[sourceName];
+        const target = method === 'attribute' ? CONFIG.layers.bairros : CONFIG.layers[targetName];
+        const targetLabel = method === 'attribute' ? 'Bairro (CD_BAIRRO)' : target.name;
+        const countLabel = `${source.name} agregados`;
+
+        return {
+            name: `${source.name} por ${targetLabel}`,
+            description: `Agregação de ${source.name} — ${AGGREGATION_METHODS[method].toLowerCase()}`,
+            color: AGGREGATION_COLOR,
+            crs: null,
+            labelField: target.labelField,
+            style: {},
+            pointStyle: {},
+            fields: {
+                ...source.fields,
+                [AGGREGATION_COUNT_FIELD]: { alias: countLabel, type: 'integer', group: '🧩 Agregação' }
+            },
+            popup: {
+                titleField: target.popup.titleField,
+                title: target.popup.title,
+                fields: [...CENSUS_POPUP_FIELDS, AGGREGATION_COUNT_FIELD]
+            },
+            searchFields: target.searchFields,
+            visible: true,
+            panels: ['thematicMappingPanel', 'queryBuilderPanel']
+        };
+    }
+
+    async function runAggregation(sourceName, targetName, method) {
+        const fields = getAggregationFields(sourceName);
+        if (fields.sums.length === 0 && fields.rates.length === 0) {
+            notify('A camada de origem não possui atributos numéricos para agregar.', 'warning');
+            return;
+        }
+
+        showLoading();
+        // Let the loading indicator paint before the synchronous overlay
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        try {
+            const features = method === 'attribute' ?
+                aggregateByAttribute(sourceName, fields) :
+                aggregateByOverlay(sourceName, targetName, method, fields);
+            if (features.length === 0) {
+                notify(`Nenhuma feição de origem possui o campo ${AGGREGATION_GROUP_FIELD}.`, 'warning');
+                return;
+            }
+
+            const layerName = `agregacao_${++aggregationCount}`;
+            await addMemoryLayer(layerName, getAggregationConfig(sourceName, targetName, method), {
+                type: 'FeatureCollection',
+                features
+            });
+            console.log(`Aggregated ${sourceName} into ${layerName}: ${features.length} features`);
+        } catch (error) {
+            console.error('Error aggregating layer:', error);
+            notify(`Erro ao agregar camada: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function refreshAggregationPanel() {
+        const sourceSelect = document.getElementById('aggregationSourceSelect');
+        const targetSelect = document.getElementById('aggregationTargetSelect');
+        const method = document.getElementById('aggregationMethodSelect').value;
+
+        const sources = getActiveLayerNames();
+        const previousSource = sourceSelect.value;
+        sourceSelect.innerHTML = sources
+            .map(layerName => `<option value="${layerName}">${escapeXml(CONFIG.layers[layerName].name)}</option>`)
+            .join('');
+        sourceSelect.value = sources.includes(previousSource) ? previousSource : (sources.includes('setores') ? 'setores' : sources[0] || '');
+
+        const targets = getAggregationTargetNames(sourceSelect.value);
+        const previousTarget = targetSelect.value;
+        targetSelect.innerHTML = targets
+            .map(layerName => `<option value="${layerName}">${escapeXml(CONFIG.layers[layerName].name)}</option>`)
+            .join('');
+        targetSelect.value = targets.includes(previousTarget) ? previousTarget : targets[0] || '';
+        targetSelect.disabled = method === 'attribute';
+
+        const ready = Boolean(sourceSelect.value) && (method === 'attribute' || Boolean(targetSelect.value)) &&
+            (method !== 'area' || isPolygonLayer(sourceSelect.value));
+        document.getElementById('runAggregationBtn').disabled = !ready;
+        document.getElementById('aggregationHint').textContent = sources.length === 0 ?
+            'Ative uma camada para usá-la como origem.' :
+            method === 'area' && !isPolygonLayer(sourceSelect.value) ?
+                'A sobreposição por área exige uma camada de origem poligonal.' :
+                'Contagens são somadas; taxas e médias são recalculadas a partir das somas.';
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const methodSelect = document.getElementById('aggregationMethodSelect');
+        methodSelect.innerHTML = Object.entries(AGGREGATION_METHODS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        ['aggregationSourceSelect', 'aggregationTargetSelect', 'aggregationMethodSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', refreshAggregationPanel);
+        });
+
+        document.getElementById('runAggregationBtn').addEventListener('click', () => {
+            runAggregation(
+                document.getElementById('aggregationSourceSelect').value,
+                document.getElementById('aggregationTargetSelect').value,
+                methodSelect.value
+            );
+        });
+    });
+
+    // ==================== Measurement & Drawing ====================
+    // Click-to-add-vertex tools for measuring and for sketching annotations.
+    // Distances are geodesic on the GRS80 ellipsoid of SIRGAS 2000 (Vincenty);
+    // areas are planar in an equal-area projection of the same ellipsoid.
+    const ANNOTATION_STORAGE_KEY = 'geoportal-japeri:annotations';
+    const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+    const MEASURE_AREA_PROJ = `+proj=laea +lat_0=${CONFIG.center[0]} +lon_0=${CONFIG.center[1]} +x_0=0 +y_0=0 +ellps=GRS80 +units=m +no_defs`;
+    const MAP_TOOL_PANE = 'mapToolPane';
+
+    const MAP_TOOLS = {
+        distance: { geometry: 'line', measure: true, hint: 'Clique para adicionar pontos; clique duplo ou Enter conclui a medição. Esc cancela.' },
+        area: { geometry: 'polygon', measure: true, hint: 'Clique para adicionar vértices; clique duplo ou Enter conclui a medição. Esc cancela.' },
+        point: { geometry: 'point', label: 'Ponto', hint: 'Clique no mapa para marcar o ponto.' },
+        line: { geometry: 'line', label: 'Linha', hint: 'Clique para adicionar vértices; clique duplo ou Enter conclui a linha. Esc cancela.' },
+        polygon: { geometry: 'polygon', label: 'Polígono', hint: 'Clique para adicionar vértices; clique duplo ou Enter conclui o polígono. Esc cancela.' },
+        text: { geometry: 'point', label: 'Texto', text: true, hint: 'Clique no mapa onde a nota deve ficar.' },
+        // Tools with onFinish hand the vertices over instead of measuring or annotating
+        statsPolygon: {
+            geometry: 'polygon',
+            hint: 'Desenhe a área de interesse; clique duplo ou Enter conclui. Esc cancela.',
+            onFinish: vertices => summarizeDrawnArea(vertices)
+        },
+        statsBuffer: {
+            geometry: 'point',
+            hint: 'Clique no centro da área de interesse.',
+            onFinish: vertices => summarizeBufferArea(vertices[0])
+        }
+    };
+    const MIN_VERTICES = { point: 1, line: 2, polygon: 3 };
+
+    const MEASURE_STYLE = { color: '#4facfe', weight: 3, fillOpacity: 0.15, interactive: false, pane: MAP_TOOL_PANE };
+    const ANNOTATION_STYLE = { color: '#ffb703', weight: 3, fillOpacity: 0.2, pane: MAP_TOOL_PANE };
+    const VERTEX_STYLE = { radius: 4, color: '#ffffff', weight: 2, fillColor: '#4facfe', fillOpacity: 1, interactive: false, pane: MAP_TOOL_PANE };
+
+    let activeMapTool = null;
+    let sketchVertices = [];
+    let sketchLayer = null;
+    let measureLayer = null;
+    let annotationLayer = null;
+    let annotations = loadAnnotations();
+
+    function geodesicDistance(from, to) {
+        const { a, f } = GRS80;
+        const b = a * (1 - f);
+        const toRad = Math.PI / 180;
+
+        const L = (to.lng - from.lng) * toRad;
+        const U1 = Math.atan((1 - f) * Math.tan(from.lat * toRad));
+        const U2 = Math.atan((1 - f) * Math.tan(to.lat * toRad));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let previousLambda;
+        let iterations = 0;
+        let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+        do {
+            const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+            sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+            if (sinSigma === 0) return 0;
+
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cosSqAlpha = 1 - sinAlpha ** 2;
+            cos2SigmaM = cosSqAlpha === 0 ? 0 : cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha;
+
+            const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+            previousLambda = lambda;
+            lambda = L + (1 - C) * f * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+        } while (Math.abs(lambda - previousLambda) > 1e-12 && ++iterations < 100);
+
+        // Only nearly antipodal points fail to converge; fall back to the sphere
+        if (iterations >= 100) return map.distance(from, to);
+
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+            B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+
+        return b * A * (sigma - deltaSigma);
+    }
+
+    function getLineLength(latlngs) {
+        let length = 0;
+        for (let i = 1; i < latlngs.length; i++) {
+            length += geodesicDistance(latlngs[i - 1], latlngs[i]);
+        }
+        return length;
+    }
+
+    function getPolygonArea(latlngs) {
+        const points = latlngs.map(latlng => proj4('EPSG:4326', MEASURE_AREA_PROJ, [latlng.lng, latlng.lat]));
+        let area = 0;
+        points.forEach(([x1, y1], i) => {
+            const [x2, y2] = points[(i + 1) % points.length];
+            area += x1 * y2 - x2 * y1;
+        });
+        return Math.abs(area) / 2;
+    }
+
+    function formatLength(meters) {
+        return meters >= 1000 ?
+            `${(meters / 1000).toLocaleString('pt-BR', { maximumFractionDigits: 3 })} km` :
+            `${meters.toLocaleString('pt-BR', { maximumFractionDigits: 1 })} m`;
+    }
+
+    function formatArea(squareMeters) {
+        if (squareMeters >= 1e6) {
+            return `${(squareMeters / 1e6).toLocaleString('pt-BR', { maximumFractionDigits: 3 })} km²`;
+        }
+        if (squareMeters >= 1e4) {
+            return `${(squareMeters / 1e4).toLocaleString('pt-BR', { maximumFractionDigits: 2 })} ha`;
+        }
+        return `${squareMeters.toLocaleString('pt-BR', { maximumFractionDigits: 1 })} m²`;
+    }
+
+    function getMeasurementLabel(geometry, latlngs) {
+        if (geometry === 'polygon' && latlngs.length > 2) {
+            const perimeter = getLineLength([...latlngs, latlngs[0]]);
+            return `${formatArea(getPolygonArea(latlngs))} · perímetro ${formatLength(perimeter)}`;
+        }
+        if (geometry !== 'point' && latlngs.length > 1) {
+            return formatLength(getLineLength(latlngs));
+        }
+        return null;
+    }
+
+    // Dashed outline of the shape being drawn, following the pointer
+    function renderSketch(pointer) {
+        sketchLayer.clearLayers();
+
+        const tool = MAP_TOOLS[activeMapTool];
+        const latlngs = pointer ? [...sketchVertices, pointer] : sketchVertices;
+        if (!tool || latlngs.length < 2) return;
+
+        const style = { ...(tool.measure ? MEASURE_STYLE : ANNOTATION_STYLE), dashArray: '6 6', interactive: false };
+        const shape = tool.geometry === 'polygon' && latlngs.length > 2 ?
+            L.polygon(latlngs, style) :
+            L.polyline(latlngs, style);
+        sketchLayer.addLayer(shape);
+        sketchVertices.forEach(latlng => sketchLayer.addLayer(L.circleMarker(latlng, VERTEX_STYLE)));
+
+        shape.bindTooltip(getMeasurementLabel(tool.geometry, latlngs), {
+            permanent: true,
+            direction: 'right',
+            offset: [12, 0],
+            className: 'measure-tooltip'
+        }).openTooltip(latlngs[latlngs.length - 1]);
+    }
+
+    function resetSketch() {
+        sketchVertices = [];
+        if (sketchLayer) sketchLayer.clearLayers();
+    }
+
+    function setMapTool(tool) {
+        activeMapTool = tool;
+        resetSketch();
+        if (measureLayer && !MAP_TOOLS[tool]?.measure) measureLayer.clearLayers();
+
+        document.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+
+        const hint = document.getElementById('mapToolHint');
+        hint.textContent = tool ? MAP_TOOLS[tool].hint : '';
+        hint.style.display = tool ? 'block' : 'none';
+
+        // Double clicks finish shapes instead of zooming
+        map.getContainer().classList.toggle('map-tool-active', Boolean(tool));
+        if (tool) {
+            map.doubleClickZoom.disable();
+        } else {
+            map.doubleClickZoom.enable();
+        }
+    }
+
+    function handleMapToolClick(e) {
+        if (!activeMapTool) return;
+
+        // A new measurement replaces the previous one
+        if (sketchVertices.length === 0 && MAP_TOOLS[activeMapTool].measure) {
+            measureLayer.clearLayers();
+        }
+
+        sketchVertices.push(e.latlng);
+        if (MAP_TOOLS[activeMapTool].geometry === 'point') {
+            finishSketch();
+        } else {
+            renderSketch();
+        }
+    }
+
+    function finishSketch() {
+        const tool = MAP_TOOLS[activeMapTool];
+        // The two clicks of a double click land on the same vertex
+        const vertices = sketchVertices.filter((latlng, i) => i === 0 || !latlng.equals(sketchVertices[i - 1]));
+        resetSketch();
+        if (!tool || vertices.length < MIN_VERTICES[tool.geometry]) return;
+
+        if (tool.onFinish) {
+            setMapTool(null);
+            tool.onFinish(vertices);
+            return;
+        }
+
+        if (tool.measure) {
+            const style = { ...MEASURE_STYLE };
+            const shape = tool.geometry === 'polygon' ? L.polygon(vertices, style) : L.polyline(vertices, style);
+            measureLayer.addLayer(shape);
+            shape.bindTooltip(getMeasurementLabel(tool.geometry, vertices), {
+                permanent: true,
+                direction: 'right',
+                offset: [12, 0],
+                className: 'measure-tooltip'
+            }).openTooltip(vertices[vertices.length - 1]);
+            return;
+        }
+
+        if (tool.text) {
+            openAnnotationTextForm(vertices[0]);
+            return;
+        }
+        addAnnotation(createAnnotation(activeMapTool, vertices, null));
+    }
+
+    // The text of a note is typed in a popup at the clicked point; Esc or closing it cancels
+    function openAnnotationTextForm(latlng) {
+        const form = document.createElement('form');
+        form.className = 'popup-content annotation-text-form';
+        form.innerHTML = `
+            <input type="text" class="thematic-select" placeholder="Texto da anotação">
+            <button type="submit" class="btn-table">Adicionar</button>
+        `;
+        const input = form.querySelector('input');
+        const popup = L.popup().setLatLng(latlng).setContent(form);
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            const text = input.value.trim();
+            if (!text) return;
+            map.closePopup(popup);
+            addAnnotation(createAnnotation('text', [latlng], text));
+        });
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                map.closePopup(popup);
+            }
+        });
+
+        popup.openOn(map);
+        input.focus();
+    }
+
+    function createAnnotation(kind, latlngs, text) {
+        const coordinates = latlngs.map(latlng => [latlng.lng, latlng.lat]);
+        const geometry = kind === 'line' ?
+            { type: 'LineString', coordinates } :
+            kind === 'polygon' ?
+                { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] } :
+                { type: 'Point', coordinates: coordinates[0] };
+
+        const properties = { id: `annotation_${Date.now()}`, kind, text, created: new Date().toISOString() };
+        if (kind === 'line') {
+            properties.length_m = Math.round(getLineLength(latlngs) * 10) / 10;
+        } else if (kind === 'polygon') {
+            properties.area_m2 = Math.round(getPolygonArea(latlngs) * 10) / 10;
+            properties.perimeter_m = Math.round(getLineLength([...latlngs, latlngs[0]]) * 10) / 10;
+        }
+
+        return { type: 'Feature', geometry, properties };
+    }
+
+    function loadAnnotations() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ANNOTATION_STORAGE_KEY));
+            return stored?.type === 'FeatureCollection' ? stored : { type: 'FeatureCollection', features: [] };
+        } catch (error) {
+            console.warn('Could not read annotations:', error);
+            return { type: 'FeatureCollection', features: [] };
+        }
+    }
+
+    function saveAnnotations() {
+        localStorage.setItem(ANNOTATION_STORAGE_KEY, JSON.stringify(annotations));
+    }
+
+    function addAnnotation(feature) {
+        annotations.features.push(feature);
+        saveAnnotations();
+        renderAnnotations();
+    }
+
+    function removeAnnotation(id) {
+        annotations.features = annotations.features.filter(feature => feature.properties.id !== id);
+        saveAnnotations();
+        renderAnnotations();
+    }
+
+    function getAnnotationPopup(feature) {
+        const props = feature.properties;
+        const container = document.createElement('div');
+        container.className = 'popup-content annotation-popup';
+        container.innerHTML = `<h3>${MAP_TOOLS[props.kind]?.label || 'Anotação'}</h3>`;
+
+        if (props.text) {
+            container.innerHTML += `<p>${escapeXml(props.text)}</p>`;
+        }
+        if (props.length_m !== undefined) {
+            container.innerHTML += `<p><strong>Comprimento:</strong> ${formatLength(props.length_m)}</p>`;
+        }
+        if (props.area_m2 !== undefined) {
+            container.innerHTML += `<p><strong>Área:</strong> ${formatArea(props.area_m2)}</p>`;
+            container.innerHTML += `<p><strong>Perímetro:</strong> ${formatLength(props.perimeter_m)}</p>`;
+        }
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-table';
+        removeButton.textContent = 'Excluir anotação';
+        removeButton.addEventListener('click', () => {
+            map.closePopup();
+            removeAnnotation(props.id);
+        });
+        container.appendChild(removeButton);
+        return container;
+    }
+
+    function renderAnnotations() {
+        annotationLayer.clearLayers();
+
+        L.geoJSON(annotations, {
+            style: ANNOTATION_STYLE,
+            pointToLayer: (feature, latlng) => feature.properties.kind === 'text' ?
+                L.marker(latlng, {
+                    pane: MAP_TOOL_PANE,
+                    icon: L.divIcon({ className: 'annotation-text', html: escapeXml(feature.properties.text), iconSize: null })
+                }) :
+                L.circleMarker(latlng, { ...ANNOTATION_STYLE, radius: 6, fillOpacity: 0.8 }),
+            onEachFeature: (feature, layer) => {
+                layer.on('click', e => {
+                    if (activeMapTool) return;
+                    L.popup().setLatLng(e.latlng).setContent(getAnnotationPopup(feature)).openOn(map);
+                });
+            }
+        }).eachLayer(layer => annotationLayer.addLayer(layer));
+    }
+
+    function clearAnnotations() {
+        annotations.features = [];
+        saveAnnotations();
+        renderAnnotations();
+    }
+
+    function exportAnnotations() {
+        if (annotations.features.length === 0) {
+            notify('Não há anotações para exportar.', 'warning');
+            return;
+        }
+        const blob = new Blob([JSON.stringify(annotations, null, 2)], { type: 'application/geo+json' });
+        downloadBlob(blob, 'anotacoes_japeri.geojson');
+    }
+
+    // Called from initMap, once the map exists
+    function initMapTools() {
+        map.createPane(MAP_TOOL_PANE).style.zIndex = 450;
+        measureLayer = L.featureGroup().addTo(map);
+        sketchLayer = L.featureGroup().addTo(map);
+        annotationLayer = L.featureGroup().addTo(map);
+        renderAnnotations();
+
+        map.on('click', handleMapToolClick);
+        map.on('dblclick', () => {
+            if (activeMapTool) finishSketch();
+        });
+        map.on('mousemove', e => {
+            if (activeMapTool && sketchVertices.length > 0) renderSketch(e.latlng);
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const drawPanel = document.getElementById('drawPanel');
+
+        document.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                setMapTool(activeMapTool === button.dataset.tool ? null : button.dataset.tool);
+            });
+        });
+
+        document.getElementById('drawBtn').addEventListener('click', () => {
+            const open = drawPanel.style.display === 'none';
+            drawPanel.style.display = open ? 'flex' : 'none';
+            document.getElementById('drawBtn').classList.toggle('active', open);
+            if (!open && activeMapTool && !MAP_TOOLS[activeMapTool].measure) {
+                setMapTool(null);
+            }
+        });
+
+        document.getElementById('exportAnnotationsBtn').addEventListener('click', exportAnnotations);
+        document.getElementById('clearAnnotationsBtn').addEventListener('click', () => {
+            if (annotations.features.length === 0) return;
+            notify(`Apagar todas as anotações (${annotations.features.length})?`, 'warning', {
+                detail: 'Esta ação não pode ser desfeita.',
+                action: { label: 'Apagar', handler: clearAnnotations }
+            });
+        });
+
+        // Registered before the global shortcuts, so Escape can stop at the active tool
+        document.addEventListener('keydown', e => {
+            if (!activeMapTool || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            if (e.key === 'Escape') {
+                e.stopImmediatePropagation();
+                if (sketchVertices.length > 0) {
+                    resetSketch();
+                } else {
+                    setMapTool(null);
+                }
+            } else if (e.key === 'Enter') {
+                finishSketch();
+            } else if (e.key === 'Backspace' && sketchVertices.length > 0) {
+                e.preventDefault();
+                sketchVertices.pop();
+                renderSketch();
+            }
+        });
+    });
+
+    // ==================== Area Statistics ====================
+    // Census summary of an area of interest (drawn polygon, radius around a
+    // point or a bairro). Sector values are weighted by the fraction of each
+    // sector's area inside, and rates recomputed as in the spatial aggregation.
+    const AREA_STATS_LAYER = 'setores';
+    const AREA_STATS_SHARE_FIELD = 'v0001';
+    const AREA_STATS_STYLE = { color: '#00f2fe', weight: 3, dashArray: '8 6', fillOpacity: 0.08, interactive: false, pane: MAP_TOOL_PANE };
+
+    let areaStatsLayer = null;
+    let areaStatsResult = null;
+
+    function computeAreaStatistics(area) {
+        const fields = getAggregationFields(AREA_STATS_LAYER);
+        const aggregate = createAggregate();
+        const areaBbox = turf.bbox(area);
+        const sectors = [];
+
+        dataLayers[AREA_STATS_LAYER].eachLayer(featureLayer => {
+            const feature = featureLayer.feature;
+            if (!bboxOverlaps(turf.bbox(feature), areaBbox)) return;
+
+            const share = getAreaShare(feature, turf.area(feature), area);
+            if (share <= 1e-6) return;
+
+            addToAggregate(aggregate, feature.properties, fields, share);
+            sectors.push({ props: feature.properties, share });
+        });
+
+        const totals = getAggregateProperties(aggregate, fields);
+        const shareTotal = totals[AREA_STATS_SHARE_FIELD];
+        sectors.forEach(sector => {
+            const value = toNumber(sector.props[AREA_STATS_SHARE_FIELD]);
+            sector.participation = shareTotal && value !== null ? value * sector.share / shareTotal : null;
+        });
+        sectors.sort((a, b) => (b.participation ?? 0) - (a.participation ?? 0));
+
+        return { areaKm2: turf.area(area) / 1e6, fields, totals, sectors };
+    }
+
+    async function summarizeArea(area, title) {
+        showLoading();
+        // Let the loading indicator paint before the synchronous overlay
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        try {
+            await loadLayer(AREA_STATS_LAYER);
+            if (!dataLayers[AREA_STATS_LAYER]) return;
+
+            areaStatsResult = { title, ...computeAreaStatistics(area) };
+
+            if (!areaStatsLayer) {
+                areaStatsLayer = L.featureGroup().addTo(map);
+            }
+            areaStatsLayer.clearLayers();
+            areaStatsLayer.addLayer(L.geoJSON(area, { style: AREA_STATS_STYLE }));
+            document.getElementById('clearAreaStatsBtn').style.display = 'flex';
+
+            renderAreaStatistics();
+            document.getElementById('areaStatsModal').classList.add('active');
+        } catch (error) {
+            console.error('Error computing area statistics:', error);
+            notify(`Erro ao calcular as estatísticas da área: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function summarizeDrawnArea(vertices) {
+        const coordinates = vertices.map(latlng => [latlng.lng, latlng.lat]);
+        summarizeArea(turf.polygon([[...coordinates, coordinates[0]]]), 'Área desenhada');
+    }
+
+    function getAreaStatsRadius() {
+        const radius = parseNumberInput(document.getElementById('areaStatsRadiusInput').value);
+        return radius !== null && radius > 0 ? radius : null;
+    }
+
+    function summarizeBufferArea(center) {
+        const radius = getAreaStatsRadius();
+        const area = turf.buffer(turf.point([center.lng, center.lat]), radius, { units: 'meters', steps: 32 });
+        summarizeArea(area, `Raio de ${formatLength(radius)} em torno do ponto`);
+    }
+
+    function summarizeBairro(index) {
+        const featureLayer = dataLayers.bairros?.getLayers()[index];
+        if (!featureLayer) return;
+        summarizeArea(featureLayer.feature, `Bairro ${featureLayer.feature.properties.NM_BAIRRO}`);
+    }
+
+    function clearAreaStatistics() {
+        areaStatsResult = null;
+        if (areaStatsLayer) areaStatsLayer.clearLayers();
+        document.getElementById('clearAreaStatsBtn').style.display = 'none';
+    }
+
+    // Area-weighted sums are fractional, so counts keep one decimal; the rest follow the dictionary
+    function formatAreaStatValue(key, value, rates) {
+        if (value === null || value === undefined) return '-';
+        const definition = getFieldDefinition(key, AREA_STATS_LAYER);
+        if (definition?.currency) return formatFieldValue(key, value, AREA_STATS_LAYER);
+        const decimals = rates.includes(key) ? 2 : Math.max(definition?.decimals ?? 1, 1);
+        return value.toLocaleString('pt-BR', { maximumFractionDigits: decimals });
+    }
+
+    function formatPercent(fraction) {
+        return fraction === null ? '-' : `${(fraction * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`;
+    }
+
+    // Variables in the thematic groups of the sector layer, then the remaining ones
+    function getAreaStatsGroups(fields) {
+        const available = new Set([...fields.sums, ...fields.rates]);
+        const groups = getFieldGroups(AREA_STATS_LAYER).map(({ group, fields: groupFields }) => {
+            const entries = groupFields.filter(key => available.has(key)).map(key => [key, getFieldLabel(key, AREA_STATS_LAYER)]);
+            entries.forEach(([key]) => available.delete(key));
+            return { group, entries };
+        });
+        groups.push({ group: 'Outros', entries: [...available].map(key => [key, getAttributeLabel(key, AREA_STATS_LAYER)]) });
+        return groups.filter(({ entries }) => entries.length > 0);
+    }
+
+    function renderAreaStatistics() {
+        const { title, areaKm2, fields, totals, sectors } = areaStatsResult;
+
+        document.getElementById('areaStatsSummary').textContent =
+            `${title} · ${formatArea(areaKm2 * 1e6)} · ${sectors.length} setor(es) censitário(s)`;
+
+        const variables = document.getElementById('areaStatsVariables');
+        variables.innerHTML = '<thead><tr><th>Variável</th><th>Valor estimado</th></tr></thead>';
+        const variablesBody = document.createElement('tbody');
+        variablesBody.innerHTML = getAreaStatsGroups(fields).map(({ group, entries }) =>
+            `<tr class="area-stats-group"><td colspan="2">${escapeXml(group)}</td></tr>` +
+            entries.map(([key, label]) =>
+                `<tr><td>${escapeXml(label)}</td><td>${formatAreaStatValue(key, totals[key], fields.rates)}</td></tr>`).join('')
+        ).join('');
+        variables.appendChild(variablesBody);
+
+        const sectorTable = document.getElementById('areaStatsSectors');
+        sectorTable.innerHTML = `<thead><tr>
+            <th>Setor</th><th>Bairro</th><th>Fração do setor na área</th><th>Participação na população</th>
+        </tr></thead>`;
+        const sectorBody = document.createElement('tbody');
+        sectorBody.innerHTML = sectors.length === 0 ?
+            '<tr><td colspan="4" class="no-data">Nenhum setor intersecta a área</td></tr>' :
+            sectors.map(({ props, share, participation }) => `<tr>
+                <td>${escapeXml(props.CD_SETOR ?? '-')}</td><td>${escapeXml(props.NM_BAIRRO ?? '-')}</td>
+                <td>${formatPercent(share)}</td><td>${formatPercent(participation)}</td>
+            </tr>`).join('');
+        sectorTable.appendChild(sectorBody);
+
+        document.getElementById('downloadAreaStatsBtn').disabled = sectors.length === 0;
+    }
+
+    // One row per sector with its weighted values, then the area totals
+    function areaStatisticsToCsv({ fields, totals, sectors }) {
+        const keys = [...fields.sums, ...fields.rates];
+        const lines = [
+            ['CD_SETOR', 'NM_BAIRRO', 'FRACAO_SETOR', 'PARTICIPACAO', ...keys.map(key => getExportFieldName(key, AREA_STATS_LAYER))].map(escapeCsvValue).join(';')
+        ];
+
+        sectors.forEach(({ props, share, participation }) => {
+            const values = keys.map(key => {
+                const value = toNumber(props[key]);
+                if (value === null) return null;
+                return fields.rates.includes(key) ? value : Math.round(value * share * 10000) / 10000;
+            });
+            lines.push([
+                props.CD_SETOR, props.NM_BAIRRO, share.toFixed(4), participation === null ? null : participation.toFixed(4), ...values
+            ].map(escapeCsvValue).join(';'));
+        });
+
+        lines.push(['TOTAL', '', '', sectors.length ? '1.0000' : '', ...keys.map(key => totals[key])].map(escapeCsvValue).join(';'));
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    async function refreshAreaStatsMode() {
+        const mode = document.getElementById('areaStatsModeSelect').value;
+        document.getElementById('areaStatsBufferOptions').style.display = mode === 'buffer' ? 'block' : 'none';
+        document.getElementById('areaStatsBairroOptions').style.display = mode === 'bairro' ? 'block' : 'none';
+        document.getElementById('areaStatsBtnLabel').textContent = mode === 'bairro' ? 'Resumir Bairro' : 'Definir Área no Mapa';
+
+        const bairroSelect = document.getElementById('areaStatsBairroSelect');
+        if (mode !== 'bairro' || bairroSelect.options.length > 0) return;
+
+        await loadLayer('bairros');
+        if (!dataLayers.bairros) return;
+
+        bairroSelect.innerHTML = dataLayers.bairros.getLayers()
+            .map((featureLayer, index) => ({ index, name: featureLayer.feature.properties.NM_BAIRRO || `Bairro ${index + 1}` }))
+            .sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'))
+            .map(({ index, name }) => `<option value="${index}">${escapeXml(name)}</option>`)
+            .join('');
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const modal = document.getElementById('areaStatsModal');
+
+        document.getElementById('areaStatsModeSelect').addEventListener('change', refreshAreaStatsMode);
+
+        document.getElementById('areaStatsBtn').addEventListener('click', () => {
+            const mode = document.getElementById('areaStatsModeSelect').value;
+            if (mode === 'bairro') {
+                summarizeBairro(Number(document.getElementById('areaStatsBairroSelect').value));
+            } else if (mode === 'buffer' && getAreaStatsRadius() === null) {
+                notify('Informe um raio válido, em metros.', 'warning');
+            } else {
+                setMapTool(mode === 'buffer' ? 'statsBuffer' : 'statsPolygon');
+            }
+        });
+
+        document.getElementById('clearAreaStatsBtn').addEventListener('click', clearAreaStatistics);
+
+        document.getElementById('downloadAreaStatsBtn').addEventListener('click', () => {
+            if (!areaStatsResult) return;
+            const blob = new Blob([areaStatisticsToCsv(areaStatsResult)], { type: 'text/csv;charset=utf-8' });
+            downloadBlob(blob, 'estatisticas_area_japeri.csv');
+        });
+
+        document.getElementById('closeAreaStatsModal').addEventListener('click', () => modal.classList.remove('active'));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.remove('active');
+        });
+    });
+
+    // ==================== Local File Upload ====================
+    // Files dropped on the map (or picked with #uploadInput) are parsed in the
+    // browser and added as in-memory layers; nothing is sent to a server.
+    const UPLOAD_COLORS = ['#ff9f1c', '#2ec4b6', '#e71d36', '#8338ec', '#3a86ff', '#fb5607'];
+    const CSV_LAT_COLUMN = /^(lat|latitude|y|coord_?y|northing)$/i;
+    const CSV_LON_COLUMN = /^(lon|lng|long|longitude|x|coord_?x|easting)$/i;
+    const CSV_WKT_COLUMN = /^(wkt|geom|geometry|geometria|the_geom)$/i;
+    // Popup title candidates, by priority
+    const UPLOAD_TITLE_FIELDS = [/^(name|nome)$/i, /^(titulo|title|label)$/i, /^nm_bairro$/i, /^(nm_|nome_|name_)/i];
+
+    let uploadCount = 0;
+
+    // Readers by file extension; each resolves to [{ name, data }] collections
+    const UPLOAD_READERS = {
+        geojson: readGeoJsonFile,
+        json: readGeoJsonFile,
+        kml: async file => [{ name: getUploadBaseName(file.name), data: toGeoJSON.kml(parseXml(await file.text())) }],
+        kmz: readKmzFile,
+        gpx: async file => [{ name: getUploadBaseName(file.name), data: toGeoJSON.gpx(parseXml(await file.text())) }],
+        csv: readCsvFile,
+        txt: readCsvFile,
+        zip: readShapefileZip
+    };
+
+    function getUploadBaseName(fileName) {
+        return fileName.replace(/\.[^.]+$/, '');
+    }
+
+    function parseXml(text) {
+        const dom = new DOMParser().parseFromString(text, 'application/xml');
+        if (dom.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XML inválido');
+        }
+        return dom;
+    }
+
+    async function readGeoJsonFile(file) {
+        let data = JSON.parse(await file.text());
+        if (data.type === 'Feature') {
+            data = { type: 'FeatureCollection', features: [data] };
+        } else if (data.type !== 'FeatureCollection') {
+            data = { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: data, properties: {} }] };
+        }
+        return [{ name: getUploadBaseName(file.name), data }];
+    }
+
+    async function readKmzFile(file) {
+        const zip = await JSZip.loadAsync(await file.arrayBuffer());
+        const kmlFile = Object.values(zip.files).find(entry => /\.kml$/i.test(entry.name));
+        if (!kmlFile) {
+            throw new Error('o KMZ não contém um arquivo .kml');
+        }
+        return [{ name: getUploadBaseName(file.name), data: toGeoJSON.kml(parseXml(await kmlFile.async('string'))) }];
+    }
+
+    // shpjs reprojects with the .prj and decodes the .dbf with the .cpg of each shapefile in the zip
+    async function readShapefileZip(file) {
+        const result = await shp(await file.arrayBuffer());
+        const collections = Array.isArray(result) ? result : [result];
+        return collections.map(collection => ({
+            name: collections.length > 1 && collection.fileName ? collection.fileName : getUploadBaseName(file.name),
+            data: { type: 'FeatureCollection', features: collection.features }
+        }));
+    }
+
+    // RFC 4180 rows, with the delimiter guessed from the header line
+    function parseDelimitedText(text) {
+        const header = text.slice(0, text.search(/\r?\n|$/));
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            header.split(candidate).length > header.split(best).length ? candidate : best, ',');
+
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (value || row.length) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    // Inverse of geometryToWkt, also accepting Z/M coordinates and an EWKT SRID prefix
+    function parseWkt(text) {
+        const match = /^\s*(?:SRID=(\d+);)?\s*(MULTIPOLYGON|MULTILINESTRING|MULTIPOINT|POLYGON|LINESTRING|POINT)\s*(?:ZM|Z|M)?\s*(\(.*\))\s*$/is.exec(text);
+        if (!match) return null;
+
+        const [, srid, keyword, body] = match;
+        const json = body
+            .replace(/-?\d+(?:\.\d+)?(?:e[+-]?\d+)?(?:\s+-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)+/gi,
+                tuple => `[${tuple.trim().split(/\s+/).slice(0, 2).join(',')}]`)
+            .replace(/\(/g, '[')
+            .replace(/\)/g, ']');
+        let coordinates = JSON.parse(json);
+
+        const type = { MULTIPOLYGON: 'MultiPolygon', MULTILINESTRING: 'MultiLineString', MULTIPOINT: 'MultiPoint', POLYGON: 'Polygon', LINESTRING: 'LineString', POINT: 'Point' }[keyword.toUpperCase()];
+        if (type === 'Point') {
+            coordinates = coordinates[0];
+        } else if (type === 'MultiPoint') {
+            coordinates = coordinates.map(point => Array.isArray(point[0]) ? point[0] : point);
+        }
+        return { geometry: { type, coordinates }, srid: srid || null };
+    }
+
+    // pt-BR decimals ("12,5", "1.234,5") become numbers; other cells stay text
+    function parseCsvCell(value) {
+        const text = value.trim();
+        if (/^-?\d{1,3}(\.\d{3})*,\d+$|^-?\d+,\d+$/.test(text)) {
+            return parseNumberInput(text);
+        }
+        return text;
+    }
+
+    async function readCsvFile(file) {
+        const [header, ...rows] = parseDelimitedText(await file.text());
+        if (!header) {
+            throw new Error('arquivo vazio');
+        }
+        const columns = header.map(column => column.trim());
+        const wktIndex = columns.findIndex(column => CSV_WKT_COLUMN.test(column));
+        const latIndex = columns.findIndex(column => CSV_LAT_COLUMN.test(column));
+        const lonIndex = columns.findIndex(column => CSV_LON_COLUMN.test(column));
+        if (wktIndex === -1 && (latIndex === -1 || lonIndex === -1)) {
+            throw new Error('nenhuma coluna de coordenadas (latitude/longitude, x/y) ou WKT encontrada');
+        }
+
+        let srid = null;
+        const features = rows.map(cells => {
+            const properties = {};
+            columns.forEach((column, i) => {
+                if (i !== wktIndex) properties[column] = parseCsvCell(cells[i] ?? '');
+            });
+
+            let geometry = null;
+            if (wktIndex !== -1) {
+                const parsed = parseWkt(cells[wktIndex] || '');
+                geometry = parsed?.geometry || null;
+                srid = srid || parsed?.srid;
+            } else {
+                const lon = parseNumberInput(cells[lonIndex] ?? '');
+                const lat = parseNumberInput(cells[latIndex] ?? '');
+                geometry = lon !== null && lat !== null ? { type: 'Point', coordinates: [lon, lat] } : null;
+            }
+            return { type: 'Feature', geometry, properties };
+        });
+
+        const data = { type: 'FeatureCollection', features };
+        if (srid) {
+            data.crs = { type: 'name', properties: { name: `EPSG:${srid}` } };
+        }
+        return [{ name: getUploadBaseName(file.name), data }];
+    }
+
+    function getUploadConfig(name, features, color) {
+        const fields = [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))];
+        const titleField = UPLOAD_TITLE_FIELDS
+            .map(pattern => fields.find(field => pattern.test(field)))
+            .find(Boolean) || null;
+
+        return {
+            name,
+            description: 'Arquivo local carregado nesta sessão',
+            color,
+            crs: null,
+            labelField: null,
+            style: {},
+            pointStyle: {},
+            fields: {},
+            popup: { titleField, title: name, fields },
+            searchFields: titleField ? [titleField] : [],
+            visible: true,
+            panels: ['thematicMappingPanel', 'queryBuilderPanel']
+        };
+    }
+
+    // Same preparation, styling and validation as the registry files in loadLayer, from an in-memory collection
+    async function addUploadedLayer(name, data) {
+        data.features = (data.features || []).filter(Boolean);
+        // Nested values (e.g. per-vertex GPX times) don't fit popups, the table or exports
+        data.features.forEach(feature => {
+            feature.properties = Object.fromEntries(Object.entries(feature.properties || {})
+                .filter(([, value]) => value === null || typeof value !== 'object'));
+        });
+
+        const { geojsonData, large, simplified, validation } = prepareLayerData(data, {
+            crs: null,
+            defaultProjectedCrs: CONFIG.defaultProjectedCrs,
+            largeLayerVertices: CONFIG.largeLayerVertices,
+            extent: getValidationExtent()
+        });
+        if (!geojsonData.features.some(feature => feature.geometry)) {
+            throw new Error('nenhuma feição com geometria');
+        }
+
+        const layerName = `upload_${++uploadCount}`;
+        const color = UPLOAD_COLORS[(uploadCount - 1) % UPLOAD_COLORS.length];
+        await addMemoryLayer(layerName, getUploadConfig(name, geojsonData.features, color), geojsonData, { large, simplified });
+        reportLayerValidation(layerName, geojsonData, validation);
+        setLayerStatus(layerName, 'loaded');
+        console.log(`Uploaded layer ${layerName} (${name}) with ${geojsonData.features.length} features`);
+        return layerName;
+    }
+
+    async function uploadFiles(files) {
+        const layerNames = [];
+        showLoading();
+
+        for (const file of files) {
+            const extension = (file.name.split('.').pop() || '').toLowerCase();
+            const reader = UPLOAD_READERS[extension];
+            if (!reader) {
+                const detail = ['shp', 'dbf', 'shx', 'prj'].includes(extension) ?
+                    'Compacte os arquivos do shapefile (.shp, .shx, .dbf, .prj) em um único .zip.' : '';
+                notify(`Formato não suportado: ${file.name}`, 'warning', { detail });
+                continue;
+            }
+
+            try {
+                for (const { name, data } of await reader(file)) {
+                    layerNames.push(await addUploadedLayer(name, data));
+                }
+            } catch (error) {
+                console.error(`Error reading ${file.name}:`, error);
+                notify(`Erro ao carregar ${file.name}: ${error.message}`, 'error');
+            }
+        }
+
+        hideLoading();
+
+        const bounds = L.featureGroup(layerNames.map(layerName => dataLayers[layerName])).getBounds();
+        if (bounds.isValid()) {
+            map.fitBounds(bounds, { padding: [40, 40], maxZoom: 17 });
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const uploadInput = document.getElementById('uploadInput');
+        const mapContainer = document.querySelector('.map-container');
+        const dropZone = document.getElementById('uploadDropZone');
+
+        document.getElementById('uploadBtn').addEventListener('click', () => uploadInput.click());
+        uploadInput.addEventListener('change', () => {
+            uploadFiles([...uploadInput.files]);
+            uploadInput.value = '';
+        });
+
+        // dragleave also fires when moving over child elements, so count enter/leave pairs
+        let dragDepth = 0;
+        const hasFiles = e => [...(e.dataTransfer?.types || [])].includes('Files');
+
+        mapContainer.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            dropZone.classList.add('active');
+        });
+        mapContainer.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        mapContainer.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) dropZone.classList.remove('active');
+        });
+        mapContainer.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            dropZone.classList.remove('active');
+            uploadFiles([...e.dataTransfer.files]);
+        });
+    });
+
+    // ==================== External Services ====================
+    // OGC services as layers: WMS imagery with GetFeatureInfo on click, WFS
+    // features fetched as GeoJSON for the current view, and custom XYZ basemaps.
+    // Services added through #serviceModal are kept in localStorage.
+    const SERVICE_STORAGE_KEY = 'geoportal-japeri:services';
+    const SERVICE_COLORS = ['#4facfe', '#43e97b', '#fa709a', '#f6d365', '#a18cd1', '#30cfd0'];
+    // Parameters rebuilt for every request, dropped from the URL typed by the user
+    const OGC_REQUEST_PARAMS = /^(service|request|version)$/i;
+    // GetFeatureInfo formats by preference
+    const WMS_INFO_FORMATS = ['application/json', 'application/geo+json', 'text/html', 'text/plain'];
+    const WMS_FEATURE_COUNT = 5;
+    const WMS_OPACITY = 0.8;
+    const WFS_MAX_FEATURES = 5000;
+    // Features are requested for the view plus this margin, so small pans don't refetch
+    const WFS_BBOX_PADDING = 0.25;
+    const WFS_REFRESH_DELAY = 400;
+    const XYZ_PREVIEW_ZOOM = 12;
+
+    const wfsRequests = {}; // layerName -> { bounds, controller }
+    let wfsRefreshTimer = null;
+    let serviceCapabilities = null;
+
+    function getServiceBaseUrl(url) {
+        const parsed = new URL(url, window.location.href);
+        [...parsed.searchParams.keys()]
+            .filter(key => OGC_REQUEST_PARAMS.test(key))
+            .forEach(key => parsed.searchParams.delete(key));
+        return parsed.toString();
+    }
+
+    function getServiceUrl(baseUrl, params) {
+        const url = new URL(baseUrl, window.location.href);
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.toString();
+    }
+
+    // Capabilities documents mix namespaces between versions and servers, so match local names
+    function getXmlChildren(element, name) {
+        return [...element.children].filter(child => child.localName === name);
+    }
+
+    function getXmlText(element, name) {
+        return getXmlChildren(element, name)[0]?.textContent.trim() || '';
+    }
+
+    function getXmlElements(element, name) {
+        return [...element.getElementsByTagNameNS('*', name)];
+    }
+
+    function getServiceException(dom) {
+        const root = dom.documentElement;
+        if (!/Exception/.test(root.localName)) return null;
+        const messages = [...getXmlElements(root, 'ServiceException'), ...getXmlElements(root, 'ExceptionText')]
+            .map(element => element.textContent.trim())
+            .filter(Boolean);
+        return messages.join(' ') || 'exceção sem mensagem';
+    }
+
+    async function fetchCapabilities(type, url) {
+        const response = await fetch(getServiceUrl(url, { SERVICE: type.toUpperCase(), REQUEST: 'GetCapabilities' }));
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const dom = parseXml(await response.text());
+        const exception = getServiceException(dom);
+        if (exception) {
+            throw new Error(exception);
+        }
+        return type === 'wms' ? parseWmsCapabilities(dom) : parseWfsCapabilities(dom);
+    }
+
+    function parseWmsCapabilities(dom) {
+        const root = dom.documentElement;
+        const request = getXmlElements(root, 'Request')[0];
+        const getFormats = operation => {
+            const element = request && getXmlChildren(request, operation)[0];
+            return element ? getXmlChildren(element, 'Format').map(format => format.textContent.trim()) : [];
+        };
+
+        // Styles and the queryable flag are inherited from parent layers
+        const getAncestors = layer => {
+            const ancestors = [];
+            for (let element = layer; element && element.localName === 'Layer'; element = element.parentElement) {
+                ancestors.push(element);
+            }
+            return ancestors;
+        };
+
+        const layers = getXmlElements(root, 'Layer')
+            .filter(layer => getXmlText(layer, 'Name'))
+            .map(layer => {
+                const ancestors = getAncestors(layer);
+                const styles = ancestors.flatMap(element => getXmlChildren(element, 'Style'))
+                    .map(style => ({ name: getXmlText(style, 'Name'), title: getXmlText(style, 'Title') }))
+                    .filter((style, index, all) => style.name && all.findIndex(other => other.name === style.name) === index);
+                return {
+                    name: getXmlText(layer, 'Name'),
+                    title: getXmlText(layer, 'Title') || getXmlText(layer, 'Name'),
+                    queryable: ancestors.some(element => element.getAttribute('queryable') === '1'),
+                    styles
+                };
+            });
+
+        return {
+            version: root.getAttribute('version') === '1.1.1' ? '1.1.1' : '1.3.0',
+            formats: getFormats('GetMap').filter(format => format.startsWith('image/')),
+            infoFormats: getFormats('GetFeatureInfo'),
+            layers
+        };
+    }
+
+    function parseWfsCapabilities(dom) {
+        const root = dom.documentElement;
+        return {
+            version: root.getAttribute('version')?.startsWith('2.') ? '2.0.0' : '1.1.0',
+            layers: getXmlElements(root, 'FeatureType')
+                .filter(featureType => getXmlText(featureType, 'Name'))
+                .map(featureType => ({
+                    name: getXmlText(featureType, 'Name'),
+                    title: getXmlText(featureType, 'Title') || getXmlText(featureType, 'Name')
+                }))
+        };
+    }
+
+    function getServiceLayerConfig(name, color, service) {
+        const typeLabel = service.type.toUpperCase();
+        return {
+            file: null,
+            service,
+            name,
+            description: `Serviço ${typeLabel} ${service.layers || service.typeName} — ${getServiceBaseUrl(service.url)}`,
+            color,
+            crs: null,
+            labelField: null,
+            style: {},
+            pointStyle: {},
+            fields: {},
+            popup: { titleField: null, title: name, fields: null },
+            searchFields: null,
+            visible: false,
+            panels: service.type === 'wfs' ? ['thematicMappingPanel', 'queryBuilderPanel'] : []
+        };
+    }
+
+    // WFS schemas are only known once features arrive: fill in what the registry left open
+    function completeServiceConfig(config, features) {
+        if (features.length === 0) return;
+
+        const fields = [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))];
+        if (!config.popup.fields) {
+            config.popup.fields = fields;
+        }
+        if (!config.popup.titleField) {
+            config.popup.titleField = UPLOAD_TITLE_FIELDS
+                .map(pattern => fields.find(field => pattern.test(field)))
+                .find(Boolean) || null;
+        }
+        if (!config.searchFields) {
+            config.searchFields = config.popup.titleField ? [config.popup.titleField] : [];
+        }
+    }
+
+    // Called by loadLayer for registry entries with a service, which reports failures
+    async function loadServiceLayer(layerName) {
+        const config = CONFIG.layers[layerName];
+        const service = config.service;
+
+        let layer;
+        if (service.type === 'wms') {
+            layer = L.tileLayer.wms(getServiceBaseUrl(service.url), {
+                layers: service.layers,
+                styles: service.styles || '',
+                format: service.format || 'image/png',
+                version: service.version || '1.3.0',
+                transparent: true,
+                opacity: service.opacity ?? WMS_OPACITY,
+                maxZoom: CONFIG.maxZoom
+            });
+            wmsLayers[layerName] = layer;
+        } else {
+            const bounds = getWfsBounds();
+            const data = await fetchWfsFeatures(service, bounds);
+            completeServiceConfig(config, data.features);
+            layer = createDataLayer(layerName, data);
+            wfsRequests[layerName] = { bounds, controller: null };
+        }
+        console.log(`Layer ${layerName} loaded from ${service.type.toUpperCase()} ${service.url}`);
+        return layer;
+    }
+
+    function getWfsBounds() {
+        return map.getBounds().pad(WFS_BBOX_PADDING);
+    }
+
+    // WFS 2.0 reads EPSG:4326 in lat/lon order; 1.x servers expect lon/lat
+    function getWfsUrl(service, bounds) {
+        const [west, south, east, north] = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+        const version = service.version || '1.1.0';
+        const params = version.startsWith('2.') ? {
+            TYPENAMES: service.typeName,
+            COUNT: WFS_MAX_FEATURES,
+            SRSNAME: 'urn:ogc:def:crs:EPSG::4326',
+            BBOX: `${south},${west},${north},${east},urn:ogc:def:crs:EPSG::4326`
+        } : {
+            TYPENAME: service.typeName,
+            MAXFEATURES: WFS_MAX_FEATURES,
+            SRSNAME: 'EPSG:4326',
+            BBOX: `${west},${south},${east},${north},EPSG:4326`
+        };
+
+        return getServiceUrl(getServiceBaseUrl(service.url), {
+            SERVICE: 'WFS',
+            VERSION: version,
+            REQUEST: 'GetFeature',
+            OUTPUTFORMAT: 'application/json',
+            ...params
+        });
+    }
+
+    async function fetchWfsFeatures(service, bounds, signal) {
+        const response = await fetch(getWfsUrl(service, bounds), { signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        // Servers answer errors with an XML exception report, even when JSON was requested
+        const text = await response.text();
+        if (text.trimStart().startsWith('<')) {
+            throw new Error(getServiceException(parseXml(text)) || 'resposta não é GeoJSON');
+        }
+
+        const data = JSON.parse(text);
+        data.features = (data.features || []).filter(feature => feature && feature.geometry);
+        reprojectGeoJSON(data, detectCrs(data, CONFIG.defaultProjectedCrs));
+        return data;
+    }
+
+    // Refetch when the view leaves the area loaded last; the features are replaced
+    // in place, so styling, thematic classes and queries carry over
+    async function refreshWfsLayer(layerName) {
+        const layer = dataLayers[layerName];
+        const request = wfsRequests[layerName];
+        if (!layer || !request || !map.hasLayer(layer) || request.bounds.contains(map.getBounds())) return;
+
+        request.controller?.abort();
+        const controller = new AbortController();
+        const bounds = getWfsBounds();
+        request.controller = controller;
+
+        try {
+            const data = await fetchWfsFeatures(CONFIG.layers[layerName].service, bounds, controller.signal);
+            if (dataLayers[layerName] !== layer) return; // Removed meanwhile
+
+            completeServiceConfig(CONFIG.layers[layerName], data.features);
+            layer.clearLayers();
+            layer.addData(data);
+            request.bounds = bounds;
+
+            // Indexes and selections point to the replaced features
+            delete searchIndex[layerName];
+            selectedFeatures[layerName] = new Set();
+            if (queryStates[layerName]?.matches) {
+                applyQuery(layerName);
+            }
+            restyleLayer(layerName);
+            if (attributeTable.layerName === layerName) {
+                renderAttributeTable();
+            }
+            console.log(`WFS layer ${layerName} refreshed with ${data.features.length} features`);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error(`Error refreshing WFS layer ${layerName}:`, error);
+            }
+        } finally {
+            if (request.controller === controller) {
+                request.controller = null;
+            }
+        }
+    }
+
+    function getFeatureInfoUrl(layerName, latlng) {
+        const service = CONFIG.layers[layerName].service;
+        const version = service.version || '1.3.0';
+        const crs = map.options.crs;
+        const bounds = map.getBounds();
+        const southWest = crs.project(bounds.getSouthWest());
+        const northEast = crs.project(bounds.getNorthEast());
+        const size = map.getSize();
+        const point = map.latLngToContainerPoint(latlng).round();
+        const v13 = version === '1.3.0';
+
+        return getServiceUrl(getServiceBaseUrl(service.url), {
+            SERVICE: 'WMS',
+            VERSION: version,
+            REQUEST: 'GetFeatureInfo',
+            LAYERS: service.layers,
+            QUERY_LAYERS: service.layers,
+            STYLES: service.styles || '',
+            [v13 ? 'CRS' : 'SRS']: crs.code,
+            BBOX: [southWest.x, southWest.y, northEast.x, northEast.y].join(','),
+            WIDTH: size.x,
+            HEIGHT: size.y,
+            [v13 ? 'I' : 'X']: point.x,
+            [v13 ? 'J' : 'Y']: point.y,
+            INFO_FORMAT: service.infoFormat || 'application/json',
+            FEATURE_COUNT: WMS_FEATURE_COUNT
+        });
+    }
+
+    // Popup HTML for one layer's GetFeatureInfo answer, or null when nothing was hit.
+    // Remote HTML is shown in a sandboxed frame, never injected into the page.
+    async function fetchFeatureInfo(layerName, latlng) {
+        const response = await fetch(getFeatureInfoUrl(layerName, latlng));
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const contentType = response.headers.get('Content-Type') || '';
+        const text = await response.text();
+
+        if (/json/.test(contentType)) {
+            const features = JSON.parse(text).features || [];
+            if (features.length === 0) return null;
+            return features.slice(0, WMS_FEATURE_COUNT).map(feature => Object.entries(feature.properties || {})
+                .filter(([, value]) => value !== null && value !== '' && typeof value !== 'object')
+                .map(([key, value]) => `<p><strong>${escapeXml(key)}:</strong> ${escapeXml(value)}</p>`)
+                .join('')).join('<hr>');
+        }
+        if (/xml/.test(contentType)) {
+            throw new Error(getServiceException(parseXml(text)) || 'resposta XML inesperada');
+        }
+        if (/html/.test(contentType)) {
+            const body = new DOMParser().parseFromString(text, 'text/html').body;
+            if (!body || !body.textContent.trim()) return null;
+            return `<iframe class="wms-info-frame" sandbox srcdoc="${escapeXml(text)}"></iframe>`;
+        }
+        if (!text.trim() || /no features/i.test(text)) return null;
+        return `<pre class="wms-info-text">${escapeXml(text.trim())}</pre>`;
+    }
+
+    async function handleFeatureInfoClick(e) {
+        if (activeMapTool) return;
+
+        const layerNames = getVisibleLayerNames().filter(layerName => CONFIG.layers[layerName].service?.queryable);
+        if (layerNames.length === 0) return;
+
+        const results = await Promise.allSettled(layerNames.map(layerName => fetchFeatureInfo(layerName, e.latlng)));
+        const sections = results.map((result, index) => {
+            if (result.status === 'rejected') {
+                console.warn(`GetFeatureInfo failed for ${layerNames[index]}:`, result.reason);
+                return null;
+            }
+            return result.value && `<h3>${escapeXml(CONFIG.layers[layerNames[index]].name)}</h3>${result.value}`;
+        }).filter(Boolean);
+        if (sections.length === 0) return;
+
+        L.popup({ maxWidth: 360 })
+            .setLatLng(e.latlng)
+            .setContent(`<div class="popup-content wms-info">${sections.join('')}</div>`)
+            .openOn(map);
+    }
+
+    function getNextServiceKey(prefix, registry) {
+        let index = 1;
+        while (registry[`${prefix}_${index}`]) index++;
+        return `${prefix}_${index}`;
+    }
+
+    async function addServiceLayer(name, service) {
+        const layerName = getNextServiceKey(service.type, CONFIG.layers);
+        const serviceCount = Object.values(CONFIG.layers).filter(config => config.service).length;
+        const color = SERVICE_COLORS[serviceCount % SERVICE_COLORS.length];
+
+        CONFIG.layers[layerName] = getServiceLayerConfig(name, color, { ...service, saved: true });
+        addLayerListItem(layerName, true);
+        saveServices();
+
+        // loadLayer reports failures itself; a service that does not load is not kept
+        await setLayerVisibility(layerName, true);
+        if (!getMapLayer(layerName)) {
+            removeMemoryLayer(layerName);
+        }
+    }
+
+    // Preview tile over the municipality, when the template only uses the usual placeholders
+    function getXyzPreviewUrl(url) {
+        const point = L.CRS.EPSG3857.latLngToPoint(L.latLng(CONFIG.center), XYZ_PREVIEW_ZOOM).divideBy(256).floor();
+        try {
+            return L.Util.template(url, { s: 'a', z: XYZ_PREVIEW_ZOOM, x: point.x, y: point.y, r: '' });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function addBasemapOption(basemapName) {
+        const config = CONFIG.basemaps[basemapName];
+        const previewUrl = getXyzPreviewUrl(config.url);
+
+        const option = document.createElement('div');
+        option.className = 'basemap-option';
+        option.dataset.basemap = basemapName;
+        option.innerHTML = `
+            <div class="basemap-preview"
+                style="background: ${previewUrl ? `center / cover url(&quot;${escapeXml(previewUrl)}&quot;), ` : ''}linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
+                <span class="basemap-icon">🧩</span>
+                <button class="basemap-remove-btn" title="Remover mapa de fundo">
+                    <svg width="10" height="10" viewBox="0 0 16 16" fill="none">
+                        <path d="M3 3L13 13M3 13L13 3" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+                    </svg>
+                </button>
+            </div>
+            <span class="basemap-name">${escapeXml(config.name)}</span>
+        `;
+        option.querySelector('.basemap-remove-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeCustomBasemap(basemapName);
+        });
+        document.querySelector('.basemap-selector').appendChild(option);
+    }
+
+    function addCustomBasemap(name, url, attribution) {
+        const basemapName = getNextServiceKey('xyz', CONFIG.basemaps);
+        CONFIG.basemaps[basemapName] = { name, url, attribution, custom: true };
+        addBasemapOption(basemapName);
+        saveServices();
+        addBasemap(basemapName);
+    }
+
+    function removeCustomBasemap(basemapName) {
+        if (currentBasemap === basemapName) {
+            addBasemap('streets');
+        }
+        delete basemapLayers[basemapName];
+        delete CONFIG.basemaps[basemapName];
+        document.querySelector(`.basemap-option[data-basemap="${basemapName}"]`)?.remove();
+        saveServices();
+    }
+
+    function saveServices() {
+        const layers = Object.entries(CONFIG.layers)
+            .filter(([, config]) => config.service?.saved)
+            .map(([layerName, config]) => ({ layerName, name: config.name, color: config.color, service: config.service }));
+        const basemaps = Object.entries(CONFIG.basemaps)
+            .filter(([, config]) => config.custom)
+            .map(([basemapName, config]) => ({ basemapName, name: config.name, url: config.url, attribution: config.attribution }));
+        localStorage.setItem(SERVICE_STORAGE_KEY, JSON.stringify({ layers, basemaps }));
+    }
+
+    // Runs before initMap, so saved layers join the layer list and a saved
+    // basemap can be restored from the URL
+    function loadSavedServices() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(SERVICE_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not read saved services:', error);
+            return;
+        }
+
+        (stored.basemaps || []).forEach(({ basemapName, name, url, attribution }) => {
+            CONFIG.basemaps[basemapName] = { name, url, attribution, custom: true };
+            addBasemapOption(basemapName);
+        });
+        (stored.layers || []).forEach(({ layerName, name, color, service }) => {
+            CONFIG.layers[layerName] = getServiceLayerConfig(name, color, service);
+        });
+    }
+
+    function initExternalServices() {
+        map.on('click', handleFeatureInfoClick);
+        map.on('moveend', () => {
+            clearTimeout(wfsRefreshTimer);
+            wfsRefreshTimer = setTimeout(() => Object.keys(wfsRequests).forEach(refreshWfsLayer), WFS_REFRESH_DELAY);
+        });
+        // Layers switched back on after the view moved elsewhere
+        map.on('layeradd', (e) => {
+            const layerName = Object.keys(wfsRequests).find(name => dataLayers[name] === e.layer);
+            if (layerName) refreshWfsLayer(layerName);
+        });
+    }
+
+    function openServiceDialog() {
+        document.getElementById('serviceModal').classList.add('active');
+        refreshServiceDialog();
+    }
+
+    function closeServiceDialog() {
+        document.getElementById('serviceModal').classList.remove('active');
+    }
+
+    function refreshServiceDialog() {
+        const type = document.getElementById('serviceTypeSelect').value;
+        const loaded = serviceCapabilities && serviceCapabilities.type === type;
+
+        document.getElementById('serviceUrlInput').placeholder = type === 'xyz' ?
+            'https://exemplo.com/tiles/{z}/{x}/{y}.png' :
+            `https://exemplo.com/geoserver/${type}`;
+        document.getElementById('serviceCapabilitiesOptions').style.display = type === 'xyz' ? 'none' : 'block';
+        document.getElementById('serviceLayerOptions').style.display = loaded ? 'block' : 'none';
+        document.getElementById('serviceWmsOptions').style.display = type === 'wms' ? 'block' : 'none';
+        document.getElementById('serviceXyzOptions').style.display = type === 'xyz' ? 'block' : 'none';
+        document.getElementById('addServiceBtn').disabled = type !== 'xyz' && !loaded;
+    }
+
+    async function loadServiceCapabilities() {
+        const type = document.getElementById('serviceTypeSelect').value;
+        const url = document.getElementById('serviceUrlInput').value.trim();
+        const status = document.getElementById('serviceStatus');
+        if (!url) {
+            notify('Informe o endereço do serviço.', 'warning');
+            return;
+        }
+
+        serviceCapabilities = null;
+        status.textContent = 'Consultando o serviço...';
+        refreshServiceDialog();
+
+        try {
+            const capabilities = await fetchCapabilities(type, url);
+            if (capabilities.layers.length === 0) {
+                throw new Error('nenhuma camada publicada');
+            }
+            serviceCapabilities = { type, url: getServiceBaseUrl(url), ...capabilities };
+        } catch (error) {
+            console.error('Error reading capabilities:', error);
+            status.textContent = '';
+            notify(`Não foi possível consultar o serviço: ${error.message}`, 'error', {
+                detail: 'Verifique o endereço e se o servidor permite acesso a partir do navegador (CORS).'
+            });
+            return;
+        }
+
+        status.textContent = `${serviceCapabilities.layers.length} camada(s) disponível(is) · ${type.toUpperCase()} ${serviceCapabilities.version}`;
+        document.getElementById('serviceLayerSelect').innerHTML = serviceCapabilities.layers
+            .map((layer, index) => `<option value="${index}">${escapeXml(layer.title)} (${escapeXml(layer.name)})</option>`)
+            .join('');
+
+        const formats = serviceCapabilities.formats?.length ? serviceCapabilities.formats : ['image/png'];
+        const formatSelect = document.getElementById('serviceFormatSelect');
+        formatSelect.innerHTML = formats.map(format => `<option value="${escapeXml(format)}">${escapeXml(format)}</option>`).join('');
+        formatSelect.value = formats.includes('image/png') ? 'image/png' : formats[0];
+
+        refreshServiceLayerOptions();
+        refreshServiceDialog();
+    }
+
+    function refreshServiceLayerOptions() {
+        const layer = serviceCapabilities.layers[document.getElementById('serviceLayerSelect').value];
+        document.getElementById('serviceStyleSelect').innerHTML = [
+            '<option value="">Padrão do servidor</option>',
+            ...(layer.styles || []).map(style => `<option value="${escapeXml(style.name)}">${escapeXml(style.title || style.name)}</option>`)
+        ].join('');
+        document.getElementById('serviceNameInput').value = layer.title;
+    }
+
+    async function addServiceFromDialog() {
+        const type = document.getElementById('serviceTypeSelect').value;
+        const name = document.getElementById('serviceNameInput').value.trim();
+
+        if (type === 'xyz') {
+            const url = document.getElementById('serviceUrlInput').value.trim();
+            if (!/\{z\}/.test(url) || !/\{x\}/.test(url) || !/\{-?y\}/.test(url)) {
+                notify('O endereço XYZ deve conter {z}, {x} e {y}.', 'warning');
+                return;
+            }
+            addCustomBasemap(name || 'Mapa personalizado', url, document.getElementById('serviceAttributionInput').value.trim());
+            closeServiceDialog();
+            return;
+        }
+
+        const layer = serviceCapabilities.layers[document.getElementById('serviceLayerSelect').value];
+        const service = type === 'wms' ? {
+            type,
+            url: serviceCapabilities.url,
+            layers: layer.name,
+            styles: document.getElementById('serviceStyleSelect').value,
+            format: document.getElementById('serviceFormatSelect').value,
+            version: serviceCapabilities.version,
+            queryable: layer.queryable && WMS_INFO_FORMATS.some(format => serviceCapabilities.infoFormats.includes(format)),
+            infoFormat: WMS_INFO_FORMATS.find(format => serviceCapabilities.infoFormats.includes(format)) || null
+        } : {
+            type,
+            url: serviceCapabilities.url,
+            typeName: layer.name,
+            version: serviceCapabilities.version
+        };
+
+        closeServiceDialog();
+        await addServiceLayer(name || layer.title, service);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        loadSavedServices();
+
+        document.getElementById('serviceBtn').addEventListener('click', openServiceDialog);
+        document.getElementById('closeServiceModal').addEventListener('click', closeServiceDialog);
+        document.getElementById('serviceModal').addEventListener('click', (e) => {
+            if (e.target.id === 'serviceModal') closeServiceDialog();
+        });
+
+        document.getElementById('serviceTypeSelect').addEventListener('change', refreshServiceDialog);
+        document.getElementById('serviceUrlInput').addEventListener('input', () => {
+            serviceCapabilities = null;
+            document.getElementById('serviceStatus').textContent = '';
+            refreshServiceDialog();
+        });
+        document.getElementById('fetchCapabilitiesBtn').addEventListener('click', loadServiceCapabilities);
+        document.getElementById('serviceLayerSelect').addEventListener('change', refreshServiceLayerOptions);
+        document.getElementById('addServiceBtn').addEventListener('click', addServiceFromDialog);
+    });
+
+    // ==================== QGIS Styles & Metadata ====================
+    // QGIS sidecars next to each registry file: the .qml renderer (single symbol,
+    // categorized or graduated) replaces the registry colors and feeds the legend,
+    // the .qmd metadata fills the layer info panel. Both are optional.
+    const QGIS_RENDERER_TYPES = {
+        singleSymbol: 'Símbolo único',
+        categorizedSymbol: 'Categorizado',
+        graduatedSymbol: 'Graduado'
+    };
+    // Symbol sizes come in millimetres by default; the screen is assumed at 96 dpi
+    const QGIS_UNIT_PIXELS = { MM: 96 / 25.4, Point: 96 / 72, Pixel: 1, Inch: 96 };
+    const QGIS_DASH_ARRAYS = {
+        dash: '6 4',
+        dot: '1 4',
+        'dash dot': '6 3 1 3',
+        'dash dot dot': '6 3 1 3 1 3'
+    };
+    // Features that no category or range takes are not drawn by QGIS
+    const QGIS_UNMATCHED_STYLE = { opacity: 0, fillOpacity: 0 };
+    const QMD_DATE_TYPES = { Created: 'Criação', Published: 'Publicação', Revised: 'Revisão', Superseded: 'Substituição' };
+
+    const qgisMetadata = {}; // layerName -> Promise of the parsed .qmd (null when absent)
+
+    function getSidecarPath(file, extension) {
+        return file.replace(/\.[^./]+$/, extension);
+    }
+
+    // Resolves to the parsed XML, or null when the sidecar is missing or unreadable
+    async function fetchSidecar(file, extension) {
+        const path = getSidecarPath(file, extension);
+        try {
+            const response = await fetch(path);
+            if (!response.ok) return null;
+            return parseXml(await response.text());
+        } catch (error) {
+            console.warn(`Could not read ${path}:`, error);
+            return null;
+        }
+    }
+
+    // Called by loadLayer next to the GeoJSON request, before the features are styled
+    async function loadQgisStyle(layerName) {
+        const config = CONFIG.layers[layerName];
+        const dom = await fetchSidecar(config.file, '.qml');
+        if (!dom) return;
+
+        const style = parseQml(dom);
+        if (!style.renderer) {
+            console.warn(`Unsupported QGIS renderer in ${getSidecarPath(config.file, '.qml')}`);
+            return;
+        }
+
+        config.qgisRenderer = style.renderer;
+        if (style.labelField) {
+            config.labelField = style.labelField;
+        }
+
+        // The registry color stands for the layer in the list and the print legend
+        const color = getQgisSymbolColor(style.renderer.symbol || style.renderer.classes[0]?.style);
+        if (color) {
+            config.color = color;
+            const swatch = document.querySelector(`.layer-item[data-layer="${layerName}"] .layer-color`);
+            if (swatch) swatch.style.background = color;
+        }
+        console.log(`QGIS ${style.renderer.type} style applied to ${layerName}`);
+    }
+
+    // Symbol layer properties: <Option type="Map"> since QGIS 3.26, <prop k v> before
+    function getSymbolLayerProps(symbolLayer) {
+        const props = {};
+        getXmlChildren(symbolLayer, 'prop').forEach(prop => {
+            props[prop.getAttribute('k')] = prop.getAttribute('v');
+        });
+        getXmlChildren(symbolLayer, 'Option')
+            .filter(option => option.getAttribute('type') === 'Map')
+            .flatMap(option => getXmlChildren(option, 'Option'))
+            .forEach(option => {
+                props[option.getAttribute('name')] = option.getAttribute('value');
+            });
+        return props;
+    }
+
+    // "r,g,b,a" with an optional ",rgb:..." suffix (QGIS 3.40)
+    function parseQgisColor(value) {
+        const [r, g, b, a = 255] = String(value || '').split(',').slice(0, 4).map(Number);
+        if (![r, g, b, a].every(Number.isFinite)) return null;
+        return {
+            color: `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`,
+            alpha: a / 255
+        };
+    }
+
+    function qgisToPixels(value, unit, fallback) {
+        const number = parseFloat(value);
+        return (Number.isFinite(number) ? number : fallback) * (QGIS_UNIT_PIXELS[unit] || QGIS_UNIT_PIXELS.MM);
+    }
+
+    // Stroke of a line or outline: hairlines (width 0) are drawn 1px wide, like QGIS does
+    function getQgisStroke(color, width, unit, lineStyle, alpha) {
+        const stroke = parseQgisColor(color) || { color: '#000000', alpha: 1 };
+        return {
+            color: stroke.color,
+            opacity: lineStyle === 'no' ? 0 : stroke.alpha * alpha,
+            weight: Math.max(1, qgisToPixels(width, unit, 0.26)),
+            dashArray: QGIS_DASH_ARRAYS[lineStyle] || ''
+        };
+    }
+
+    // Leaflet path options for a <symbol>; only its first simple symbol layer is used
+    function parseQgisSymbol(symbol) {
+        const alpha = parseFloat(symbol.getAttribute('alpha') ?? 1);
+        const symbolLayers = getXmlChildren(symbol, 'layer').filter(layer => layer.getAttribute('enabled') !== '0');
+
+        for (const symbolLayer of symbolLayers) {
+            const props = getSymbolLayerProps(symbolLayer);
+            const type = symbolLayer.getAttribute('class');
+
+            if (type === 'SimpleFill') {
+                const fill = parseQgisColor(props.color) || { color: '#888888', alpha: 1 };
+                return {
+                    fillColor: fill.color,
+                    fillOpacity: props.style === 'no' ? 0 : fill.alpha * alpha,
+                    ...getQgisStroke(props.outline_color, props.outline_width, props.outline_width_unit, props.outline_style, alpha)
+                };
+            }
+            if (type === 'SimpleLine') {
+                return getQgisStroke(props.line_color, props.line_width, props.line_width_unit, props.line_style, alpha);
+            }
+            if (type === 'SimpleMarker') {
+                const fill = parseQgisColor(props.color) || { color: '#888888', alpha: 1 };
+                return {
+                    radius: qgisToPixels(props.size, props.size_unit, 2) / 2,
+                    fillColor: fill.color,
+                    fillOpacity: fill.alpha * alpha,
+                    ...getQgisStroke(props.outline_color, props.outline_width, props.outline_width_unit, props.outline_style, alpha)
+                };
+            }
+        }
+        return null;
+    }
+
+    // Renderer fields are usually plain names, sometimes quoted as an expression
+    function getQgisField(expression) {
+        const field = String(expression || '').trim().replace(/^"(.*)"$/, '$1');
+        return field || null;
+    }
+
+    function parseQml(dom) {
+        const root = dom.documentElement;
+        const rendererElement = getXmlElements(root, 'renderer-v2')[0];
+        const type = rendererElement?.getAttribute('type');
+        const layerOpacity = parseFloat(getXmlText(root, 'layerOpacity') || 1);
+
+        const symbols = {};
+        const symbolsElement = rendererElement && getXmlChildren(rendererElement, 'symbols')[0];
+        (symbolsElement ? getXmlChildren(symbolsElement, 'symbol') : []).forEach(symbol => {
+            const style = parseQgisSymbol(symbol);
+            if (style && layerOpacity < 1) {
+                style.opacity = (style.opacity ?? 1) * layerOpacity;
+                style.fillOpacity = (style.fillOpacity ?? 1) * layerOpacity;
+            }
+            symbols[symbol.getAttribute('name')] = style;
+        });
+
+        let renderer = null;
+        if (type === 'singleSymbol' && symbols['0']) {
+            renderer = { type, symbol: symbols['0'] };
+        } else if (type === 'categorizedSymbol') {
+            const categories = getXmlElements(rendererElement, 'category').map(category => ({
+                // Multi-value categories (QGIS 3.30+) list their values in <val> children
+                values: getXmlChildren(category, 'val').length ?
+                    getXmlChildren(category, 'val').map(value => value.getAttribute('value')) :
+                    [category.getAttribute('value') ?? ''],
+                label: category.getAttribute('label') || category.getAttribute('value') || '',
+                render: category.getAttribute('render') !== 'false',
+                style: symbols[category.getAttribute('symbol')]
+            }));
+            renderer = { type, field: getQgisField(rendererElement.getAttribute('attr')), classes: categories };
+        } else if (type === 'graduatedSymbol') {
+            const ranges = getXmlElements(rendererElement, 'range').map(range => ({
+                lower: parseFloat(range.getAttribute('lower')),
+                upper: parseFloat(range.getAttribute('upper')),
+                label: range.getAttribute('label') || `${range.getAttribute('lower')} – ${range.getAttribute('upper')}`,
+                render: range.getAttribute('render') !== 'false',
+                style: symbols[range.getAttribute('symbol')]
+            }));
+            renderer = { type, field: getQgisField(rendererElement.getAttribute('attr')), classes: ranges };
+        }
+        if (renderer?.classes) {
+            renderer.classes = renderer.classes.filter(entry => entry.style);
+        }
+
+        // Simple labeling on a plain field becomes the permanent label of the features
+        const labeling = getXmlElements(root, 'labeling')[0];
+        const textStyle = labeling?.getAttribute('type') === 'simple' && getXmlElements(labeling, 'text-style')[0];
+        const labelField = root.getAttribute('labelsEnabled') === '1' && textStyle &&
+            textStyle.getAttribute('isExpression') !== '1' ? textStyle.getAttribute('fieldName') : null;
+
+        return { renderer, labelField: labelField || null };
+    }
+
+    // Style overrides from the layer's QGIS renderer, merged over the registry style
+    function getQgisSymbolStyle(feature, config) {
+        const renderer = config.qgisRenderer;
+        if (!renderer) return {};
+        if (renderer.type === 'singleSymbol') return renderer.symbol;
+
+        const value = feature?.properties?.[renderer.field];
+        let match;
+        if (renderer.type === 'categorizedSymbol') {
+            const text = value === null || value === undefined ? '' : String(value);
+            match = renderer.classes.find(category => category.values.includes(text)) ||
+                renderer.classes.find(category => category.values.includes(''));
+        } else {
+            const number = parseFloat(value);
+            match = Number.isFinite(number) &&
+                renderer.classes.find(range => range.lower <= number && number <= range.upper);
+        }
+        return match && match.render ? match.style : QGIS_UNMATCHED_STYLE;
+    }
+
+    function getQgisSymbolColor(style) {
+        return style && (style.fillOpacity > 0 ? style.fillColor : style.color);
+    }
+
+    function getQgisLegendBlock(layerName) {
+        const renderer = CONFIG.layers[layerName].qgisRenderer;
+        if (!renderer?.classes?.length) return null;
+
+        const classes = renderer.classes.filter(entry => entry.render);
+        return {
+            layerName,
+            title: `${CONFIG.layers[layerName].name} · ${getFieldLabel(renderer.field || '', layerName)}`,
+            breaks: [],
+            colors: classes.map(entry => getQgisSymbolColor(entry.style) || '#cccccc'),
+            labels: classes.map(entry => entry.label),
+            method: `Estilo QGIS (${QGIS_RENDERER_TYPES[renderer.type].toLowerCase()})`
+        };
+    }
+
+    // ==================== Layer Metadata ====================
+    // The .qmd is fetched the first time the panel opens for a layer
+    function getLayerMetadata(layerName) {
+        const config = CONFIG.layers[layerName];
+        if (!qgisMetadata[layerName]) {
+            qgisMetadata[layerName] = config.file ?
+                fetchSidecar(config.file, '.qmd').then(dom => dom && parseQmd(dom)) :
+                Promise.resolve(null);
+        }
+        return qgisMetadata[layerName];
+    }
+
+    function parseQmd(dom) {
+        const root = dom.documentElement;
+        const contact = getXmlChildren(root, 'contact')[0];
+        const spatialRefSys = getXmlElements(root, 'spatialrefsys')[0];
+        const spatial = getXmlElements(root, 'spatial')[0];
+
+        return {
+            title: getXmlText(root, 'title'),
+            abstract: getXmlText(root, 'abstract'),
+            keywords: getXmlElements(root, 'keyword').map(keyword => keyword.textContent.trim()).filter(Boolean),
+            contact: contact ? {
+                name: getXmlText(contact, 'name'),
+                organization: getXmlText(contact, 'organization'),
+                position: getXmlText(contact, 'position'),
+                email: getXmlText(contact, 'email'),
+                voice: getXmlText(contact, 'voice')
+            } : {},
+            licenses: [
+                ...getXmlElements(root, 'license'),
+                ...getXmlElements(root, 'rights'),
+                ...getXmlElements(root, 'constraints')
+            ].map(element => element.textContent.trim()).filter(Boolean),
+            crs: spatialRefSys ? {
+                authid: getXmlText(spatialRefSys, 'authid'),
+                description: getXmlText(spatialRefSys, 'description')
+            } : null,
+            extent: spatial ? parseQmdExtent(spatial) : null,
+            links: getXmlElements(root, 'link')
+                .map(link => ({ name: link.getAttribute('name'), url: link.getAttribute('url') }))
+                .filter(link => link.url),
+            dates: getXmlElements(root, 'date')
+                .map(date => ({ type: date.getAttribute('type'), value: date.getAttribute('value') }))
+                .filter(date => date.value)
+        };
+    }
+
+    // QGIS writes an empty extent as +/- DBL_MAX
+    function parseQmdExtent(spatial) {
+        const [minx, miny, maxx, maxy] = ['minx', 'miny', 'maxx', 'maxy'].map(name => parseFloat(spatial.getAttribute(name)));
+        const valid = [minx, miny, maxx, maxy].every(value => Number.isFinite(value) && Math.abs(value) < 1e300) &&
+            minx <= maxx && miny <= maxy;
+        return valid ? { minx, miny, maxx, maxy, crs: spatial.getAttribute('crs') } : null;
+    }
+
+    function formatExtent(minx, miny, maxx, maxy) {
+        const format = value => value.toLocaleString('pt-BR', { maximumFractionDigits: 5 });
+        return `${format(minx)}, ${format(miny)} — ${format(maxx)}, ${format(maxy)}`;
+    }
+
+    function renderLayerMetadata(layerName, metadata) {
+        const config = CONFIG.layers[layerName];
+        const rows = [];
+        const addRow = (label, value) => {
+            if (value) rows.push(`<dt>${label}</dt><dd>${value}</dd>`);
+        };
+
+        addRow('Resumo', escapeXml(metadata?.abstract || config.description || ''));
+        addRow('Palavras-chave', escapeXml(metadata?.keywords.join(', ') || ''));
+
+        if (metadata?.crs) {
+            addRow('Sistema de referência', escapeXml(`${metadata.crs.description} (${metadata.crs.authid})`));
+        } else if (config.crs) {
+            addRow('Sistema de referência', escapeXml(config.crs));
+        }
+
+        // Without a usable extent in the .qmd, fall back to the loaded features
+        if (metadata?.extent) {
+            const { minx, miny, maxx, maxy, crs } = metadata.extent;
+            addRow('Extensão', escapeXml(`${formatExtent(minx, miny, maxx, maxy)}${crs ? ` (${crs})` : ''}`));
+        } else if (dataLayers[layerName]?.getBounds().isValid()) {
+            const bounds = dataLayers[layerName].getBounds();
+            addRow('Extensão', escapeXml(`${formatExtent(bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth())} (WGS 84, calculada a partir dos dados)`));
+        }
+
+        const contact = metadata?.contact || {};
+        addRow('Contato', escapeXml([contact.name, contact.position, contact.organization].filter(Boolean).join(' · ')));
+        if (contact.email) {
+            addRow('E-mail', `<a href="mailto:${escapeXml(contact.email)}">${escapeXml(contact.email)}</a>`);
+        }
+        addRow('Telefone', escapeXml(contact.voice || ''));
+        addRow('Licença e restrições', metadata?.licenses.map(escapeXml).join('<br>'));
+        addRow('Datas', metadata?.dates.map(date => escapeXml(`${QMD_DATE_TYPES[date.type] || date.type}: ${date.value}`)).join('<br>'));
+        addRow('Links', metadata?.links
+            .filter(link => /^https?:/i.test(link.url))
+            .map(link => `<a href="${escapeXml(link.url)}" target="_blank" rel="noopener">${escapeXml(link.name || link.url)}</a>`)
+            .join('<br>'));
+
+        if (config.qgisRenderer) {
+            addRow('Estilo', `QGIS — ${QGIS_RENDERER_TYPES[config.qgisRenderer.type]}${config.qgisRenderer.field ? ` por ${escapeXml(config.qgisRenderer.field)}` : ''}`);
+        }
+        addRow('Fonte', escapeXml(config.file || (config.service ? getServiceBaseUrl(config.service.url) : 'Camada criada no navegador')));
+
+        const note = config.file && !metadata ?
+            '<p class="metadata-note">Sem arquivo de metadados QGIS (.qmd) para esta camada.</p>' : '';
+        return `${note}<dl class="metadata-list">${rows.join('')}</dl>${renderLayerValidation(layerName)}`;
+    }
+
+    async function openLayerMetadata(layerName) {
+        const config = CONFIG.layers[layerName];
+        const content = document.getElementById('layerMetadataContent');
+
+        document.getElementById('layerMetadataTitle').textContent = config.name;
+        content.innerHTML = '<p class="metadata-note">Carregando metadados...</p>';
+        document.getElementById('layerMetadataModal').classList.add('active');
+
+        const metadata = await getLayerMetadata(layerName);
+        if (!CONFIG.layers[layerName]) return;
+
+        if (metadata?.title) {
+            document.getElementById('layerMetadataTitle').textContent = metadata.title;
+        }
+        content.innerHTML = renderLayerMetadata(layerName, metadata);
+    }
+
+    function closeLayerMetadata() {
+        document.getElementById('layerMetadataModal').classList.remove('active');
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('closeLayerMetadataModal').addEventListener('click', closeLayerMetadata);
+        document.getElementById('layerMetadataModal').addEventListener('click', (e) => {
+            if (e.target.id === 'layerMetadataModal') closeLayerMetadata();
+        });
+    });
+
+    // ==================== Charts ====================
+    const CHART_TYPES = {
+        histogram: 'Histograma',
+        ranking: 'Ranking',
+        scatter: 'Dispersão'
+    };
+
+    const CHART_RANKING_SIZES = [10, 20, 50];
+    const CHART_RANKING_ORDERS = {
+        desc: 'Maiores valores',
+        asc: 'Menores valores'
+    };
+
+    // SVG user units; the chart scales to the panel width
+    const CHART_WIDTH = 440;
+    const CHART_HEIGHT = 260;
+    const CHART_MARGIN = { top: 16, right: 16, bottom: 40, left: 56 };
+    const CHART_RANKING_ROW = 18;
+    const CHART_RANKING_LABEL_WIDTH = 150;
+    const CHART_COLOR = '#667eea';
+    // Sturges' rule, kept within a readable number of bars
+    const HISTOGRAM_BINS = { min: 5, max: 20 };
+
+    // Layer and options shown in #chartPanel
+    const chartState = {
+        layerName: null,
+        type: 'histogram',
+        field: null,
+        fieldY: null,
+        rankingSize: 10,
+        rankingOrder: 'desc'
+    };
+
+    // Feature layers behind each bar or point (data-item), and the ones highlighted on the map
+    let chartItems = [];
+    let chartHighlighted = [];
+
+    function openChartPanel(layerName) {
+        if (!dataLayers[layerName]) return;
+
+        // Start from the thematic attribute of the layer, whose breaks the histogram shows
+        if (chartState.layerName !== layerName) {
+            Object.assign(chartState, { layerName, field: thematicStates[layerName]?.attribute || null, fieldY: null });
+        }
+
+        document.getElementById('chartPanel').style.display = 'flex';
+        refreshChartPanel();
+    }
+
+    function closeChartPanel() {
+        highlightChartItem([]);
+        document.getElementById('chartPanel').style.display = 'none';
+        chartState.layerName = null;
+    }
+
+    function isChartPanelOpen() {
+        return document.getElementById('chartPanel').style.display === 'flex';
+    }
+
+    // Layer and field dropdowns of the open panel, then the chart itself
+    function refreshChartPanel() {
+        if (!isChartPanelOpen()) return;
+
+        const layerNames = getActiveLayerNames().filter(layerName => dataLayers[layerName]);
+        if (layerNames.length === 0) {
+            closeChartPanel();
+            return;
+        }
+        if (!layerNames.includes(chartState.layerName)) {
+            Object.assign(chartState, { layerName: layerNames[0], field: null, fieldY: null });
+        }
+
+        const { layerName, type } = chartState;
+        const layerSelect = document.getElementById('chartLayerSelect');
+        layerSelect.innerHTML = layerNames
+            .map(name => `<option value="${name}">${escapeXml(CONFIG.layers[name].name)}</option>`)
+            .join('');
+        layerSelect.value = layerName;
+
+        const numericFields = getNumericFields(layerName);
+        const fieldSelect = document.getElementById('chartFieldSelect');
+        const fieldYSelect = document.getElementById('chartFieldYSelect');
+        [fieldSelect, fieldYSelect].forEach(select => {
+            select.innerHTML = '<option value="">-- Atributo --</option>';
+            appendNumericFieldOptions(select, layerName, numericFields);
+        });
+
+        const fields = [...fieldSelect.options].map(option => option.value).filter(Boolean);
+        if (!fields.includes(chartState.field)) {
+            chartState.field = fields[0] || null;
+        }
+        if (!fields.includes(chartState.fieldY)) {
+            chartState.fieldY = fields.find(field => field !== chartState.field) || null;
+        }
+        fieldSelect.value = chartState.field || '';
+        fieldYSelect.value = chartState.fieldY || '';
+
+        document.getElementById('chartTypeSelect').value = type;
+        document.getElementById('chartFieldLabel').textContent = type === 'scatter' ? 'Eixo X:' : 'Atributo:';
+        document.getElementById('chartFieldYOptions').style.display = type === 'scatter' ? 'block' : 'none';
+        document.getElementById('chartRankingOptions').style.display = type === 'ranking' ? 'flex' : 'none';
+
+        renderChart();
+    }
+
+    function renderChart() {
+        const container = document.getElementById('chartContainer');
+        const summary = document.getElementById('chartSummary');
+        const { layerName, type, field, fieldY } = chartState;
+
+        highlightChartItem([]);
+        chartItems = [];
+
+        let chart = null;
+        if (field && type === 'histogram') {
+            chart = renderHistogram(layerName, field);
+        } else if (field && type === 'ranking') {
+            chart = renderRanking(layerName, field);
+        } else if (field && fieldY && type === 'scatter') {
+            chart = renderScatter(layerName, field, fieldY);
+        }
+
+        if (!chart) {
+            container.innerHTML = `<p class="chart-placeholder">${field ?
+                'Nenhum valor numérico para os atributos escolhidos.' :
+                'Esta camada não possui atributos numéricos.'}</p>`;
+            summary.textContent = '';
+            return;
+        }
+
+        container.innerHTML = chart.svg;
+        summary.textContent = chart.summary;
+    }
+
+    // Thematic attribute values follow the map's normalization, so they line up with its class breaks
+    function getChartValue(layerName, props, field) {
+        const state = thematicStates[layerName];
+        return state?.attribute === field ? getThematicValue(props, state) : getFieldValue(props, field);
+    }
+
+    function getChartAxisLabel(layerName, field) {
+        const state = thematicStates[layerName];
+        return state?.attribute === field ? getThematicTitle(state, layerName) : getFieldLabel(field, layerName);
+    }
+
+    // Normalized thematic values are rates, not the field's own unit or currency
+    function formatChartValue(layerName, field, value) {
+        const state = thematicStates[layerName];
+        return state?.attribute === field && state.normalizeBy ? formatBreak(value) : formatFieldValue(field, value, layerName);
+    }
+
+    // Features with a finite value in every field: [{ featureLayer, values }]
+    function getChartEntries(layerName, fields) {
+        return dataLayers[layerName].getLayers()
+            .map(featureLayer => ({
+                featureLayer,
+                values: fields.map(field => getChartValue(layerName, featureLayer.feature.properties, field))
+            }))
+            .filter(entry => entry.values.every(value => value !== null && isFinite(value)));
+    }
+
+    // Thematic classes of the layer when they were computed for this field
+    function getChartClasses(layerName, field) {
+        const state = thematicStates[layerName];
+        return state?.attribute === field && state.breaks.length > 1 ? state : null;
+    }
+
+    // Bar labels: the layer's label or title field, told apart by its shortest unique search field when repeated
+    function getChartFeatureLabeler(layerName) {
+        const config = CONFIG.layers[layerName];
+        const features = dataLayers[layerName].getLayers().map(featureLayer => featureLayer.feature.properties);
+        const isUnique = field => new Set(features.map(props => props[field] ?? '')).size === features.length;
+        const getLength = field => Math.max(...features.map(props => String(props[field] ?? '').length));
+
+        const titleField = config.labelField || config.popup.titleField;
+        const titleIsUnique = Boolean(titleField) && isUnique(titleField);
+        const idField = titleIsUnique ? null : (config.searchFields || [])
+            .filter(isUnique)
+            .sort((a, b) => getLength(a) - getLength(b))[0];
+
+        return featureLayer => {
+            const props = featureLayer.feature.properties;
+            const title = titleField ? props[titleField] : null;
+            if (titleIsUnique || (title && !idField)) return String(title);
+            if (idField) return title ? `${props[idField]} · ${title}` : String(props[idField]);
+            return `Feição ${L.stamp(featureLayer)}`;
+        };
+    }
+
+    function getLinearScale([domainMin, domainMax], [rangeMin, rangeMax]) {
+        const span = domainMax - domainMin || 1;
+        return value => rangeMin + (value - domainMin) / span * (rangeMax - rangeMin);
+    }
+
+    // Round tick values, about `count` of them, covering [min, max]
+    function getNiceTicks(min, max, count = 5) {
+        if (min === max) return [min];
+
+        const rawStep = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+        const ticks = [];
+        for (let tick = Math.floor(min / step) * step; tick < max + step; tick += step) {
+            ticks.push(Number(tick.toPrecision(12)));
+            if (tick >= max) break;
+        }
+        return ticks;
+    }
+
+    function formatChartTick(value) {
+        return value.toLocaleString('pt-BR', {
+            maximumFractionDigits: 2,
+            notation: Math.abs(value) >= 10000 ? 'compact' : 'standard'
+        });
+    }
+
+    function truncateChartLabel(text, length = 26) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    function renderChartAxisX(ticks, x, y, label) {
+        return `<g class="chart-axis">` +
+            `<line x1="${CHART_MARGIN.left}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${y}" y2="${y}" />` +
+            ticks.map(tick => `<line x1="${x(tick)}" x2="${x(tick)}" y1="${y}" y2="${y + 4}" />` +
+                `<text x="${x(tick)}" y="${y + 15}" text-anchor="middle">${formatChartTick(tick)}</text>`).join('') +
+            `<text class="chart-axis-title" x="${(CHART_MARGIN.left + CHART_WIDTH - CHART_MARGIN.right) / 2}" y="${y + 32}" text-anchor="middle">${escapeXml(truncateChartLabel(label, 70))}</text>` +
+            '</g>';
+    }
+
+    function renderChartAxisY(ticks, y, label) {
+        const x = CHART_MARGIN.left;
+        const middle = (CHART_MARGIN.top + CHART_HEIGHT - CHART_MARGIN.bottom) / 2;
+        return `<g class="chart-axis">` +
+            `<line x1="${x}" x2="${x}" y1="${CHART_MARGIN.top}" y2="${CHART_HEIGHT - CHART_MARGIN.bottom}" />` +
+            ticks.map(tick => `<line class="chart-grid" x1="${x}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${y(tick)}" y2="${y(tick)}" />` +
+                `<text x="${x - 6}" y="${y(tick) + 3}" text-anchor="end">${formatChartTick(tick)}</text>`).join('') +
+            `<text class="chart-axis-title" transform="translate(12 ${middle}) rotate(-90)" text-anchor="middle">${escapeXml(truncateChartLabel(label, 40))}</text>` +
+            '</g>';
+    }
+
+    function renderChartSvg(height, content) {
+        return `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img">${content}</svg>`;
+    }
+
+    function renderHistogram(layerName, field) {
+        const values = getChartEntries(layerName, [field]).map(({ featureLayer, values: [value] }) => ({ featureLayer, value }));
+        if (values.length === 0) return null;
+
+        const numbers = values.map(entry => entry.value);
+        const min = Math.min(...numbers);
+        const max = Math.max(...numbers);
+        const binCount = Math.min(HISTOGRAM_BINS.max, Math.max(HISTOGRAM_BINS.min, Math.ceil(Math.log2(values.length) + 1)));
+        const binWidth = (max - min) / binCount || 1;
+        const bins = Array.from({ length: binCount }, (_, index) => ({
+            lower: min + index * binWidth,
+            upper: min + (index + 1) * binWidth,
+            featureLayers: []
+        }));
+        values.forEach(({ featureLayer, value }) => {
+            bins[Math.min(Math.floor((value - min) / binWidth), binCount - 1)].featureLayers.push(featureLayer);
+        });
+
+        const bottom = CHART_HEIGHT - CHART_MARGIN.bottom;
+        const x = getLinearScale([min, min + binWidth * binCount], [CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right]);
+        const yTicks = getNiceTicks(0, Math.max(...bins.map(bin => bin.featureLayers.length)), 4).filter(Number.isInteger);
+        const y = getLinearScale([0, yTicks[yTicks.length - 1]], [bottom, CHART_MARGIN.top]);
+        const classes = getChartClasses(layerName, field);
+
+        chartItems = bins.map(bin => bin.featureLayers);
+        const bars = bins.map((bin, index) => {
+            const color = classes ? getColorForValue((bin.lower + bin.upper) / 2, classes.breaks, classes.colors) : CHART_COLOR;
+            const top = y(bin.featureLayers.length);
+            return `<rect class="chart-mark" data-item="${index}" x="${x(bin.lower) + 1}" y="${top}" ` +
+                `width="${Math.max(x(bin.upper) - x(bin.lower) - 2, 1)}" height="${bottom - top}" fill="${color}">` +
+                `<title>${formatBreak(bin.lower)} – ${formatBreak(bin.upper)}: ${bin.featureLayers.length} feição(ões)</title></rect>`;
+        }).join('');
+
+        // Inner class breaks of the thematic map drawn over the bars
+        const breakLines = classes ? classes.breaks.slice(1, -1).map(value =>
+            `<line class="chart-break" x1="${x(value)}" x2="${x(value)}" y1="${CHART_MARGIN.top}" y2="${bottom}" />` +
+            `<text class="chart-break-label" x="${x(value) + 3}" y="${CHART_MARGIN.top + 8}">${formatBreak(value)}</text>`
+        ).join('') : '';
+
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+
+        return {
+            svg: renderChartSvg(CHART_HEIGHT,
+                renderChartAxisY(yTicks, y, 'Feições') +
+                bars + breakLines +
+                renderChartAxisX(getNiceTicks(min, max).filter(tick => tick >= min && tick <= max), x, bottom, getChartAxisLabel(layerName, field))),
+            summary: `${values.length} feições · média ${formatBreak(mean)} · mediana ${formatBreak(median)}` +
+                (classes ? ` · ${CLASSIFICATION_METHODS[classes.method]}, ${classes.breaks.length - 1} classes` :
+                    ' · aplique um mapa temático com este atributo para ver as quebras de classe')
+        };
+    }
+
+    function renderRanking(layerName, field) {
+        const entries = getChartEntries(layerName, [field]);
+        if (entries.length === 0) return null;
+
+        const direction = chartState.rankingOrder === 'desc' ? -1 : 1;
+        const ranked = entries
+            .sort((a, b) => (a.values[0] - b.values[0]) * direction)
+            .slice(0, chartState.rankingSize);
+
+        const labelOf = getChartFeatureLabeler(layerName);
+        const classes = getChartClasses(layerName, field);
+        const height = CHART_MARGIN.top + ranked.length * CHART_RANKING_ROW + CHART_MARGIN.bottom;
+        const bottom = height - CHART_MARGIN.bottom;
+        const values = ranked.map(entry => entry.values[0]);
+        const ticks = getNiceTicks(Math.min(0, ...values), Math.max(0, ...values), 4);
+        const x = getLinearScale([ticks[0], ticks[ticks.length - 1]], [CHART_RANKING_LABEL_WIDTH, CHART_WIDTH - CHART_MARGIN.right - 64]);
+
+        chartItems = ranked.map(entry => [entry.featureLayer]);
+        const bars = ranked.map(({ featureLayer, values: [value] }, index) => {
+            const label = labelOf(featureLayer);
+            const top = CHART_MARGIN.top + index * CHART_RANKING_ROW;
+            const color = classes ? getColorForValue(value, classes.breaks, classes.colors) : CHART_COLOR;
+            const start = Math.min(x(0), x(value));
+            return `<g class="chart-mark" data-item="${index}">` +
+                `<title>${escapeXml(label)}: ${formatChartValue(layerName, field, value)}</title>` +
+                `<text class="chart-bar-label" x="${CHART_RANKING_LABEL_WIDTH - 6}" y="${top + CHART_RANKING_ROW / 2 + 3}" text-anchor="end">${escapeXml(truncateChartLabel(label))}</text>` +
+                `<rect x="${start}" y="${top + 2}" width="${Math.max(Math.abs(x(value) - x(0)), 1)}" height="${CHART_RANKING_ROW - 4}" fill="${color}" />` +
+                `<text class="chart-bar-value" x="${Math.max(x(0), x(value)) + 4}" y="${top + CHART_RANKING_ROW / 2 + 3}">${formatChartValue(layerName, field, value)}</text>` +
+                '</g>';
+        }).join('');
+
+        return {
+            svg: renderChartSvg(height,
+                bars +
+                `<g class="chart-axis">` +
+                `<line x1="${x(0)}" x2="${x(0)}" y1="${CHART_MARGIN.top}" y2="${bottom}" />` +
+                ticks.map(tick => `<text x="${x(tick)}" y="${bottom + 15}" text-anchor="middle">${formatChartTick(tick)}</text>`).join('') +
+                `<text class="chart-axis-title" x="${(CHART_RANKING_LABEL_WIDTH + CHART_WIDTH - CHART_MARGIN.right) / 2}" y="${bottom + 32}" text-anchor="middle">${escapeXml(truncateChartLabel(getChartAxisLabel(layerName, field), 60))}</text>` +
+                '</g>'),
+            summary: `${ranked.length} de ${entries.length} feições · ${CHART_RANKING_ORDERS[chartState.rankingOrder].toLowerCase()}`
+        };
+    }
+
+    // Pearson correlation and least-squares line; null when either variable is constant
+    function getCorrelation(xs, ys) {
+        const n = xs.length;
+        const meanX = xs.reduce((sum, value) => sum + value, 0) / n;
+        const meanY = ys.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0, varianceX = 0, varianceY = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += (xs[i] - meanX) ** 2;
+            varianceY += (ys[i] - meanY) ** 2;
+        }
+        if (varianceX === 0 || varianceY === 0) return null;
+
+        const slope = covariance / varianceX;
+        return { r: covariance / Math.sqrt(varianceX * varianceY), slope, intercept: meanY - slope * meanX };
+    }
+
+    function describeCorrelation(r) {
+        const strength = Math.abs(r) < 0.3 ? 'fraca' : Math.abs(r) < 0.7 ? 'moderada' : 'forte';
+        return `correlação ${strength} ${r < 0 ? 'negativa' : 'positiva'}`;
+    }
+
+    function renderScatter(layerName, fieldX, fieldY) {
+        const entries = getChartEntries(layerName, [fieldX, fieldY]);
+        if (entries.length === 0) return null;
+
+        const xs = entries.map(entry => entry.values[0]);
+        const ys = entries.map(entry => entry.values[1]);
+        const xTicks = getNiceTicks(Math.min(...xs), Math.max(...xs));
+        const yTicks = getNiceTicks(Math.min(...ys), Math.max(...ys), 4);
+        const bottom = CHART_HEIGHT - CHART_MARGIN.bottom;
+        const x = getLinearScale([xTicks[0], xTicks[xTicks.length - 1]], [CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right]);
+        const y = getLinearScale([yTicks[0], yTicks[yTicks.length - 1]], [bottom, CHART_MARGIN.top]);
+        const labelOf = getChartFeatureLabeler(layerName);
+
+        chartItems = entries.map(entry => [entry.featureLayer]);
+        const points = entries.map(({ featureLayer, values: [valueX, valueY] }, index) =>
+            `<circle class="chart-mark chart-point" data-item="${index}" cx="${x(valueX)}" cy="${y(valueY)}" r="3.5" fill="${CHART_COLOR}">` +
+            `<title>${escapeXml(labelOf(featureLayer))}: ${formatChartValue(layerName, fieldX, valueX)} · ${formatChartValue(layerName, fieldY, valueY)}</title></circle>`
+        ).join('');
+
+        const correlation = getCorrelation(xs, ys);
+        const [fromX, toX] = [xTicks[0], xTicks[xTicks.length - 1]];
+        const trend = correlation ?
+            `<clipPath id="chartPlotArea"><rect x="${CHART_MARGIN.left}" y="${CHART_MARGIN.top}" width="${CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right}" height="${bottom - CHART_MARGIN.top}" /></clipPath>` +
+            `<line class="chart-trend" clip-path="url(#chartPlotArea)" x1="${x(fromX)}" y1="${y(correlation.intercept + correlation.slope * fromX)}" ` +
+            `x2="${x(toX)}" y2="${y(correlation.intercept + correlation.slope * toX)}" />` : '';
+
+        const format = value => value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+        return {
+            svg: renderChartSvg(CHART_HEIGHT,
+                renderChartAxisY(yTicks, y, getChartAxisLabel(layerName, fieldY)) +
+                points + trend +
+                renderChartAxisX(xTicks, x, bottom, getChartAxisLabel(layerName, fieldX))),
+            summary: correlation ?
+                `${entries.length} feições · r de Pearson ${format(correlation.r)} (R² ${format(correlation.r ** 2)}) · ${describeCorrelation(correlation.r)}` :
+                `${entries.length} feições · correlação indefinida (um dos atributos é constante)`
+        };
+    }
+
+    // Map side of a hovered bar or point, with the hover style of the layers
+    function highlightChartItem(featureLayers) {
+        chartHighlighted.forEach(featureLayer => {
+            if (getLayerName(featureLayer)) resetHighlight({ target: featureLayer });
+        });
+        chartHighlighted = featureLayers.filter(featureLayer => map.hasLayer(featureLayer));
+        chartHighlighted.forEach(featureLayer => highlightFeatureFixed({ target: featureLayer }));
+    }
+
+    function zoomToChartItem(featureLayers) {
+        if (featureLayers.length === 0) return;
+
+        const bounds = L.featureGroup(featureLayers).getBounds();
+        if (bounds.isValid()) {
+            map.fitBounds(bounds, { padding: [40, 40], maxZoom: 17 });
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const container = document.getElementById('chartContainer');
+
+        document.getElementById('chartTypeSelect').innerHTML = Object.entries(CHART_TYPES)
+            .map(([type, label]) => `<option value="${type}">${label}</option>`)
+            .join('');
+        document.getElementById('chartRankingSizeSelect').innerHTML = CHART_RANKING_SIZES
+            .map(size => `<option value="${size}">${size} feições</option>`)
+            .join('');
+        document.getElementById('chartRankingOrderSelect').innerHTML = Object.entries(CHART_RANKING_ORDERS)
+            .map(([order, label]) => `<option value="${order}">${label}</option>`)
+            .join('');
+
+        document.getElementById('closeChartBtn').addEventListener('click', closeChartPanel);
+        document.getElementById('chartLayerSelect').addEventListener('change', (e) => openChartPanel(e.target.value));
+        document.getElementById('chartTypeSelect').addEventListener('change', (e) => {
+            chartState.type = e.target.value;
+            refreshChartPanel();
+        });
+        document.getElementById('chartFieldSelect').addEventListener('change', (e) => {
+            chartState.field = e.target.value || null;
+            renderChart();
+        });
+        document.getElementById('chartFieldYSelect').addEventListener('change', (e) => {
+            chartState.fieldY = e.target.value || null;
+            renderChart();
+        });
+        document.getElementById('chartRankingSizeSelect').addEventListener('change', (e) => {
+            chartState.rankingSize = parseInt(e.target.value, 10);
+            renderChart();
+        });
+        document.getElementById('chartRankingOrderSelect').addEventListener('change', (e) => {
+            chartState.rankingOrder = e.target.value;
+            renderChart();
+        });
+
+        // Hovering a bar or point highlights its features; clicking zooms to them
+        container.addEventListener('mouseover', (e) => {
+            const mark = e.target.closest('[data-item]');
+            container.querySelectorAll('.chart-mark.active').forEach(element => element.classList.remove('active'));
+            mark?.classList.add('active');
+            highlightChartItem(mark ? chartItems[mark.dataset.item] : []);
+        });
+        container.addEventListener('mouseleave', () => {
+            container.querySelectorAll('.chart-mark.active').forEach(element => element.classList.remove('active'));
+            highlightChartItem([]);
+        });
+        container.addEventListener('click', (e) => {
+            const mark = e.target.closest('[data-item]');
+            if (mark) zoomToChartItem(chartItems[mark.dataset.item]);
+        });
+    });
+
+    // ==================== Offline Use ====================
+    // Cache names shared with sw.js, which answers from them when the network fails
+    const OFFLINE_DATA_CACHE = 'geoportal-japeri-data';
+    const OFFLINE_TILE_CACHE = 'geoportal-japeri-tiles';
+    // Downloaded basemap packages, by basemap key
+    const OFFLINE_STORAGE_KEY = 'geoportal-japeri:offline';
+    // Average tile weight (kB) of each basemap, for the download estimate
+    const OFFLINE_TILE_KB = { streets: 20, satellite: 40, terrain: 35 };
+    const OFFLINE_DEFAULT_TILE_KB = 25;
+    // Tile servers forbid bulk scraping: packages cover the municipality at a few zoom levels
+    const OFFLINE_MAX_TILES = 10000;
+    const OFFLINE_DOWNLOAD_CONCURRENCY = 4;
+    const OFFLINE_DEFAULT_ZOOMS = [12, 15];
+    const RELATIVE_TIME_UNITS = [['day', 86400000], ['hour', 3600000], ['minute', 60000]];
+
+    // { [basemapName]: { name, url, minZoom, maxZoom, count, total, bytes, savedAt } }
+    let offlineTilePackages = {};
+    let tileDownload = null;
+    let installPrompt = null;
+
+    // Service workers need a secure context (https or localhost)
+    function isOfflineSupported() {
+        return 'serviceWorker' in navigator && 'caches' in window && window.isSecureContext;
+    }
+
+    function registerServiceWorker() {
+        if (!isOfflineSupported()) return;
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.warn('Could not register the service worker:', error));
+    }
+
+    function getOfflineLayerNames() {
+        return Object.keys(CONFIG.layers).filter(layerName => CONFIG.layers[layerName].file);
+    }
+
+    // Layer file and its QGIS sidecars
+    function getOfflineLayerFiles(layerName) {
+        const { file } = CONFIG.layers[layerName];
+        return [file, getSidecarPath(file, '.qml'), getSidecarPath(file, '.qmd')];
+    }
+
+    // Same header sw.js adds, read back to tell how old the saved data is
+    async function withCachedAt(response) {
+        const headers = new Headers(response.headers);
+        headers.set('X-Cached-At', new Date().toISOString());
+        return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+    }
+
+    async function getCachedAt(cache, url) {
+        const response = await cache.match(url);
+        if (!response) return null;
+        return new Date(response.headers.get('X-Cached-At') || response.headers.get('Date') || Date.now());
+    }
+
+    // Saves every registry file, including layers never switched on; refresh
+    // downloads them again instead of keeping the saved copies
+    async function cacheLayerFiles(refresh = false) {
+        if (!isOfflineSupported()) return;
+        const cache = await caches.open(OFFLINE_DATA_CACHE);
+
+        for (const file of getOfflineLayerNames().flatMap(getOfflineLayerFiles)) {
+            if (!refresh && await cache.match(file)) continue;
+            try {
+                const response = await fetch(file, { cache: 'no-cache' });
+                // Missing sidecars are expected; copies the service worker answered from cache keep their date
+                if (response.ok && !response.headers.has('X-Cached-At')) {
+                    await cache.put(file, await withCachedAt(response));
+                }
+            } catch (error) {
+                console.warn(`Could not save ${file} for offline use:`, error);
+            }
+        }
+        await refreshOfflineStatus();
+    }
+
+    function formatCacheAge(date) {
+        const elapsed = Date.now() - date.getTime();
+        const unit = RELATIVE_TIME_UNITS.find(([, duration]) => elapsed >= duration);
+        if (!unit) return 'agora mesmo';
+        return new Intl.RelativeTimeFormat('pt-BR', { numeric: 'auto' }).format(-Math.floor(elapsed / unit[1]), unit[0]);
+    }
+
+    function formatBytes(bytes) {
+        return bytes >= 1024 * 1024 ?
+            `${(bytes / 1024 / 1024).toLocaleString('pt-BR', { maximumFractionDigits: 1 })} MB` :
+            `${Math.ceil(bytes / 1024).toLocaleString('pt-BR')} kB`;
+    }
+
+    // Layer list badges and the saved layers of the offline dialog
+    async function refreshOfflineStatus() {
+        const layerNames = getOfflineLayerNames();
+        const dates = {};
+        if (isOfflineSupported()) {
+            const cache = await caches.open(OFFLINE_DATA_CACHE);
+            for (const layerName of layerNames) {
+                dates[layerName] = await getCachedAt(cache, CONFIG.layers[layerName].file);
+            }
+        }
+
+        layerNames.forEach(layerName => {
+            const badge = document.querySelector(`.layer-item[data-layer="${layerName}"] .layer-offline-badge`);
+            if (!badge) return;
+            badge.style.display = dates[layerName] ? '' : 'none';
+            badge.title = dates[layerName] ? `Salva para uso offline ${formatCacheAge(dates[layerName])}` : '';
+        });
+
+        document.getElementById('offlineDataList').innerHTML = layerNames.map(layerName => {
+            const date = dates[layerName];
+            return `
+                <li class="${date ? '' : 'offline-missing'}">
+                    <strong>${escapeXml(CONFIG.layers[layerName].name)}</strong>
+                    <span>${date ? `salva ${formatCacheAge(date)} · ${date.toLocaleString('pt-BR')}` : 'não salva'}</span>
+                </li>`;
+        }).join('');
+    }
+
+    function updateConnectionStatus() {
+        const online = navigator.onLine;
+        document.getElementById('connectionDot').classList.toggle('offline', !online);
+        document.getElementById('connectionLabel').textContent = online ? 'Online' : 'Offline';
+        if (isOfflineDialogOpen()) {
+            renderOfflineStatus();
+            updateTileEstimate();
+        }
+    }
+
+    function renderOfflineStatus() {
+        const connection = navigator.onLine ?
+            'Conectado à internet.' :
+            'Sem conexão: o mapa usa as camadas e os mapas de fundo salvos neste aparelho.';
+        let app;
+        if (!isOfflineSupported()) {
+            app = 'Este navegador não permite o uso offline; ele também exige que o geoportal seja aberto por https.';
+        } else if (navigator.serviceWorker.controller) {
+            app = 'O aplicativo está salvo neste navegador e abre mesmo sem conexão.';
+        } else {
+            app = 'O aplicativo está sendo salvo neste navegador e abrirá sem conexão a partir da próxima visita.';
+        }
+        document.getElementById('offlineStatus').textContent = `${connection} ${app}`;
+        document.getElementById('installAppBtn').style.display = installPrompt ? '' : 'none';
+        document.getElementById('refreshOfflineDataBtn').disabled = !isOfflineSupported() || !navigator.onLine;
+    }
+
+    function getBasemapName(basemapName) {
+        return CONFIG.basemaps[basemapName].name ||
+            document.querySelector(`.basemap-option[data-basemap="${basemapName}"] .basemap-name`)?.textContent ||
+            basemapName;
+    }
+
+    // Tile coordinates covering the municipal extent at a zoom level
+    function getTileRange(zoom) {
+        const bounds = L.latLngBounds(CONFIG.extent);
+        return {
+            min: L.CRS.EPSG3857.latLngToPoint(bounds.getNorthWest(), zoom).divideBy(256).floor(),
+            max: L.CRS.EPSG3857.latLngToPoint(bounds.getSouthEast(), zoom).divideBy(256).floor()
+        };
+    }
+
+    function countTiles(minZoom, maxZoom) {
+        let count = 0;
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const { min, max } = getTileRange(z);
+            count += (max.x - min.x + 1) * (max.y - min.y + 1);
+        }
+        return count;
+    }
+
+    // The URLs L.tileLayer requests, subdomain included, so the service worker finds them
+    function getTileUrls(url, minZoom, maxZoom) {
+        const subdomains = L.TileLayer.prototype.options.subdomains;
+        const urls = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const { min, max } = getTileRange(z);
+            for (let x = min.x; x <= max.x; x++) {
+                for (let y = min.y; y <= max.y; y++) {
+                    const s = subdomains[Math.abs(x + y) % subdomains.length];
+                    urls.push(L.Util.template(url, { s, z, x, y, r: L.Browser.retina ? '@2x' : '' }));
+                }
+            }
+        }
+        return urls;
+    }
+
+    function getTileDownloadOptions() {
+        return {
+            basemapName: document.getElementById('offlineBasemapSelect').value,
+            minZoom: Number(document.getElementById('offlineMinZoomSelect').value),
+            maxZoom: Number(document.getElementById('offlineMaxZoomSelect').value)
+        };
+    }
+
+    function updateTileEstimate() {
+        const { basemapName, minZoom, maxZoom } = getTileDownloadOptions();
+        const count = minZoom <= maxZoom ? countTiles(minZoom, maxZoom) : 0;
+        const bytes = count * (OFFLINE_TILE_KB[basemapName] || OFFLINE_DEFAULT_TILE_KB) * 1024;
+
+        let problem = null;
+        if (minZoom > maxZoom) {
+            problem = 'o zoom inicial deve ser menor ou igual ao final';
+        } else if (count > OFFLINE_MAX_TILES) {
+            problem = `acima do limite de ${OFFLINE_MAX_TILES.toLocaleString('pt-BR')} blocos, reduza o zoom final`;
+        }
+
+        const estimate = document.getElementById('offlineTileEstimate');
+        estimate.textContent = `${count.toLocaleString('pt-BR')} blocos · aprox. ${formatBytes(bytes)}` +
+            (problem ? ` — ${problem}` : '');
+        estimate.classList.toggle('offline-warning', Boolean(problem));
+        document.getElementById('downloadTilesBtn').disabled =
+            Boolean(problem) || Boolean(tileDownload) || !isOfflineSupported() || !navigator.onLine;
+    }
+
+    // Tile servers without CORS still answer no-cors requests, whose opaque responses can be cached
+    async function fetchTile(url) {
+        let response;
+        try {
+            response = await fetch(url, { mode: 'cors' });
+        } catch (error) {
+            response = await fetch(url, { mode: 'no-cors' });
+        }
+        if (!response.ok && response.type !== 'opaque') {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response;
+    }
+
+    async function downloadTiles() {
+        const { basemapName, minZoom, maxZoom } = getTileDownloadOptions();
+        const { url } = CONFIG.basemaps[basemapName];
+        let urls;
+        try {
+            urls = getTileUrls(url, minZoom, maxZoom);
+        } catch (error) {
+            notify('Este mapa de fundo usa parâmetros que não permitem o download.', 'warning');
+            return;
+        }
+
+        // A new download replaces the basemap's previous package
+        if (offlineTilePackages[basemapName]) await removeTilePackage(basemapName);
+        // Ask the browser not to evict the tiles when storage runs low
+        navigator.storage?.persist?.();
+
+        const cache = await caches.open(OFFLINE_TILE_CACHE);
+        const download = { cancelled: false, done: 0, saved: 0, bytes: 0, total: urls.length };
+        const averageBytes = (OFFLINE_TILE_KB[basemapName] || OFFLINE_DEFAULT_TILE_KB) * 1024;
+        let next = 0;
+        tileDownload = download;
+        document.getElementById('offlineProgress').style.display = '';
+        updateTileEstimate();
+        updateTileDownloadProgress();
+
+        const worker = async () => {
+            while (next < urls.length && !download.cancelled) {
+                const tileUrl = urls[next++];
+                try {
+                    const response = await fetchTile(tileUrl);
+                    // Opaque responses hide their size
+                    const size = response.type === 'opaque' ? averageBytes : (await response.clone().blob()).size;
+                    download.bytes += size;
+                    await cache.put(tileUrl, response);
+                    download.saved++;
+                } catch (error) {
+                    console.warn(`Could not download tile ${tileUrl}:`, error);
+                }
+                download.done++;
+                updateTileDownloadProgress();
+            }
+        };
+        await Promise.all(Array.from({ length: OFFLINE_DOWNLOAD_CONCURRENCY }, worker));
+        tileDownload = null;
+
+        if (download.saved) {
+            offlineTilePackages[basemapName] = {
+                name: getBasemapName(basemapName), url, minZoom, maxZoom,
+                count: download.saved, total: urls.length, bytes: download.bytes, savedAt: new Date().toISOString()
+            };
+            saveTilePackages();
+        }
+        document.getElementById('offlineProgress').style.display = 'none';
+        renderTilePackages();
+        updateTileEstimate();
+        renderStorageUsage();
+
+        const failed = download.done - download.saved;
+        if (failed) {
+            notify(`${failed.toLocaleString('pt-BR')} blocos não puderam ser baixados.`, 'warning', {
+                detail: 'Verifique a conexão e baixe o mapa de fundo novamente.'
+            });
+        }
+    }
+
+    function updateTileDownloadProgress() {
+        const { done, total } = tileDownload;
+        document.getElementById('offlineProgressBar').value = total ? done / total : 0;
+        document.getElementById('offlineProgressText').textContent =
+            `${done.toLocaleString('pt-BR')} de ${total.toLocaleString('pt-BR')} blocos`;
+    }
+
+    // Tiles are found again from the stored template, even for removed custom basemaps
+    async function removeTilePackage(basemapName) {
+        const { url, minZoom, maxZoom } = offlineTilePackages[basemapName];
+        const cache = await caches.open(OFFLINE_TILE_CACHE);
+        await Promise.all(getTileUrls(url, minZoom, maxZoom).map(tileUrl => cache.delete(tileUrl)));
+
+        delete offlineTilePackages[basemapName];
+        saveTilePackages();
+        renderTilePackages();
+        renderStorageUsage();
+    }
+
+    function renderTilePackages() {
+        const entries = Object.entries(offlineTilePackages);
+        document.getElementById('offlineTileList').innerHTML = entries.length ?
+            entries.map(([basemapName, tilePackage]) => `
+                <li data-basemap="${basemapName}">
+                    <strong>${escapeXml(tilePackage.name)}</strong> · zoom ${tilePackage.minZoom}–${tilePackage.maxZoom}
+                    <span>
+                        ${tilePackage.count.toLocaleString('pt-BR')}${tilePackage.count < tilePackage.total ? ` de ${tilePackage.total.toLocaleString('pt-BR')}` : ''} blocos${tilePackage.count < tilePackage.total ? ' (incompleto)' : ''} ·
+                        ${formatBytes(tilePackage.bytes)} · salvo ${formatCacheAge(new Date(tilePackage.savedAt))}
+                    </span>
+                    <button class="layer-action-btn offline-remove-btn" title="Remover do aparelho">
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                            <path d="M3 3L13 13M3 13L13 3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" />
+                        </svg>
+                    </button>
+                </li>`).join('') :
+            '<li class="offline-missing">Nenhum mapa de fundo baixado.</li>';
+    }
+
+    async function renderStorageUsage() {
+        const element = document.getElementById('offlineStorage');
+        if (!navigator.storage?.estimate) {
+            element.textContent = '';
+            return;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        element.textContent = `Espaço usado pelo geoportal: ${formatBytes(usage)} de ${formatBytes(quota)} disponíveis.`;
+    }
+
+    function loadTilePackages() {
+        try {
+            offlineTilePackages = JSON.parse(localStorage.getItem(OFFLINE_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not read saved basemap packages:', error);
+        }
+    }
+
+    function saveTilePackages() {
+        localStorage.setItem(OFFLINE_STORAGE_KEY, JSON.stringify(offlineTilePackages));
+    }
+
+    function buildOfflineZoomSelects() {
+        const options = [];
+        for (let z = CONFIG.minZoom; z <= CONFIG.maxZoom; z++) {
+            options.push(`<option value="${z}">${z}</option>`);
+        }
+        ['offlineMinZoomSelect', 'offlineMaxZoomSelect'].forEach((id, i) => {
+            const select = document.getElementById(id);
+            select.innerHTML = options.join('');
+            select.value = OFFLINE_DEFAULT_ZOOMS[i];
+        });
+    }
+
+    // Custom basemaps come and go, so the list is rebuilt on every opening
+    function buildOfflineBasemapSelect() {
+        const select = document.getElementById('offlineBasemapSelect');
+        const previous = select.value;
+        select.innerHTML = Object.keys(CONFIG.basemaps)
+            .map(basemapName => `<option value="${basemapName}">${escapeXml(getBasemapName(basemapName))}</option>`)
+            .join('');
+        select.value = CONFIG.basemaps[previous] ? previous : currentBasemap;
+    }
+
+    function openOfflineDialog() {
+        buildOfflineBasemapSelect();
+        renderOfflineStatus();
+        refreshOfflineStatus();
+        renderTilePackages();
+        updateTileEstimate();
+        renderStorageUsage();
+        document.getElementById('offlineModal').classList.add('active');
+    }
+
+    function closeOfflineDialog() {
+        document.getElementById('offlineModal').classList.remove('active');
+    }
+
+    function isOfflineDialogOpen() {
+        return document.getElementById('offlineModal').classList.contains('active');
+    }
+
+    async function installApp() {
+        installPrompt.prompt();
+        await installPrompt.userChoice;
+        installPrompt = null;
+        renderOfflineStatus();
+    }
+
+    // Browsers that support installation announce it; the button only shows then
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        installPrompt = e;
+        if (isOfflineDialogOpen()) renderOfflineStatus();
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        loadTilePackages();
+        registerServiceWorker();
+        buildOfflineZoomSelects();
+        updateConnectionStatus();
+        window.addEventListener('online', updateConnectionStatus);
+        window.addEventListener('offline', updateConnectionStatus);
+
+        document.getElementById('offlineBtn').addEventListener('click', openOfflineDialog);
+        document.getElementById('closeOfflineModal').addEventListener('click', closeOfflineDialog);
+        document.getElementById('offlineModal').addEventListener('click', (e) => {
+            if (e.target.id === 'offlineModal') closeOfflineDialog();
+        });
+        document.getElementById('installAppBtn').addEventListener('click', installApp);
+        document.getElementById('refreshOfflineDataBtn').addEventListener('click', async (e) => {
+            e.currentTarget.disabled = true;
+            await cacheLayerFiles(true);
+            renderOfflineStatus();
+        });
+        ['offlineBasemapSelect', 'offlineMinZoomSelect', 'offlineMaxZoomSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', updateTileEstimate);
+        });
+        document.getElementById('downloadTilesBtn').addEventListener('click', downloadTiles);
+        document.getElementById('cancelTilesBtn').addEventListener('click', () => {
+            if (tileDownload) tileDownload.cancelled = true;
+        });
+        document.getElementById('offlineTileList').addEventListener('click', (e) => {
+            const button = e.target.closest('.offline-remove-btn');
+            if (button) removeTilePackage(button.closest('li').dataset.basemap);
+        });
+    });
+
+    // ==================== Point Layers ====================
+    // Point layers are drawn as individual markers, as clusters with counts or as a
+    // kernel-density heatmap, and can be colored by the categories of an attribute.
+    // The GeoJSON layer in dataLayers keeps every marker; clusters hold the same ones
+    const POINT_DISPLAY_MODES = {
+        markers: 'Pontos',
+        cluster: 'Agrupamentos',
+        heatmap: 'Mapa de calor'
+    };
+    // Clusters up to this size, or clicked at the last zoom level, list their points instead of zooming in
+    const CLUSTER_LIST_SIZE = 10;
+    const CLUSTER_LIST_MAX_ITEMS = 50;
+    const HEATMAP_OPTIONS = { radius: 20, blur: 15, maxZoom: 17, minOpacity: 0.3 };
+    // Leaflet.heat's default gradient, summarized for the legend
+    const HEATMAP_LEGEND = {
+        colors: ['#0000ff', '#00ff00', '#ff0000'],
+        labels: ['Baixa densidade', 'Média', 'Alta densidade']
+    };
+    const POINT_CATEGORY_RAMP = 'Dark2';
+    // The most frequent values get their own color, the others share one
+    const POINT_CATEGORY_LIMIT = 7;
+    const POINT_CATEGORY_OTHER_COLOR = '#b3b3b3';
+    // Attributes with more distinct values are not offered as categories
+    const POINT_CATEGORY_MAX_VALUES = 100;
+
+    // { [layerName]: { mode, displayLayer, filterKey, categoryField, categories } }
+    const pointLayerStates = {};
+
+    function isPointLayer(layerName) {
+        const featureLayers = dataLayers[layerName]?.getLayers() || [];
+        return featureLayers.length > 0 && featureLayers.every(featureLayer => featureLayer instanceof L.CircleMarker);
+    }
+
+    // Called for every new data layer; only point layers get a display state
+    function initPointLayer(layerName) {
+        if (!isPointLayer(layerName)) return;
+
+        pointLayerStates[layerName] = { mode: 'markers', displayLayer: null, filterKey: undefined, categoryField: '', categories: null };
+        setPointDisplayMode(layerName, CONFIG.layers[layerName].pointDisplay || 'markers');
+        renderPointLayerControls(layerName);
+    }
+
+    function setPointDisplayMode(layerName, mode) {
+        const state = pointLayerStates[layerName];
+        const shown = map.hasLayer(getMapLayer(layerName));
+        if (shown) {
+            map.removeLayer(getMapLayer(layerName));
+        }
+
+        state.mode = mode;
+        state.displayLayer = mode === 'cluster' ? createClusterLayer(layerName) :
+            mode === 'heatmap' ? L.heatLayer([], HEATMAP_OPTIONS) :
+            null;
+        state.filterKey = undefined;
+        refreshPointDisplay(layerName);
+
+        if (shown) {
+            getMapLayer(layerName).addTo(map);
+        }
+        updateLegend();
+    }
+
+    // Fill the clusters or the heatmap with the points the attribute query leaves
+    // visible; runs on every restyle, so it only rebuilds when the query changed
+    function refreshPointDisplay(layerName) {
+        const state = pointLayerStates[layerName];
+        const query = queryStates[layerName];
+        const filterKey = query?.matches && query.mode === 'hide' ? query.matches : null;
+        if (!state.displayLayer || state.filterKey === filterKey) return;
+        state.filterKey = filterKey;
+
+        const markers = dataLayers[layerName].getLayers()
+            .filter(featureLayer => !filterKey || filterKey.has(L.stamp(featureLayer)));
+        if (state.mode === 'cluster') {
+            state.displayLayer.clearLayers();
+            state.displayLayer.addLayers(markers);
+        } else {
+            state.displayLayer.setLatLngs(markers.map(marker => marker.getLatLng()));
+        }
+    }
+
+    function createClusterLayer(layerName) {
+        const color = CONFIG.layers[layerName].color;
+        const cluster = L.markerClusterGroup({
+            chunkedLoading: true,
+            showCoverageOnHover: false,
+            zoomToBoundsOnClick: false,
+            spiderfyOnMaxZoom: false,
+            iconCreateFunction: group => getClusterIcon(group.getChildCount(), color)
+        });
+        cluster.on('clusterclick', e => handleClusterClick(layerName, e.layer));
+        return cluster;
+    }
+
+    function getClusterIcon(count, color) {
+        const size = count < 10 ? 30 : count < 100 ? 36 : count < 1000 ? 42 : 48;
+        return L.divIcon({
+            html: `<span style="background: ${color};">${count.toLocaleString('pt-BR')}</span>`,
+            className: 'point-cluster',
+            iconSize: [size, size]
+        });
+    }
+
+    // Large clusters zoom in; small ones, or any at the last zoom level, list their points
+    function handleClusterClick(layerName, cluster) {
+        if (activeMapTool) return;
+
+        if (cluster.getChildCount() > CLUSTER_LIST_SIZE && map.getZoom() < map.getMaxZoom()) {
+            cluster.zoomToBounds({ padding: [40, 40] });
+        } else {
+            openClusterList(layerName, cluster);
+        }
+    }
+
+    function openClusterList(layerName, cluster) {
+        const markers = cluster.getAllChildMarkers();
+        const popupConfig = CONFIG.layers[layerName].popup;
+        const { categoryField } = pointLayerStates[layerName];
+
+        const container = document.createElement('div');
+        container.className = 'popup-content cluster-list';
+        container.innerHTML = `<h3>${escapeXml(CONFIG.layers[layerName].name)} · ${markers.length.toLocaleString('pt-BR')} pontos</h3>`;
+
+        const list = document.createElement('ul');
+        markers.slice(0, CLUSTER_LIST_MAX_ITEMS).forEach((marker, index) => {
+            const props = marker.feature.properties;
+            const title = (popupConfig.titleField && props[popupConfig.titleField]) || `${popupConfig.title || 'Ponto'} ${index + 1}`;
+            const category = categoryField ? getPointCategoryLabel(layerName, categoryField, props[categoryField]) : null;
+
+            const item = document.createElement('li');
+            item.textContent = category ? `${title} · ${category}` : title;
+            item.addEventListener('click', () => showFeatureInfo({ target: marker, latlng: marker.getLatLng() }));
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        if (markers.length > CLUSTER_LIST_MAX_ITEMS) {
+            const more = document.createElement('p');
+            more.className = 'cluster-list-more';
+            more.textContent = `e mais ${(markers.length - CLUSTER_LIST_MAX_ITEMS).toLocaleString('pt-BR')}; aproxime o mapa para ver todos.`;
+            container.appendChild(more);
+        }
+
+        L.popup({ maxHeight: 280 })
+            .setLatLng(cluster.getLatLng())
+            .setContent(container)
+            .openOn(map);
+    }
+
+    // Attributes with a few distinct values, offered as categories
+    function getPointCategoryFields(layerName) {
+        const featureLayers = dataLayers[layerName].getLayers();
+        return Object.keys(featureLayers[0].feature.properties).filter(key => {
+            const values = new Set();
+            for (const featureLayer of featureLayers) {
+                values.add(getPointCategoryKey(featureLayer.feature.properties[key]));
+                if (values.size > POINT_CATEGORY_MAX_VALUES) return false;
+            }
+            return values.size > 1;
+        });
+    }
+
+    function getPointCategoryKey(value) {
+        return String(value ?? '').trim();
+    }
+
+    function getPointCategoryLabel(layerName, field, value) {
+        return getPointCategoryKey(value) === '' ? 'Sem dados' : formatFieldValue(field, value, layerName);
+    }
+
+    // Colors by value, plus the legend entries sorted by frequency
+    function getPointCategories(layerName, field) {
+        const counts = new Map();
+        dataLayers[layerName].eachLayer(featureLayer => {
+            const value = featureLayer.feature.properties[field];
+            const key = getPointCategoryKey(value);
+            const entry = counts.get(key) || { value, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+
+        const sorted = [...counts].sort((a, b) => b[1].count - a[1].count);
+        const own = sorted.length > POINT_CATEGORY_LIMIT ? sorted.slice(0, POINT_CATEGORY_LIMIT - 1) : sorted;
+        const palette = getRampColors(POINT_CATEGORY_RAMP, own.length);
+
+        const colors = new Map(own.map(([key], index) => [key, palette[index]]));
+        const entries = own.map(([, { value, count }], index) => ({
+            label: getPointCategoryLabel(layerName, field, value),
+            color: palette[index],
+            count
+        }));
+        if (own.length < sorted.length) {
+            entries.push({
+                label: 'Outros',
+                color: POINT_CATEGORY_OTHER_COLOR,
+                count: sorted.slice(own.length).reduce((sum, [, { count }]) => sum + count, 0)
+            });
+        }
+        return { colors, entries };
+    }
+
+    function setPointCategoryField(layerName, field) {
+        const state = pointLayerStates[layerName];
+        state.categoryField = field;
+        state.categories = field ? getPointCategories(layerName, field) : null;
+        restyleLayer(layerName);
+        updateLegend();
+    }
+
+    // Merged over the point style of the layer (see getBaseLayerStyle)
+    function getPointCategoryStyle(layerName, feature) {
+        const state = pointLayerStates[layerName];
+        if (!state?.categories) return {};
+
+        const key = getPointCategoryKey(feature.properties[state.categoryField]);
+        return { fillColor: state.categories.colors.get(key) || POINT_CATEGORY_OTHER_COLOR };
+    }
+
+    function getPointLegendBlock(layerName) {
+        const state = pointLayerStates[layerName];
+        const name = CONFIG.layers[layerName].name;
+
+        if (state?.mode === 'heatmap') {
+            return { layerName, title: `${name} · Densidade de pontos`, breaks: [], ...HEATMAP_LEGEND, method: 'Mapa de calor' };
+        }
+        if (!state?.categories) return null;
+
+        const { entries } = state.categories;
+        return {
+            layerName,
+            title: `${name} · ${getFieldLabel(state.categoryField, layerName)}`,
+            breaks: [],
+            colors: entries.map(entry => entry.color),
+            labels: entries.map(entry => entry.label),
+            counts: entries.map(entry => entry.count),
+            method: 'Categorias'
+        };
+    }
+
+    // Display and category selects under the layer list item, once the points are loaded
+    function renderPointLayerControls(layerName) {
+        const state = pointLayerStates[layerName];
+        const item = document.querySelector(`.layer-item[data-layer="${layerName}"]`);
+        if (!state || !item || item.querySelector('.layer-point-options')) return;
+
+        const options = document.createElement('div');
+        options.className = 'layer-point-options';
+        options.innerHTML = `
+            <select class="thematic-select layer-point-mode" title="Exibição dos pontos">
+                ${Object.entries(POINT_DISPLAY_MODES).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+            </select>
+            <select class="thematic-select layer-point-category" title="Cores por categoria">
+                <option value="">Cor única</option>
+                ${getPointCategoryFields(layerName).map(key =>
+                    `<option value="${escapeXml(key)}">${escapeXml(getFieldLabel(key, layerName))}</option>`).join('')}
+            </select>
+        `;
+
+        const modeSelect = options.querySelector('.layer-point-mode');
+        const categorySelect = options.querySelector('.layer-point-category');
+        modeSelect.value = state.mode;
+        categorySelect.value = state.categoryField;
+        categorySelect.disabled = state.mode === 'heatmap';
+
+        modeSelect.addEventListener('change', () => {
+            setPointDisplayMode(layerName, modeSelect.value);
+            categorySelect.disabled = modeSelect.value === 'heatmap';
+        });
+        categorySelect.addEventListener('change', () => setPointCategoryField(layerName, categorySelect.value));
+
+        item.appendChild(options);
+        item.classList.add('has-point-options');
+    }
+
+    // ==================== Data Validation ====================
+    // Report built when a registry file loads: geometry and CRS checks come from
+    // prepareLayerData (geodata.js), field checks are made here against the registry.
+    // Shown in the layer metadata panel and flagged in the layer list
+    const VALIDATION_GEOMETRY_PROBLEMS = {
+        empty: 'sem geometria',
+        type: 'com tipo de geometria desconhecido (não desenhadas)',
+        coordinates: 'com coordenadas inválidas (não desenhadas)',
+        line: 'com linhas de menos de 2 vértices',
+        ring: 'com anéis de polígono abertos ou com menos de 4 vértices'
+    };
+    // Features beyond the municipality box padded by this fraction are flagged
+    const VALIDATION_EXTENT_PADDING = 0.5;
+    const VALIDATION_MAX_EXAMPLES = 5;
+
+    // { [layerName]: [{ message, features }] }, features being indexes in file order
+    const layerValidations = {};
+
+    // Plain arrays, as the options travel to the layer worker
+    function getValidationExtent() {
+        const bounds = L.latLngBounds(CONFIG.extent).pad(VALIDATION_EXTENT_PADDING);
+        return [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]];
+    }
+
+    function reportLayerValidation(layerName, geojsonData, validation) {
+        const config = CONFIG.layers[layerName];
+        const features = geojsonData.features || [];
+        const issues = [
+            ...getGeometryIssues(validation),
+            ...getCrsIssues(config, validation),
+            ...getMissingFieldIssues(layerName, features),
+            ...getNonNumericFieldIssues(layerName, features)
+        ];
+        layerValidations[layerName] = issues;
+
+        if (issues.length > 0) {
+            console.warn(`Validation of ${layerName}:`, issues.map(issue => issue.message));
+            notify(`${config.name}: ${issues.length} problema(s) encontrado(s) nos dados.`, 'warning', {
+                action: { label: 'Ver relatório', handler: () => openLayerMetadata(layerName) }
+            });
+        }
+    }
+
+    function getGeometryIssues(validation) {
+        return Object.entries(VALIDATION_GEOMETRY_PROBLEMS)
+            .filter(([problem]) => validation.geometryProblems[problem])
+            .map(([problem, label]) => ({
+                message: `${validation.geometryProblems[problem].length} feição(ões) ${label}.`,
+                features: validation.geometryProblems[problem]
+            }));
+    }
+
+    function getCrsIssues(config, validation) {
+        const issues = [];
+        if (config.crs && validation.declaredCrs && validation.declaredCrs !== config.crs) {
+            issues.push({ message: `O arquivo declara ${validation.declaredCrs}, mas a camada está configurada como ${config.crs}.` });
+        }
+        if (validation.assumedCrs) {
+            issues.push({ message: `O arquivo não declara o sistema de referência e tem coordenadas projetadas; foi assumido ${validation.crs}.` });
+        }
+        if (validation.outsideExtent.length > 0) {
+            issues.push({
+                message: `${validation.outsideExtent.length} feição(ões) fora da região do município; verifique o sistema de referência (${validation.crs}).`,
+                features: validation.outsideExtent
+            });
+        }
+        return issues;
+    }
+
+    // Fields the registry reads from every feature: label, popup title and search
+    function getMissingFieldIssues(layerName, features) {
+        const config = CONFIG.layers[layerName];
+        const roles = new Map();
+        const addRole = (key, role) => {
+            if (key) roles.set(key, [...(roles.get(key) || []), role]);
+        };
+        addRole(config.labelField, 'rótulo');
+        addRole(config.popup?.titleField, 'título do popup');
+        (config.searchFields || []).forEach(key => addRole(key, 'busca'));
+
+        return [...roles]
+            .filter(([key]) => !features.some(feature => feature.properties && key in feature.properties))
+            .map(([key, usage]) => ({ message: `Campo esperado ausente: ${key} (usado em ${usage.join(', ')}).` }));
+    }
+
+    // Numeric fields left out of the thematic dropdown by a few text values (see
+    // getNumericFields); fields outside the dictionary count when most values are numbers
+    function getNonNumericFieldIssues(layerName, features) {
+        const config = CONFIG.layers[layerName];
+        if (!config.panels.includes('thematicMappingPanel')) return [];
+
+        const fields = new Map();
+        features.forEach((feature, index) => {
+            for (const [key, value] of Object.entries(feature.properties || {})) {
+                if (CONFIG.thematicExcludeFields.test(key) || !isNumericFieldType(key, layerName)) continue;
+                if (value === null || value === undefined || value === '') continue;
+
+                const field = fields.get(key) || { numeric: 0, invalid: [], examples: new Set() };
+                if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value))) {
+                    field.numeric++;
+                } else {
+                    field.invalid.push(index);
+                    field.examples.add(String(value));
+                }
+                fields.set(key, field);
+            }
+        });
+
+        return [...fields]
+            .filter(([key, field]) => field.invalid.length > 0 &&
+                (getFieldDefinition(key, layerName)?.type || field.numeric > field.invalid.length))
+            .map(([key, field]) => ({
+                message: `Campo ${getFieldLabel(key, layerName)}: ${field.invalid.length} valor(es) não numérico(s) ` +
+                    `(ex.: ${[...field.examples].slice(0, 3).map(value => `"${value}"`).join(', ')}); o campo fica fora do mapa temático.`,
+                features: field.invalid
+            }));
+    }
+
+    // Section of the layer metadata panel; empty for layers not validated
+    function renderLayerValidation(layerName) {
+        const issues = layerValidations[layerName];
+        if (!issues) return '';
+
+        if (issues.length === 0) {
+            return '<h3>Validação dos dados</h3><p class="metadata-note">Nenhum problema encontrado.</p>';
+        }
+        const items = issues.map(issue => {
+            const examples = issue.features?.slice(0, VALIDATION_MAX_EXAMPLES).map(index => index + 1).join(', ');
+            const more = issue.features?.length > VALIDATION_MAX_EXAMPLES ? '…' : '';
+            return `<li>${escapeXml(issue.message)}${examples ? `<span>Feições nº ${examples}${more}</span>` : ''}</li>`;
+        });
+        return `<h3>Validação dos dados</h3><ul class="validation-list">${items.join('')}</ul>`;
+    }
+
+    // ==================== Map Comparison ====================
+    // Swipe and side-by-side views. The left side is always the main map; the right
+    // side has its own basemap, layers and thematic maps, drawn from the features of
+    // dataLayers into panes of the main map (swipe, clipped at the handle) or of a
+    // second map that follows the main one (side by side)
+    const COMPARE_BASEMAP_PANE = 'compareBasemapPane';
+    const COMPARE_LAYER_PANE = 'compareLayerPane';
+    // Main map panes clipped to the left of the swipe handle
+    const SWIPE_LEFT_PANES = ['tilePane', CANVAS_PANE, 'overlayPane', 'shadowPane', 'markerPane', 'tooltipPane'];
+    // Handle limits and keyboard step, as fractions of the map width
+    const SWIPE_MIN = 0.05;
+    const SWIPE_MAX = 0.95;
+    const SWIPE_KEY_STEP = 0.02;
+
+    const compareState = {
+        mode: 'off',
+        basemap: 'satellite',
+        // Layers drawn on the right side, and their thematic states (shaped as thematicStates)
+        layers: [],
+        thematics: {},
+        // Layer edited in the thematic controls of #comparePanel
+        thematicLayerName: null,
+        // Swipe handle, as a fraction of the map width
+        position: 0.5,
+        initialized: false
+    };
+
+    // Second map of the side-by-side view, created the first time it is shown
+    let compareMap = null;
+    let compareSyncing = false;
+    // Leaflet layers of the right side, on map (swipe) or compareMap (side by side)
+    let compareBasemapLayer = null;
+    const compareDataLayers = {};
+    // Canvas renderer of the right side on each map
+    const compareRenderers = new Map();
+
+    function setCompareMode(mode) {
+        // The right side starts as a copy of the left over the other basemap, so a
+        // single change (basemap or attribute) sets up the comparison
+        if (mode !== 'off' && !compareState.initialized) {
+            compareState.basemap = currentBasemap === 'satellite' ? 'streets' : 'satellite';
+            copyLeftSideLayers();
+            compareState.initialized = true;
+        }
+        compareState.mode = mode;
+
+        document.querySelector('.map-container').classList.toggle('compare-dual', mode === 'dual');
+        document.getElementById('compareSwipe').style.display = mode === 'swipe' ? '' : 'none';
+        document.getElementById('compareOptions').style.display = mode === 'off' ? 'none' : '';
+
+        map.invalidateSize();
+        if (mode === 'dual') {
+            getCompareMap().invalidateSize();
+            syncCompareMaps(map, compareMap);
+        }
+
+        renderCompareBasemap();
+        renderCompareLayers();
+        updateSwipeClip();
+        renderComparePanel();
+        updateLegend();
+    }
+
+    // Layers and thematic maps active on the left; the basemap is left as it is
+    function copyLeftSideLayers() {
+        compareState.layers = getActiveLayerNames().filter(layerName => dataLayers[layerName]);
+        compareState.thematics = Object.fromEntries(compareState.layers
+            .filter(layerName => thematicStates[layerName]?.attribute)
+            .map(layerName => [layerName, JSON.parse(JSON.stringify(thematicStates[layerName]))]));
+        compareState.thematicLayerName = getCompareThematicLayers()[0] || null;
+    }
+
+    function getCompareMap() {
+        if (!compareMap) {
+            compareMap = L.map('compareMap', {
+                center: map.getCenter(),
+                zoom: map.getZoom(),
+                minZoom: CONFIG.minZoom,
+                maxZoom: CONFIG.maxZoom,
+                zoomControl: false,
+                attributionControl: true
+            });
+            compareMap.on('move', () => syncCompareMaps(compareMap, map));
+        }
+        return compareMap;
+    }
+
+    // Called on every move of the main map (see initMap)
+    function handleCompareMapMove() {
+        if (compareState.mode === 'swipe') {
+            updateSwipeClip();
+        } else if (compareState.mode === 'dual') {
+            syncCompareMaps(map, compareMap);
+        }
+    }
+
+    function syncCompareMaps(source, target) {
+        if (compareSyncing || compareState.mode !== 'dual') return;
+
+        compareSyncing = true;
+        target.setView(source.getCenter(), source.getZoom(), { animate: false });
+        compareSyncing = false;
+    }
+
+    function getCompareTargetMap() {
+        return compareState.mode === 'dual' ? getCompareMap() : map;
+    }
+
+    // Panes of the right side sit between the basemap and the overlays of the target map
+    function getCompareRenderer(target) {
+        if (!compareRenderers.has(target)) {
+            target.createPane(COMPARE_BASEMAP_PANE).style.zIndex = 250;
+            target.createPane(COMPARE_LAYER_PANE).style.zIndex = 420;
+            compareRenderers.set(target, L.canvas({ pane: COMPARE_LAYER_PANE }));
+        }
+        return compareRenderers.get(target);
+    }
+
+    function renderCompareBasemap() {
+        compareBasemapLayer?.remove();
+        compareBasemapLayer = null;
+        if (compareState.mode === 'off') return;
+
+        const target = getCompareTargetMap();
+        getCompareRenderer(target);
+
+        if (!CONFIG.basemaps[compareState.basemap]) {
+            compareState.basemap = 'streets';
+        }
+        const config = CONFIG.basemaps[compareState.basemap];
+        compareBasemapLayer = L.tileLayer(config.url, {
+            attribution: config.attribution,
+            maxZoom: CONFIG.maxZoom,
+            pane: COMPARE_BASEMAP_PANE
+        }).addTo(target);
+    }
+
+    function renderCompareLayers() {
+        Object.keys(compareDataLayers).forEach(layerName => {
+            compareDataLayers[layerName].remove();
+            delete compareDataLayers[layerName];
+        });
+        if (compareState.mode === 'off') return;
+
+        const target = getCompareTargetMap();
+        const renderer = getCompareRenderer(target);
+
+        compareState.layers.filter(layerName => dataLayers[layerName]).forEach(layerName => {
+            const features = dataLayers[layerName].getLayers().map(featureLayer => featureLayer.feature);
+            compareDataLayers[layerName] = L.geoJSON({ type: 'FeatureCollection', features }, {
+                renderer,
+                interactive: false,
+                style: feature => getCompareFeatureStyle(layerName, feature),
+                pointToLayer: (feature, latlng) => L.circleMarker(latlng, { renderer, interactive: false })
+            }).addTo(target);
+        });
+    }
+
+    function restyleCompareLayer(layerName) {
+        const layer = compareDataLayers[layerName];
+        layer?.eachLayer(featureLayer => layer.resetStyle(featureLayer));
+    }
+
+    function getCompareFeatureStyle(layerName, feature) {
+        const thematic = compareState.thematics[layerName];
+        if (thematic?.attribute) {
+            return getThematicStyle(feature.properties, thematic);
+        }
+
+        const config = CONFIG.layers[layerName];
+        return /Point/.test(feature.geometry.type) ? getPointStyle(config, feature) : getFeatureStyle(feature, config);
+    }
+
+    // Clip rectangles in layer coordinates of the panes, which move with the map
+    function updateSwipeClip() {
+        let leftClip = '';
+        let rightClip = '';
+
+        if (compareState.mode === 'swipe') {
+            const size = map.getSize();
+            const nw = map.containerPointToLayerPoint([0, 0]);
+            const se = map.containerPointToLayerPoint(size);
+            const x = nw.x + size.x * compareState.position;
+            leftClip = `rect(${nw.y}px, ${x}px, ${se.y}px, ${nw.x}px)`;
+            rightClip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${x}px)`;
+
+            const handle = document.getElementById('compareSwipe');
+            handle.style.left = `${compareState.position * 100}%`;
+            handle.setAttribute('aria-valuenow', Math.round(compareState.position * 100));
+        }
+
+        SWIPE_LEFT_PANES.forEach(name => {
+            const pane = map.getPane(name);
+            if (pane) pane.style.clip = leftClip;
+        });
+        [COMPARE_BASEMAP_PANE, COMPARE_LAYER_PANE].forEach(name => {
+            const pane = map.getPane(name);
+            if (pane) pane.style.clip = rightClip;
+        });
+    }
+
+    function setSwipePosition(position) {
+        compareState.position = Math.min(SWIPE_MAX, Math.max(SWIPE_MIN, position));
+        updateSwipeClip();
+    }
+
+    // Layers of the right side that can carry a thematic map
+    function getCompareThematicLayers() {
+        return compareState.layers.filter(layerName => dataLayers[layerName] && getNumericFields(layerName).length > 0);
+    }
+
+    function getCompareThematicState(layerName) {
+        if (!compareState.thematics[layerName]) {
+            compareState.thematics[layerName] = createThematicState();
+        }
+        return compareState.thematics[layerName];
+    }
+
+    // Breaks, colors and counts of the right-side thematic map of a layer, from its settings
+    function classifyCompareThematic(layerName) {
+        const state = getCompareThematicState(layerName);
+        const features = dataLayers[layerName].getLayers().map(featureLayer => featureLayer.feature);
+        const values = state.attribute ?
+            features.map(feature => getThematicValue(feature.properties, state)).filter(value => value !== null) :
+            [];
+
+        if (state.attribute && values.length === 0) {
+            notify('Nenhum dado numérico encontrado para este atributo.', 'warning');
+            state.attribute = null;
+        }
+        if (!state.attribute) {
+            Object.assign(state, { label: null, breaks: [], colors: [], counts: [], noDataCount: 0 });
+            return;
+        }
+
+        const breaks = classifyData(values, state.numClasses, state.method, state.manualBreaks);
+        const counts = new Array(breaks.length - 1).fill(0);
+        values.forEach(value => counts[getClassIndex(value, breaks)]++);
+        Object.assign(state, {
+            label: getFieldLabel(state.attribute, layerName),
+            breaks,
+            colors: getRampColors(state.ramp, breaks.length - 1, state.reversed),
+            counts,
+            noDataCount: features.length - values.length
+        });
+    }
+
+    function updateCompareThematic(changes) {
+        const layerName = compareState.thematicLayerName;
+        Object.assign(getCompareThematicState(layerName), changes);
+        classifyCompareThematic(layerName);
+        restyleCompareLayer(layerName);
+        renderComparePanel();
+        updateLegend();
+    }
+
+    function getCompareLegendBlocks() {
+        return compareState.layers
+            .filter(layerName => dataLayers[layerName])
+            .map(layerName => compareState.thematics[layerName]?.attribute ?
+                getThematicLegendBlock(layerName, compareState.thematics[layerName]) :
+                getQgisLegendBlock(layerName))
+            .filter(Boolean);
+    }
+
+    async function toggleCompareLayer(layerName, checked) {
+        if (checked) {
+            await loadLayer(layerName);
+            if (!dataLayers[layerName]) {
+                renderComparePanel();
+                return;
+            }
+        }
+
+        compareState.layers = Object.keys(CONFIG.layers).filter(name =>
+            name === layerName ? checked : compareState.layers.includes(name));
+        if (!getCompareThematicLayers().includes(compareState.thematicLayerName)) {
+            compareState.thematicLayerName = getCompareThematicLayers()[0] || null;
+        }
+        renderCompareLayers();
+        renderComparePanel();
+        updateLegend();
+    }
+
+    // Called when a layer leaves the registry (see removeMemoryLayer)
+    function removeCompareLayer(layerName) {
+        delete compareState.thematics[layerName];
+        if (compareState.layers.includes(layerName)) {
+            toggleCompareLayer(layerName, false);
+        }
+    }
 
-        // If it's a census sector, also populate the attribute table
-        if (layerName === 'setores') {
-            populateAttributeTable(props);
-        }
+    function renderComparePanel() {
+        if (compareState.mode === 'off') return;
 
-        let content = '<div class="popup-content">';
+        const basemapSelect = document.getElementById('compareBasemapSelect');
+        basemapSelect.innerHTML = Object.keys(CONFIG.basemaps)
+            .map(basemapName => `<option value="${escapeXml(basemapName)}">${escapeXml(getBasemapName(basemapName))}</option>`)
+            .join('');
+        basemapSelect.value = compareState.basemap;
 
-        // Title
-        if (props.NM_BAIRRO) {
-            content += `<h3>${props.NM_BAIRRO}</h3>`;
-        } else if (props.CD_SETOR) {
-            content += `<h3>Setor Censitário</h3>`;
-        } else {
-            content += `<h3>Informações</h3>`;
-        }
-
-        // Define all possible properties with labels
-        const allProps = {
-            'CD_SETOR': 'Código do Setor',
-            'NM_MUN': 'Município',
-            'NM_DIST': 'Distrito',
-            'NM_BAIRRO': 'Bairro',
-            'AREA_KM2': 'Área (km²)',
-            'v0001': 'População Total',
-            'v0002': 'Domicílios Particulares',
-            'v0003': 'Domicílios Ocupados',
-            'v0004': 'Domicílios Vagos',
-            'v0005': 'Moradores por Domicílio',
-            'v0006': 'Área Média (km²)',
-            'v0007': 'Densidade Demográfica'
-        };
-
-        // For census sectors, use selected attributes; for others, show all relevant data
-        const propsToShow = (layerName === 'setores') ?
-            Object.fromEntries(Object.entries(allProps).filter(([key]) => selectedAttributes.has(key))) :
-            allProps;
-
-        for (const [key, label] of Object.entries(propsToShow)) {
-            if (props[key] !== undefined && props[key] !== null && props[key] !== '') {
-                let value = props[key];
-
-                // Format numbers
-                if (key === 'AREA_KM2' || key === 'v0006') {
-                    value = parseFloat(value).toFixed(4);
-                } else if (key === 'v0005') {
-                    value = parseFloat(value).toFixed(1);
-                } else if (!isNaN(value) && value !== '') {
-                    const numValue = parseFloat(value);
-                    if (Number.isInteger(numValue)) {
-                        value = parseInt(value).toLocaleString('pt-BR');
-                    } else {
-                        value = numValue.toLocaleString('pt-BR');
-                    }
-                }
+        // WMS layers are tiles of the main map only
+        document.getElementById('compareLayerList').innerHTML = Object.entries(CONFIG.layers)
+            .filter(([, config]) => config.service?.type !== 'wms')
+            .map(([layerName, config]) => `
+                <label>
+                    <input type="checkbox" value="${escapeXml(layerName)}"${compareState.layers.includes(layerName) ? ' checked' : ''}>
+                    ${escapeXml(config.name)}
+                </label>
+            `).join('');
 
-                content += `<p><strong>${label}:</strong> ${value}</p>`;
-            }
+        const layerSelect = document.getElementById('compareThematicLayerSelect');
+        const thematicLayers = getCompareThematicLayers();
+        layerSelect.innerHTML = thematicLayers.length > 0 ?
+            thematicLayers.map(layerName => `<option value="${layerName}">${escapeXml(CONFIG.layers[layerName].name)}</option>`).join('') :
+            '<option value="">Nenhuma camada com atributos numéricos</option>';
+        layerSelect.value = compareState.thematicLayerName || '';
+        layerSelect.disabled = thematicLayers.length === 0;
+
+        const layerName = compareState.thematicLayerName;
+        const state = layerName ? getCompareThematicState(layerName) : createThematicState();
+        const attributeSelect = document.getElementById('compareAttributeSelect');
+        attributeSelect.innerHTML = '<option value="">Sem mapa temático</option>';
+        if (layerName) {
+            appendNumericFieldOptions(attributeSelect, layerName);
         }
+        attributeSelect.value = state.attribute || '';
+        attributeSelect.disabled = !layerName;
 
-        content += '</div>';
+        const methodSelect = document.getElementById('compareMethodSelect');
+        methodSelect.innerHTML = Object.entries(CLASSIFICATION_METHODS)
+            .filter(([method]) => method !== 'manual' || state.manualBreaks.length > 0)
+            .map(([method, label]) => `<option value="${method}">${label}</option>`)
+            .join('');
+        methodSelect.value = state.method;
 
-        L.popup()
-            .setLatLng(e.latlng)
-            .setContent(content)
-            .openOn(map);
-    }
+        const classesSelect = document.getElementById('compareClassesSelect');
+        classesSelect.innerHTML = Array.from({ length: MAX_CLASSES - MIN_CLASSES + 1 }, (_, i) => MIN_CLASSES + i)
+            .map(count => `<option value="${count}">${count} classes</option>`)
+            .join('');
+        classesSelect.value = state.numClasses;
 
-    // ==================== Attribute Table Functions ====================
-    function populateAttributeTable(properties) {
-        const tableBody = document.getElementById('attributeTableBody');
-        const tablePanel = document.getElementById('attributeTablePanel');
+        const rampSelect = document.getElementById('compareRampSelect');
+        buildColorRampSelect(rampSelect, state.ramp, false);
 
-        // Show the table panel
-        tablePanel.style.display = 'block';
+        [methodSelect, classesSelect, rampSelect].forEach(select => {
+            select.disabled = !state.attribute;
+        });
+    }
 
-        // Clear existing rows
-        tableBody.innerHTML = '';
+    document.addEventListener('DOMContentLoaded', () => {
+        const handle = document.getElementById('compareSwipe');
 
-        // Define all attributes with friendly names
-        const attributeLabels = {
-            'CD_SETOR': 'Código do Setor',
-            'CD_REGIAO': 'Código da Região',
-            'NM_REGIAO': 'Nome da Região',
-            'CD_UF': 'Código da UF',
-            'NM_UF': 'Nome da UF',
-            'CD_MUN': 'Código do Município',
-            'NM_MUN': 'Nome do Município',
-            'CD_DIST': 'Código do Distrito',
-            'NM_DIST': 'Nome do Distrito',
-            'CD_SUBDIST': 'Código do Subdistrito',
-            'NM_SUBDIST': 'Nome do Subdistrito',
-            'CD_BAIRRO': 'Código do Bairro',
-            'NM_BAIRRO': 'Nome do Bairro',
-            'CD_RGINT': 'Código da Região Intermediária',
-            'NM_RGINT': 'Nome da Região Intermediária',
-            'CD_RGI': 'Código da Região Imediata',
-            'NM_RGI': 'Nome da Região Imediata',
-            'CD_CONCURB': 'Código da Concentração Urbana',
-            'NM_CONCURB': 'Nome da Concentração Urbana',
-            'AREA_KM2': 'Área (km²)',
-            'v0001': 'População Total',
-            'v0002': 'Domicílios Particulares Permanentes',
-            'v0003': 'Domicílios Particulares Ocupados',
-            'v0004': 'Domicílios Particulares Vagos',
-            'v0005': 'Moradores por Domicílio',
-            'v0006': 'Área Média por Domicílio (km²)',
-            'v0007': 'Densidade Demográfica (hab/km²)'
-        };
-
-        // Populate table with all properties
-        for (const [key, value] of Object.entries(properties)) {
-            if (key === 'geometry') continue; // Skip geometry
+        document.getElementById('compareModeSelect').addEventListener('change', (e) => setCompareMode(e.target.value));
 
-            const row = document.createElement('tr');
-            const labelCell = document.createElement('td');
-            const valueCell = document.createElement('td');
+        document.getElementById('compareBasemapSelect').addEventListener('change', (e) => {
+            compareState.basemap = e.target.value;
+            renderCompareBasemap();
+            updateSwipeClip();
+            updateLegend();
+        });
 
-            // Use friendly label or key itself
-            labelCell.textContent = attributeLabels[key] || key;
+        document.getElementById('compareLayerList').addEventListener('change', (e) => {
+            toggleCompareLayer(e.target.value, e.target.checked);
+        });
 
-            // Format value
-            let formattedValue = value;
-            if (value === null || value === undefined || value === '') {
-                formattedValue = '-';
-            } else if (key === 'AREA_KM2' || key === 'v0006') {
-                formattedValue = parseFloat(value).toFixed(4);
-            } else if (key === 'v0005') {
-                formattedValue = parseFloat(value).toFixed(1);
-            } else if (!isNaN(value) && typeof value === 'number') {
-                formattedValue = value.toLocaleString('pt-BR');
-            }
+        document.getElementById('compareThematicLayerSelect').addEventListener('change', (e) => {
+            compareState.thematicLayerName = e.target.value || null;
+            renderComparePanel();
+        });
 
-            valueCell.textContent = formattedValue;
+        document.getElementById('compareAttributeSelect').addEventListener('change', (e) => {
+            updateCompareThematic({ attribute: e.target.value || null, normalizeBy: null });
+        });
+        document.getElementById('compareMethodSelect').addEventListener('change', (e) => {
+            updateCompareThematic({ method: e.target.value });
+        });
+        document.getElementById('compareClassesSelect').addEventListener('change', (e) => {
+            updateCompareThematic({ numClasses: parseInt(e.target.value, 10) });
+        });
+        document.getElementById('compareRampSelect').addEventListener('change', (e) => {
+            updateCompareThematic({ ramp: e.target.value });
+        });
 
-            row.appendChild(labelCell);
-            row.appendChild(valueCell);
-            tableBody.appendChild(row);
-        }
+        document.getElementById('copyLeftSideBtn').addEventListener('click', () => {
+            copyLeftSideLayers();
+            renderCompareLayers();
+            renderComparePanel();
+            updateLegend();
+        });
 
-        // Scroll to top of table
-        document.getElementById('attributeTableContainer').scrollTop = 0;
-    }
+        // Drag or arrow keys move the swipe handle
+        handle.addEventListener('pointerdown', (e) => {
+            handle.setPointerCapture(e.pointerId);
+            handle.focus();
+            e.preventDefault();
+        });
+        handle.addEventListener('pointermove', (e) => {
+            if (!handle.hasPointerCapture(e.pointerId)) return;
+            const rect = document.getElementById('map').getBoundingClientRect();
+            setSwipePosition((e.clientX - rect.left) / rect.width);
+        });
+        handle.addEventListener('keydown', (e) => {
+            const step = { ArrowLeft: -SWIPE_KEY_STEP, ArrowRight: SWIPE_KEY_STEP }[e.key];
+            if (!step) return;
+            e.preventDefault();
+            setSwipePosition(compareState.position + step);
+        });
+    });
 
     // ==================== Event Listeners ====================
     function setupEventListeners() {
-        // Basemap selection
-        document.querySelectorAll('.basemap-option').forEach(option => {
-            option.addEventListener('click', () => {
-                const basemap = option.dataset.basemap;
-                addBasemap(basemap);
-            });
+        // Basemap selection, delegated so custom XYZ basemaps added later are covered
+        document.querySelector('.basemap-selector').addEventListener('click', (e) => {
+            const option = e.target.closest('.basemap-option');
+            if (option) {
+                addBasemap(option.dataset.basemap);
+            }
         });
 
-        // Layer toggles
-        document.querySelectorAll('.layer-item input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', async (e) => {
-                const layerName = e.target.id.replace('layer-', '');
-
-                if (e.target.checked) {
-                    showLoading();
-                    await loadLayer(layerName);
-                    if (dataLayers[layerName]) {
-                        dataLayers[layerName].addTo(map);
-                    }
-                    hideLoading();
+        // Layer toggles, delegated for layers added after startup
+        document.getElementById('layersList').addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            const layerName = e.target.id.replace('layer-', '');
+            setLayerVisibility(layerName, e.target.checked);
+        });
 
-                    // Show attribute selector for census sectors
-                    if (layerName === 'setores') {
-                        document.getElementById('attributeSelector').style.display = 'block';
-                        // Show thematic mapping panel
-                        document.getElementById('thematicMappingPanel').style.display = 'block';
-                    }
-                } else {
-                    if (dataLayers[layerName]) {
-                        map.removeLayer(dataLayers[layerName]);
-                    }
+        // Attribute table: layer choice, pagination and selection tools
+        document.getElementById('tableLayerSelect').addEventListener('change', (e) => {
+            openAttributeTable(e.target.value);
+        });
 
-                    // Hide attribute selector when census sectors is unchecked
-                    if (layerName === 'setores') {
-                        document.getElementById('attributeSelector').style.display = 'none';
-                        // Hide thematic mapping panel
-                        document.getElementById('thematicMappingPanel').style.display = 'none';
-                        // Reset thematic mapping if active
-                        resetThematicMapping();
-                    }
-                }
-            });
+        document.getElementById('prevPageBtn').addEventListener('click', () => {
+            attributeTable.page--;
+            renderAttributeTable();
         });
 
-        // Attribute selector checkboxes
-        document.querySelectorAll('#attributesList input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => {
-                const attribute = e.target.value;
+        document.getElementById('nextPageBtn').addEventListener('click', () => {
+            attributeTable.page++;
+            renderAttributeTable();
+        });
 
-                if (e.target.checked) {
-                    selectedAttributes.add(attribute);
-                } else {
-                    selectedAttributes.delete(attribute);
-                }
+        document.getElementById('zoomSelectionBtn').addEventListener('click', () => {
+            zoomToSelection(attributeTable.layerName);
+        });
 
-                console.log('Atributos selecionados:', Array.from(selectedAttributes));
-            });
+        document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+            clearSelection(attributeTable.layerName);
         });
 
         // Map controls
@@ -566,18 +7884,18 @@ function resetHighlight(e) {
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                infoModal.classList.remove('active');
+                document.querySelectorAll('.modal.active').forEach(modal => modal.classList.remove('active'));
                 // Also close attribute table if open
                 const tablePanel = document.getElementById('attributeTablePanel');
-                if (tablePanel.style.display === 'block') {
-                    tablePanel.style.display = 'none';
+                if (tablePanel.style.display !== 'none') {
+                    closeAttributeTable();
                 }
             }
         });
 
         // Close attribute table button
         document.getElementById('closeTableBtn').addEventListener('click', () => {
-            document.getElementById('attributeTablePanel').style.display = 'none';
+            closeAttributeTable();
         });
     }
 
@@ -593,162 +7911,648 @@ function resetHighlight(e) {
         }
     }
 
+    // ==================== Notifications ====================
+    // Non-blocking messages stacked over the map; errors stay until closed
+    const NOTIFICATION_DURATIONS = { info: 5000, success: 5000, warning: 8000, error: 0 };
+    const NOTIFICATION_MAX_VISIBLE = 4;
+
+    // type: 'info' | 'success' | 'warning' | 'error'; detail is a second, smaller line and
+    // action a { label, handler } button. A message already on screen is counted, not repeated
+    function notify(message, type = 'info', { detail = '', action = null } = {}) {
+        const container = document.getElementById('notifications');
+        const key = `${type}|${message}|${detail}`;
+
+        const existing = [...container.children].find(element => element.dataset.key === key);
+        if (existing) {
+            const count = Number(existing.dataset.count) + 1;
+            existing.dataset.count = count;
+            existing.querySelector('.notification-count').textContent = `×${count}`;
+            scheduleNotificationClose(existing, type);
+            return existing;
+        }
+
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.dataset.key = key;
+        notification.dataset.count = 1;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <div class="notification-body">
+                <p class="notification-message"></p>
+                ${detail ? '<p class="notification-detail"></p>' : ''}
+                ${action ? '<button class="notification-action"></button>' : ''}
+            </div>
+            <span class="notification-count"></span>
+            <button class="notification-close" title="Fechar">
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                    <path d="M3 3L13 13M3 13L13 3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" />
+                </svg>
+            </button>
+        `;
+        notification.querySelector('.notification-message').textContent = message;
+        if (detail) {
+            notification.querySelector('.notification-detail').textContent = detail;
+        }
+        if (action) {
+            const button = notification.querySelector('.notification-action');
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                closeNotification(notification);
+                action.handler();
+            });
+        }
+        notification.querySelector('.notification-close').addEventListener('click', () => closeNotification(notification));
+
+        container.appendChild(notification);
+        while (container.children.length > NOTIFICATION_MAX_VISIBLE) {
+            closeNotification(container.firstElementChild);
+        }
+        scheduleNotificationClose(notification, type);
+        return notification;
+    }
+
+    function scheduleNotificationClose(notification, type) {
+        clearTimeout(notification.closeTimer);
+        if (NOTIFICATION_DURATIONS[type]) {
+            notification.closeTimer = setTimeout(() => closeNotification(notification), NOTIFICATION_DURATIONS[type]);
+        }
+    }
+
+    function closeNotification(notification) {
+        clearTimeout(notification.closeTimer);
+        notification.remove();
+    }
+
     // ==================== Color Utilities ====================
-    function getColorForValueGradient(value, min, max, colorScale) {
-        const normalized = (value - min) / (max - min);
-        const hue = (1 - normalized) * 120; // Red to green
-        return `hsl(${hue}, 70%, 50%)`;
+    // Color ramps (ColorBrewer 9-class schemes and matplotlib perceptual maps).
+    // Sequential and diverging ramps are interpolated to any class count;
+    // qualitative ramps use their first colors.
+    const COLOR_RAMPS = {
+        YlOrRd: { name: 'Amarelo-Laranja-Vermelho', type: 'sequential', colorblindSafe: true, colors: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'] },
+        YlGnBu: { name: 'Amarelo-Verde-Azul', type: 'sequential', colorblindSafe: true, colors: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'] },
+        OrRd: { name: 'Laranja-Vermelho', type: 'sequential', colorblindSafe: true, colors: ['#fff7ec', '#fee8c8', '#fdd49e', '#fdbb84', '#fc8d59', '#ef6548', '#d7301f', '#b30000', '#7f0000'] },
+        PuBuGn: { name: 'Roxo-Azul-Verde', type: 'sequential', colorblindSafe: true, colors: ['#fff7fb', '#ece2f0', '#d0d1e6', '#a6bddb', '#67a9cf', '#3690c0', '#02818a', '#016c59', '#014636'] },
+        Blues: { name: 'Azuis', type: 'sequential', colorblindSafe: true, colors: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'] },
+        Greens: { name: 'Verdes', type: 'sequential', colorblindSafe: true, colors: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'] },
+        Reds: { name: 'Vermelhos', type: 'sequential', colorblindSafe: true, colors: ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d'] },
+        Purples: { name: 'Roxos', type: 'sequential', colorblindSafe: true, colors: ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d'] },
+        viridis: { name: 'Viridis', type: 'sequential', colorblindSafe: true, colors: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'] },
+        cividis: { name: 'Cividis', type: 'sequential', colorblindSafe: true, colors: ['#00204d', '#00336f', '#39486b', '#575c6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#ffea46'] },
+        magma: { name: 'Magma', type: 'sequential', colorblindSafe: true, colors: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'] },
+        RdYlBu: { name: 'Vermelho-Amarelo-Azul', type: 'diverging', colorblindSafe: true, colors: ['#d73027', '#f46d43', '#fdae61', '#fee090', '#ffffbf', '#e0f3f8', '#abd9e9', '#74add1', '#4575b4'] },
+        RdBu: { name: 'Vermelho-Azul', type: 'diverging', colorblindSafe: true, colors: ['#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac'] },
+        BrBG: { name: 'Marrom-Verde-Azulado', type: 'diverging', colorblindSafe: true, colors: ['#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e'] },
+        PiYG: { name: 'Rosa-Verde', type: 'diverging', colorblindSafe: true, colors: ['#c51b7d', '#de77ae', '#f1b6da', '#fde0ef', '#f7f7f7', '#e6f5d0', '#b8e186', '#7fbc41', '#4d9221'] },
+        Spectral: { name: 'Espectral', type: 'diverging', colorblindSafe: false, colors: ['#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd'] },
+        RdYlGn: { name: 'Vermelho-Amarelo-Verde', type: 'diverging', colorblindSafe: false, colors: ['#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850'] },
+        Set2: { name: 'Set2', type: 'qualitative', colorblindSafe: true, colors: ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3'] },
+        Dark2: { name: 'Dark2', type: 'qualitative', colorblindSafe: true, colors: ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666'] },
+        Paired: { name: 'Paired', type: 'qualitative', colorblindSafe: true, colors: ['#a6cee3', '#1f78b4', '#b2df8a', '#33a02c', '#fb9a99', '#e31a1c', '#fdbf6f', '#ff7f00', '#cab2d6', '#6a3d9a', '#ffff99', '#b15928'] },
+        Set1: { name: 'Set1', type: 'qualitative', colorblindSafe: false, colors: ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#ffff33', '#a65628', '#f781bf', '#999999'] }
+    };
+
+    const COLOR_RAMP_TYPES = {
+        sequential: 'Sequencial',
+        diverging: 'Divergente',
+        qualitative: 'Qualitativa'
+    };
+
+    function getRampColors(rampName, numClasses, reversed = false) {
+        const ramp = COLOR_RAMPS[rampName] || COLOR_RAMPS.YlOrRd;
+
+        let colors;
+        if (ramp.type === 'qualitative') {
+            colors = Array.from({ length: numClasses }, (_, i) => ramp.colors[i % ramp.colors.length]);
+        } else {
+            colors = interpolateColors(ramp.colors, numClasses);
+        }
+
+        return reversed ? colors.reverse() : colors;
+    }
+
+    function parseColor(color) {
+        if (color.startsWith('#')) {
+            const hex = color.length === 4 ? color.replace(/\w/g, c => c + c) : color;
+            return [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16)).concat(1);
+        }
+        const parts = color.match(/[\d.]+/g).map(Number);
+        return parts.length === 3 ? parts.concat(1) : parts;
+    }
+
+    function toHexColor([r, g, b]) {
+        return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+    }
+
+    function interpolateColors(anchors, count) {
+        const rgba = anchors.map(parseColor);
+        if (count === 1) {
+            return [anchors[0]];
+        }
+
+        return Array.from({ length: count }, (_, i) => {
+            const position = (i / (count - 1)) * (rgba.length - 1);
+            const lower = Math.floor(position);
+            const upper = Math.min(lower + 1, rgba.length - 1);
+            const t = position - lower;
+            const [r, g, b, a] = rgba[lower].map((c, j) => c + (rgba[upper][j] - c) * t);
+            return a < 1 ? `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${parseFloat(a.toFixed(2))})` : toHexColor([r, g, b]);
+        });
     }
 
     // ==================== Thematic Mapping Functions ====================
-    let currentThematicAttribute = null;
-    let thematicBreaks = [];
-    const thematicColors = ['#E0E0E0', 'rgba(255, 255, 0, 0.5)', 'rgba(255, 165, 0, 0.6)', 'rgba(255, 0, 0, 0.7)', '#800080'];
+    // Thematic settings per layer; breaks, colors and counts are filled in when the map is applied
+    const thematicStates = {};
+    // Layer currently edited in #thematicMappingPanel
+    let thematicLayerName = null;
+
+    // Also the shape of the thematic maps on the right side of a comparison
+    function createThematicState() {
+        return {
+            attribute: null,
+            label: null,
+            method: 'quantile',
+            numClasses: 5,
+            manualBreaks: [],
+            ramp: 'YlOrRd',
+            reversed: false,
+            normalizeBy: null,
+            normalizeMode: 'percent',
+            breaks: [],
+            colors: [],
+            counts: [],
+            noDataCount: 0
+        };
+    }
+
+    function getThematicState(layerName) {
+        if (!thematicStates[layerName]) {
+            thematicStates[layerName] = createThematicState();
+        }
+        return thematicStates[layerName];
+    }
+
+    const CLASSIFICATION_METHODS = {
+        jenks: 'Quebras naturais (Jenks)',
+        equal: 'Intervalos iguais',
+        quantile: 'Quantil',
+        stddev: 'Desvio padrão',
+        pretty: 'Quebras arredondadas',
+        manual: 'Manual'
+    };
+
+    const MIN_CLASSES = 3;
+    const MAX_CLASSES = 9;
 
-    function classifyData(values, numClasses = 5) {
+    // Returns class boundaries [min, b1, ..., max]; class i covers [breaks[i], breaks[i + 1])
+    // and the last class also includes the maximum.
+    function classifyData(values, numClasses = 5, method = 'quantile', manualBreaks = []) {
         // Remove null/undefined values and sort
         const validValues = values.filter(v => v !== null && v !== undefined && !isNaN(v)).sort((a, b) => a - b);
 
         if (validValues.length === 0) return [];
 
-        const breaks = [];
-        const step = Math.floor(validValues.length / numClasses);
+        const min = validValues[0];
+        const max = validValues[validValues.length - 1];
+        if (min === max) return [min, max];
+
+        let inner;
+        switch (method) {
+            case 'jenks':
+                inner = jenksBreaks(validValues, numClasses);
+                break;
+            case 'equal':
+                inner = equalIntervalBreaks(min, max, numClasses);
+                break;
+            case 'stddev':
+                inner = standardDeviationBreaks(validValues, numClasses);
+                break;
+            case 'pretty':
+                return prettyBreaks(min, max, numClasses);
+            case 'manual':
+                inner = manualBreaks;
+                break;
+            default:
+                inner = quantileBreaks(validValues, numClasses);
+        }
+
+        // Keep only distinct inner boundaries strictly between min and max
+        const breaks = [...new Set(inner.filter(v => v > min && v < max))].sort((a, b) => a - b);
+        return [min, ...breaks, max];
+    }
 
-        breaks.push(validValues[0]); // min
+    function equalIntervalBreaks(min, max, numClasses) {
+        const step = (max - min) / numClasses;
+        const breaks = [];
+        for (let i = 1; i < numClasses; i++) {
+            breaks.push(min + i * step);
+        }
+        return breaks;
+    }
 
+    function quantileBreaks(sortedValues, numClasses) {
+        const breaks = [];
+        const last = sortedValues.length - 1;
         for (let i = 1; i < numClasses; i++) {
-            const index = Math.min(i * step, validValues.length - 1);
-            breaks.push(validValues[index]);
+            // Linear interpolation between closest ranks
+            const position = (i / numClasses) * last;
+            const lower = Math.floor(position);
+            const upper = Math.ceil(position);
+            breaks.push(sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower));
         }
+        return breaks;
+    }
 
-        breaks.push(validValues[validValues.length - 1]); // max
+    function standardDeviationBreaks(sortedValues, numClasses) {
+        const mean = sortedValues.reduce((sum, v) => sum + v, 0) / sortedValues.length;
+        const variance = sortedValues.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sortedValues.length;
+        const sd = Math.sqrt(variance);
 
+        // Classes one standard deviation wide, centered on the mean
+        const breaks = [];
+        for (let i = 1; i < numClasses; i++) {
+            breaks.push(mean + (i - numClasses / 2) * sd);
+        }
         return breaks;
     }
 
-    function getColorForValue(value, breaks, colors) {
-        if (value === null || value === undefined || isNaN(value)) {
-            return '#cccccc'; // Gray for no data
+    function prettyBreaks(min, max, numClasses) {
+        // Step rounded to 1, 2, 2.5 or 5 times a power of ten, giving the class count closest to
+        // the request without going over MAX_CLASSES
+        const magnitude = Math.pow(10, Math.floor(Math.log10((max - min) / numClasses)));
+        const round = v => parseFloat(v.toPrecision(12));
+        const getBreaks = step => {
+            // Each break computed from the start, so rounding errors don't accumulate
+            const start = Math.floor(round(min / step));
+            const end = Math.ceil(round(max / step));
+            return [...new Set(Array.from({ length: end - start + 1 }, (_, i) => round((start + i) * step)))];
+        };
+
+        return [1, 2, 2.5, 5, 10, 20]
+            .map(m => getBreaks(m * magnitude))
+            .filter(breaks => breaks.length - 1 <= MAX_CLASSES)
+            .reduce((best, breaks) => Math.abs(breaks.length - 1 - numClasses) <= Math.abs(best.length - 1 - numClasses) ? breaks : best);
+    }
+
+    // Fisher-Jenks natural breaks (dynamic programming over sorted values)
+    function jenksBreaks(sortedValues, numClasses) {
+        const n = sortedValues.length;
+        const k = Math.min(numClasses, n);
+        const lowerLimits = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+        const variances = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+
+        for (let j = 1; j <= k; j++) {
+            lowerLimits[1][j] = 1;
+            variances[1][j] = 0;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let w = 0;
+            let variance = 0;
+
+            for (let m = 1; m <= l; m++) {
+                const lowerIndex = l - m + 1;
+                const value = sortedValues[lowerIndex - 1];
+                w++;
+                sum += value;
+                sumSquares += value * value;
+                variance = sumSquares - (sum * sum) / w;
+
+                if (lowerIndex > 1) {
+                    for (let j = 2; j <= k; j++) {
+                        if (variances[l][j] >= variance + variances[lowerIndex - 1][j - 1]) {
+                            lowerLimits[l][j] = lowerIndex;
+                            variances[l][j] = variance + variances[lowerIndex - 1][j - 1];
+                        }
+                    }
+                }
+            }
+
+            lowerLimits[l][1] = 1;
+            variances[l][1] = variance;
+        }
+
+        const breaks = [];
+        let upper = n;
+        for (let j = k; j >= 2; j--) {
+            const lowerIndex = lowerLimits[upper][j];
+            breaks.unshift(sortedValues[lowerIndex - 1]);
+            upper = lowerIndex - 1;
         }
+        return breaks;
+    }
 
-        for (let i = 0; i < breaks.length - 1; i++) {
-            if (value >= breaks[i] && value <= breaks[i + 1]) {
-                return colors[i];
+    // Accepts "10; 20,5; 30" (comma as decimal mark) or "10, 20.5, 30"
+    function parseManualBreaks(text) {
+        const parts = text.includes(';') ?
+            text.split(';').map(part => part.replace(',', '.')) :
+            text.split(/[,\s]+/);
+
+        return parts
+            .map(part => parseFloat(part.trim()))
+            .filter(v => !isNaN(v))
+            .sort((a, b) => a - b);
+    }
+
+    function getClassIndex(value, breaks) {
+        const numClasses = breaks.length - 1;
+        for (let i = 1; i < numClasses; i++) {
+            if (value < breaks[i]) {
+                return i - 1;
             }
         }
+        return Math.max(numClasses - 1, 0);
+    }
+
+    function getColorForValue(value, breaks, colors) {
+        if (value === null || value === undefined || value === '' || isNaN(value)) {
+            return '#cccccc'; // Gray for no data
+        }
 
-        return colors[colors.length - 1];
+        return colors[getClassIndex(parseFloat(value), breaks)];
     }
 
-    function applyThematicMapping(attributeKey, attributeLabel) {
-        const layer = dataLayers['setores'];
+    function applyThematicMapping(layerName, attributeKey, attributeLabel) {
+        const layer = dataLayers[layerName];
         if (!layer) {
-            alert('Camada de setores censitários não está carregada.');
+            notify(`Camada ${CONFIG.layers[layerName]?.name || layerName} não está carregada.`, 'warning');
             return;
         }
 
-        // Collect all values
+        const state = getThematicState(layerName);
+
+        // Collect all values (raw field, indicator or normalized rate)
+        const valueOf = props => getThematicValue(props, { ...state, attribute: attributeKey });
         const values = [];
         layer.eachLayer(feature => {
-            const value = feature.feature.properties[attributeKey];
-            if (value !== null && value !== undefined && !isNaN(value)) {
-                values.push(parseFloat(value));
+            const value = valueOf(feature.feature.properties);
+            if (value !== null) {
+                values.push(value);
             }
         });
 
         if (values.length === 0) {
-            alert('Nenhum dado numérico encontrado para este atributo.');
+            notify('Nenhum dado numérico encontrado para este atributo.', 'warning');
+            return;
+        }
+
+        if (state.method === 'manual' && state.manualBreaks.length === 0) {
+            notify('Informe ao menos um limite de classe para a classificação manual.', 'warning');
             return;
         }
 
         // Classify data
-        thematicBreaks = classifyData(values, 5);
-        currentThematicAttribute = attributeKey;
+        const breaks = classifyData(values, state.numClasses, state.method, state.manualBreaks);
+        Object.assign(state, {
+            attribute: attributeKey,
+            label: attributeLabel,
+            breaks,
+            colors: getRampColors(state.ramp, breaks.length - 1, state.reversed),
+            counts: new Array(breaks.length - 1).fill(0),
+            noDataCount: 0
+        });
 
-        // Re-style layer
+        // Re-style layer and count features per class
         layer.eachLayer(feature => {
-            const value = feature.feature.properties[attributeKey];
-            const color = getColorForValue(value, thematicBreaks, thematicColors);
+            feature.setStyle(getLayerStyle(layerName, feature));
 
-            feature.setStyle({
-                fillColor: color,
-                weight: 1,
-                opacity: 1,
-                color: '#000000',
-                fillOpacity: 0.5  // More transparent
-            });
+            const value = valueOf(feature.feature.properties);
+            if (value === null) {
+                state.noDataCount++;
+            } else {
+                state.counts[getClassIndex(value, state.breaks)]++;
+            }
         });
 
-        // Update legend
-        updateLegend(attributeLabel, thematicBreaks, thematicColors);
+        updateLegend();
+
+        // The histogram follows the thematic attribute of its layer
+        if (chartState.layerName === layerName) {
+            chartState.field = attributeKey;
+        }
+        refreshChartPanel();
 
         // Show reset button
-        document.getElementById('resetThematicBtn').style.display = 'block';
+        if (layerName === thematicLayerName) {
+            document.getElementById('resetThematicBtn').style.display = 'block';
+        }
 
-        console.log(`Thematic mapping applied for: ${attributeLabel}`);
+        console.log(`Thematic mapping applied to ${layerName} for: ${attributeLabel}`);
+        scheduleUrlStateUpdate();
     }
 
-    function resetThematicMapping() {
-        const layer = dataLayers['setores'];
-        if (!layer) return;
+    function resetThematicMapping(layerName = thematicLayerName) {
+        const state = thematicStates[layerName];
+        if (!state) return;
 
-        const originalColor = CONFIG.layers.setores.color;
+        // Reset variables
+        Object.assign(state, { attribute: null, label: null, breaks: [], colors: [], counts: [], noDataCount: 0 });
 
         // Reset to original style
-        layer.eachLayer(feature => {
-            feature.setStyle({
-                fillColor: originalColor,
-                weight: 2,
-                opacity: 1,
-                color: originalColor,
-                fillOpacity: 0.3
-            });
-        });
+        restyleLayer(layerName);
 
-        // Reset legend
-        document.getElementById('legendContent').innerHTML = '<p class="legend-placeholder">Selecione uma camada para ver a legenda</p>';
+        updateLegend();
+        refreshChartPanel();
 
-        // Reset variables
-        currentThematicAttribute = null;
-        thematicBreaks = [];
+        if (layerName === thematicLayerName) {
+            // Hide reset button
+            document.getElementById('resetThematicBtn').style.display = 'none';
+
+            // Reset select
+            document.getElementById('thematicAttributeSelect').value = '';
+            document.getElementById('applyThematicBtn').disabled = true;
+        }
+
+        console.log(`Thematic mapping reset for ${layerName}`);
+        scheduleUrlStateUpdate();
+    }
+
+    // Polygon layers currently on the map that declare the thematic panel
+    function getThematicLayerNames() {
+        return Object.keys(CONFIG.layers).filter(layerName =>
+            CONFIG.layers[layerName].panels.includes('thematicMappingPanel') &&
+            isDataLayerActive(layerName)
+        );
+    }
+
+    function refreshThematicLayerSelect() {
+        const layerSelect = document.getElementById('thematicLayerSelect');
+        const layerNames = getThematicLayerNames();
+
+        layerSelect.innerHTML = layerNames
+            .map(layerName => `<option value="${layerName}">${escapeXml(CONFIG.layers[layerName].name)}</option>`)
+            .join('');
+
+        if (!layerNames.includes(thematicLayerName)) {
+            thematicLayerName = layerNames[0] || null;
+            syncThematicPanel();
+        }
+        layerSelect.value = thematicLayerName || '';
+    }
+
+    // Fill the panel controls from the settings of the edited layer
+    function syncThematicPanel() {
+        if (!thematicLayerName) return;
+
+        const state = getThematicState(thematicLayerName);
+        buildThematicSelect(thematicLayerName);
+
+        document.getElementById('thematicAttributeSelect').value = state.attribute || '';
+        document.getElementById('applyThematicBtn').disabled = !state.attribute;
+        document.getElementById('resetThematicBtn').style.display = state.attribute ? 'block' : 'none';
+        document.getElementById('classMethodSelect').value = state.method;
+        document.getElementById('classCountInput').value = state.numClasses;
+        document.getElementById('classCountInput').disabled = state.method === 'manual';
+        document.getElementById('manualBreaksContainer').style.display = state.method === 'manual' ? 'flex' : 'none';
+        document.getElementById('manualBreaksInput').value = state.manualBreaks.join('; ');
+        document.getElementById('reverseRampInput').checked = state.reversed;
+        document.getElementById('normalizeSelect').value = state.normalizeBy || '';
+        document.getElementById('normalizeModeSelect').value = state.normalizeMode;
+        document.getElementById('normalizeModeSelect').disabled = !state.normalizeBy;
+
+        const rampSelect = document.getElementById('colorRampSelect');
+        buildColorRampSelect(rampSelect, state.ramp, document.getElementById('colorblindOnlyInput').checked);
+        state.ramp = rampSelect.value;
+        updateRampPreview();
+    }
+
+    function buildColorRampSelect(select, selectedRamp, colorblindOnly) {
+        select.innerHTML = '';
+
+        for (const [type, typeLabel] of Object.entries(COLOR_RAMP_TYPES)) {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = typeLabel;
 
-        // Hide reset button
-        document.getElementById('resetThematicBtn').style.display = 'none';
+            for (const [key, ramp] of Object.entries(COLOR_RAMPS)) {
+                if (ramp.type !== type || (colorblindOnly && !ramp.colorblindSafe)) continue;
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = ramp.name;
+                optgroup.appendChild(option);
+            }
+
+            if (optgroup.children.length > 0) {
+                select.appendChild(optgroup);
+            }
+        }
+
+        select.value = COLOR_RAMPS[selectedRamp] && select.querySelector(`option[value="${selectedRamp}"]`) ?
+            selectedRamp :
+            select.options[0].value;
+    }
+
+    function updateRampPreview() {
+        const state = getThematicState(thematicLayerName);
+        const colors = getRampColors(state.ramp, state.numClasses, state.reversed);
+        document.getElementById('colorRampPreview').innerHTML = colors
+            .map(color => `<span style="background-color: ${color}"></span>`)
+            .join('');
+    }
 
-        // Reset select
-        document.getElementById('thematicAttributeSelect').value = '';
-        document.getElementById('applyThematicBtn').disabled = true;
+    function formatBreak(value) {
+        return value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    }
 
-        console.log('Thematic mapping reset');
+    function getThematicTitle(state, layerName) {
+        if (!state.normalizeBy) return state.label;
+        return `${state.label} / ${getFieldLabel(state.normalizeBy, layerName)}${NORMALIZATION_MODES[state.normalizeMode].suffix}`;
     }
 
-    function updateLegend(attributeLabel, breaks, colors) {
+    // One legend block per layer with an active thematic map; while comparing,
+    // one list per side, headed by the basemap of each
+    function updateLegend() {
         const legendContent = document.getElementById('legendContent');
+        const render = blocks => blocks.map(block => renderLegendBlock(block.title, block.breaks, block.colors, block)).join('');
+        const blocks = render(getLegendBlocks());
+
+        if (compareState.mode !== 'off') {
+            const rightBlocks = render(getCompareLegendBlocks());
+            const empty = '<p class="legend-placeholder">Nenhuma camada com legenda</p>';
+            legendContent.innerHTML =
+                `<div class="legend-side-title">Esquerda · ${escapeXml(getBasemapName(currentBasemap))}</div>${blocks || empty}` +
+                `<div class="legend-side-title">Direita · ${escapeXml(getBasemapName(compareState.basemap))}</div>${rightBlocks || empty}`;
+            return;
+        }
+
+        legendContent.innerHTML = blocks ||
+            '<p class="legend-placeholder">Selecione uma camada para ver a legenda</p>';
+    }
+
+    function getThematicLegendBlock(layerName, state) {
+        return {
+            layerName,
+            title: `${CONFIG.layers[layerName].name} · ${getThematicTitle(state, layerName)}`,
+            breaks: state.breaks,
+            colors: state.colors,
+            method: CLASSIFICATION_METHODS[state.method],
+            ramp: COLOR_RAMPS[state.ramp].name,
+            counts: state.counts,
+            noDataCount: state.noDataCount
+        };
+    }
+
+    // Thematic legends of the active layers, shared by the sidebar and the print composer,
+    // followed by the QGIS classes of active layers without a thematic map
+    function getLegendBlocks() {
+        const blocks = Object.entries(thematicStates)
+            .filter(([layerName, state]) => state.attribute && isDataLayerActive(layerName))
+            .map(([layerName, state]) => getThematicLegendBlock(layerName, state));
+
+        return [
+            ...blocks,
+            ...getActiveLayerNames()
+                .filter(layerName => !blocks.some(block => block.layerName === layerName))
+                .map(layerName => getPointLegendBlock(layerName) || getQgisLegendBlock(layerName))
+                .filter(Boolean)
+        ];
+    }
+
+    function getLegendClassLabel(breaks, index, classCount) {
+        const minVal = breaks[index];
+        const maxVal = breaks[index + 1];
+
+        if (minVal === maxVal) {
+            return formatBreak(minVal);
+        } else if (index === classCount - 1) {
+            return `${formatBreak(minVal)} – ${formatBreak(maxVal)}`;
+        }
+        return `${formatBreak(minVal)} – < ${formatBreak(maxVal)}`;
+    }
 
-        let html = `<div class="legend-title">${attributeLabel}</div>`;
+    function renderLegendBlock(attributeLabel, breaks, colors, details = {}) {
+        const counts = details.counts || [];
+
+        let html = `<div class="legend-block"><div class="legend-title">${escapeXml(attributeLabel)}</div>`;
+        if (details.method) {
+            html += `<div class="legend-method">${details.method} · ${colors.length} classes${details.ramp ? ` · ${details.ramp}` : ''}</div>`;
+        }
         html += '<div class="legend-classes">';
 
         for (let i = 0; i < colors.length; i++) {
-            const minVal = breaks[i];
-            const maxVal = breaks[i + 1];
-
-            let label;
-            if (minVal === maxVal) {
-                label = minVal.toLocaleString('pt-BR');
-            } else {
-                label = `${minVal.toLocaleString('pt-BR')} - ${maxVal.toLocaleString('pt-BR')}`;
-            }
+            const label = details.labels ? escapeXml(details.labels[i]) : getLegendClassLabel(breaks, i, colors.length);
 
             html += `
             <div class="legend-class-item">
                 <div class="legend-color-box" style="background-color: ${colors[i]}"></div>
                 <span class="legend-label">${label}</span>
+                ${counts.length ? `<span class="legend-count">${counts[i]}</span>` : ''}
+            </div>
+        `;
+        }
+
+        if (details.noDataCount) {
+            html += `
+            <div class="legend-class-item">
+                <div class="legend-color-box" style="background-color: #cccccc"></div>
+                <span class="legend-label">Sem dados</span>
+                <span class="legend-count">${details.noDataCount}</span>
             </div>
         `;
         }
 
-        html += '</div>';
-        legendContent.innerHTML = html;
+        html += '</div></div>';
+        return html;
     }
 
     // ==================== Thematic Mapping Event Listeners ====================
@@ -756,6 +8560,14 @@ function resetHighlight(e) {
         const thematicSelect = document.getElementById('thematicAttributeSelect');
         const applyBtn = document.getElementById('applyThematicBtn');
         const resetBtn = document.getElementById('resetThematicBtn');
+        const layerSelect = document.getElementById('thematicLayerSelect');
+        const panelState = () => getThematicState(thematicLayerName);
+
+        // Switch the layer edited in the panel
+        layerSelect.addEventListener('change', (e) => {
+            thematicLayerName = e.target.value;
+            syncThematicPanel();
+        });
 
         // Enable/disable apply button based on selection
         thematicSelect.addEventListener('change', (e) => {
@@ -763,7 +8575,7 @@ function resetHighlight(e) {
                 applyBtn.disabled = false;
             } else {
                 applyBtn.disabled = true;
-                resetThematicMapping();
+                resetThematicMapping(thematicLayerName);
             }
         });
 
@@ -772,14 +8584,121 @@ function resetHighlight(e) {
             const selectedValue = thematicSelect.value;
             const selectedText = thematicSelect.options[thematicSelect.selectedIndex].text;
 
-            if (selectedValue) {
-                applyThematicMapping(selectedValue, selectedText);
+            if (selectedValue && thematicLayerName) {
+                applyThematicMapping(thematicLayerName, selectedValue, selectedText);
             }
         });
 
         // Reset thematic mapping
         resetBtn.addEventListener('click', () => {
-            resetThematicMapping();
+            resetThematicMapping(thematicLayerName);
+        });
+
+        // Classification method and class count
+        const methodSelect = document.getElementById('classMethodSelect');
+        const classCountInput = document.getElementById('classCountInput');
+        const manualBreaksInput = document.getElementById('manualBreaksInput');
+
+        const reapplyIfActive = () => {
+            if (thematicLayerName && panelState().attribute) {
+                applyThematicMapping(thematicLayerName, panelState().attribute, panelState().label);
+            }
+        };
+
+        methodSelect.addEventListener('change', (e) => {
+            panelState().method = e.target.value;
+            document.getElementById('manualBreaksContainer').style.display = panelState().method === 'manual' ? 'flex' : 'none';
+            classCountInput.disabled = panelState().method === 'manual';
+            if (panelState().method !== 'manual' || panelState().manualBreaks.length > 0) {
+                reapplyIfActive();
+            }
+        });
+
+        classCountInput.addEventListener('change', (e) => {
+            const count = Math.min(MAX_CLASSES, Math.max(MIN_CLASSES, parseInt(e.target.value) || 5));
+            e.target.value = count;
+            panelState().numClasses = count;
+            updateRampPreview();
+            reapplyIfActive();
+        });
+
+        manualBreaksInput.addEventListener('change', (e) => {
+            panelState().manualBreaks = parseManualBreaks(e.target.value);
+            reapplyIfActive();
+        });
+
+        // Normalization by another field
+        const normalizeSelect = document.getElementById('normalizeSelect');
+        const normalizeModeSelect = document.getElementById('normalizeModeSelect');
+
+        normalizeSelect.addEventListener('change', (e) => {
+            panelState().normalizeBy = e.target.value || null;
+            normalizeModeSelect.disabled = !e.target.value;
+            reapplyIfActive();
+        });
+
+        normalizeModeSelect.addEventListener('change', (e) => {
+            panelState().normalizeMode = e.target.value;
+            reapplyIfActive();
+        });
+
+        // Custom indicators
+        renderCustomIndicatorList();
+
+        document.getElementById('addIndicatorBtn').addEventListener('click', () => {
+            const nameInput = document.getElementById('indicatorNameInput');
+            const expressionInput = document.getElementById('indicatorExpressionInput');
+            const unitInput = document.getElementById('indicatorUnitInput');
+            const name = nameInput.value.trim();
+            const expression = expressionInput.value.trim();
+
+            if (!name || !expression) {
+                notify('Informe o nome e a expressão do indicador.', 'warning');
+                return;
+            }
+
+            try {
+                const indicator = addCustomIndicator(name, expression, unitInput.value.trim());
+                nameInput.value = '';
+                expressionInput.value = '';
+                unitInput.value = '';
+                renderCustomIndicatorList();
+                syncThematicPanel();
+
+                if (thematicLayerName && !getLayerIndicators(thematicLayerName).includes(indicator)) {
+                    notify('Indicador criado, mas a camada selecionada não possui todos os campos usados na expressão.', 'warning');
+                }
+            } catch (error) {
+                notify(`Expressão inválida: ${error.message}`, 'error');
+            }
+        });
+
+        // Color ramp
+        const rampSelect = document.getElementById('colorRampSelect');
+        const reverseRampInput = document.getElementById('reverseRampInput');
+        const colorblindOnlyInput = document.getElementById('colorblindOnlyInput');
+
+        buildColorRampSelect(rampSelect, 'YlOrRd', false);
+
+        rampSelect.addEventListener('change', (e) => {
+            panelState().ramp = e.target.value;
+            updateRampPreview();
+            reapplyIfActive();
+        });
+
+        reverseRampInput.addEventListener('change', (e) => {
+            panelState().reversed = e.target.checked;
+            updateRampPreview();
+            reapplyIfActive();
+        });
+
+        colorblindOnlyInput.addEventListener('change', (e) => {
+            buildColorRampSelect(rampSelect, panelState().ramp, e.target.checked);
+            if (rampSelect.value !== panelState().ramp) {
+                panelState().ramp = rampSelect.value;
+                updateRampPreview();
+                reapplyIfActive();
+            }
         });
     });
 
@@ -794,12 +8713,17 @@ function resetHighlight(e) {
     });
 
     // ==================== Error Handling ====================
+    // Errors without an Error object (e.g. from the browser itself) are only logged
     window.addEventListener('error', (e) => {
         console.error('Application error:', e.error);
         hideLoading();
+        if (e.error) {
+            notify('Ocorreu um erro inesperado.', 'error', { detail: e.error.message });
+        }
     });
 
     window.addEventListener('unhandledrejection', (e) => {
         console.error('Unhandled promise rejection:', e.reason);
         hideLoading();
+        notify('Ocorreu um erro inesperado.', 'error', { detail: e.reason?.message || String(e.reason) });
     });
@@ -0,0 +1,358 @@
+// Geodata routines shared by app.js and layer-worker.js: reference systems,
+// reprojection to WGS84, geometry checks and the simplification drawn at low zooms.
+// Loaded as a plain script by the page and through importScripts by the worker,
+// so it only relies on proj4.
+
+// proj4 definitions for the reference systems found in municipal and survey data.
+// SAD69 entries use the IBGE transformation parameters to SIRGAS 2000.
+const PROJ_DEFS = {
+    'EPSG:4674': '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+    'EPSG:31982': '+proj=utm +zone=22 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+    'EPSG:31983': '+proj=utm +zone=23 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+    'EPSG:31984': '+proj=utm +zone=24 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+    'EPSG:4618': '+proj=longlat +ellps=aust_SA +towgs84=-67.35,3.88,-38.22,0,0,0,0 +no_defs',
+    'EPSG:29192': '+proj=utm +zone=22 +south +ellps=aust_SA +towgs84=-67.35,3.88,-38.22,0,0,0,0 +units=m +no_defs',
+    'EPSG:29193': '+proj=utm +zone=23 +south +ellps=aust_SA +towgs84=-67.35,3.88,-38.22,0,0,0,0 +units=m +no_defs',
+    'EPSG:29194': '+proj=utm +zone=24 +south +ellps=aust_SA +towgs84=-67.35,3.88,-38.22,0,0,0,0 +units=m +no_defs'
+};
+
+// ==================== Coordinate Reference Systems ====================
+// CRS codes that share WGS84 coordinates closely enough to skip transformation
+const WGS84_EQUIVALENT_CRS = new Set(['EPSG:4326', 'EPSG:4674', 'CRS:84']);
+
+function registerProjections() {
+    for (const [code, definition] of Object.entries(PROJ_DEFS)) {
+        proj4.defs(code, definition);
+    }
+}
+
+// Normalize the identifiers used in GeoJSON crs members, e.g.
+// urn:ogc:def:crs:EPSG::4674, EPSG:31983, http://www.opengis.net/def/crs/EPSG/0/4326
+function normalizeCrsName(name) {
+    if (!name) return null;
+
+    if (/CRS84$/i.test(name)) {
+        return 'CRS:84';
+    }
+
+    const match = String(name).match(/EPSG(?::+|\/\d+\/)(\d+)$/i);
+    return match ? `EPSG:${match[1]}` : null;
+}
+
+// projectedCrs is assumed for files without a crs member whose coordinates are projected
+function detectCrs(geojsonData, projectedCrs) {
+    const declared = geojsonData.crs?.properties?.name;
+    if (declared) {
+        const crs = normalizeCrsName(declared);
+        if (!crs) {
+            throw new Error(`Sistema de referência não reconhecido: ${declared}`);
+        }
+        return crs;
+    }
+
+    // No crs member: GeoJSON defaults to WGS84, unless coordinates are clearly projected
+    const firstCoord = getFirstCoordinate(geojsonData);
+    if (firstCoord && (Math.abs(firstCoord[0]) > 180 || Math.abs(firstCoord[1]) > 90)) {
+        console.warn(`Projected coordinates without crs member, assuming ${projectedCrs}`);
+        return projectedCrs;
+    }
+
+    return 'EPSG:4326';
+}
+
+function getFirstCoordinate(geojsonData) {
+    for (const feature of geojsonData.features || []) {
+        let geometry = feature.geometry;
+        while (geometry && geometry.type === 'GeometryCollection') {
+            geometry = geometry.geometries[0];
+        }
+
+        let coords = geometry?.coordinates;
+        while (Array.isArray(coords) && Array.isArray(coords[0])) {
+            coords = coords[0];
+        }
+
+        if (Array.isArray(coords) && coords.length >= 2) {
+            return coords;
+        }
+    }
+    return null;
+}
+
+function reprojectGeoJSON(geojsonData, sourceCrs, targetCrs = 'EPSG:4326') {
+    if (sourceCrs === targetCrs || (WGS84_EQUIVALENT_CRS.has(sourceCrs) && WGS84_EQUIVALENT_CRS.has(targetCrs))) {
+        delete geojsonData.crs;
+        return geojsonData;
+    }
+
+    if (!proj4.defs(sourceCrs)) {
+        throw new Error(`Sistema de referência sem definição proj4: ${sourceCrs}`);
+    }
+
+    console.log(`Reprojecting from ${sourceCrs} to ${targetCrs}...`);
+    const transform = proj4(sourceCrs === 'CRS:84' ? 'EPSG:4326' : sourceCrs, targetCrs);
+    const projectCoord = coord => {
+        const [x, y] = transform.forward([coord[0], coord[1]]);
+        return coord.length > 2 ? [x, y, ...coord.slice(2)] : [x, y];
+    };
+
+    (geojsonData.features || []).forEach(feature => {
+        feature.geometry = reprojectGeometry(feature.geometry, projectCoord);
+    });
+
+    delete geojsonData.crs;
+    console.log('Reprojection complete!');
+    return geojsonData;
+}
+
+function reprojectGeometry(geometry, projectCoord) {
+    if (!geometry) return geometry;
+
+    switch (geometry.type) {
+        case 'Point':
+            return { ...geometry, coordinates: projectCoord(geometry.coordinates) };
+        case 'MultiPoint':
+        case 'LineString':
+            return { ...geometry, coordinates: geometry.coordinates.map(projectCoord) };
+        case 'MultiLineString':
+        case 'Polygon':
+            return { ...geometry, coordinates: geometry.coordinates.map(line => line.map(projectCoord)) };
+        case 'MultiPolygon':
+            return {
+                ...geometry,
+                coordinates: geometry.coordinates.map(polygon => polygon.map(ring => ring.map(projectCoord)))
+            };
+        case 'GeometryCollection':
+            return { ...geometry, geometries: geometry.geometries.map(g => reprojectGeometry(g, projectCoord)) };
+        default:
+            throw new Error(`Tipo de geometria não suportado: ${geometry.type}`);
+    }
+}
+
+// ==================== Geometry Simplification ====================
+// Large layers get simplified copies of their geometries for the zoom levels
+// below, each within SIMPLIFY_PIXEL_TOLERANCE screen pixels of the original
+// up to that zoom; past the last one the original geometry is drawn
+const SIMPLIFY_MAX_ZOOMS = [11, 13, 15];
+const SIMPLIFY_PIXEL_TOLERANCE = 0.75;
+
+// Degrees spanned by the tolerance at a Web Mercator zoom level
+function getSimplifyTolerance(zoom) {
+    return SIMPLIFY_PIXEL_TOLERANCE * 360 / (256 * Math.pow(2, zoom));
+}
+
+function countVertices(geojsonData) {
+    let count = 0;
+    const countCoords = coords => {
+        if (Array.isArray(coords[0])) {
+            coords.forEach(countCoords);
+        } else {
+            count++;
+        }
+    };
+    const countGeometry = geometry => {
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(countGeometry);
+        } else if (geometry.coordinates?.length) {
+            countCoords(geometry.coordinates);
+        }
+    };
+    (geojsonData.features || []).forEach(feature => countGeometry(feature.geometry));
+    return count;
+}
+
+function getSegmentSqDistance([x, y], [x1, y1], [x2, y2]) {
+    let dx = x2 - x1;
+    let dy = y2 - y1;
+    if (dx !== 0 || dy !== 0) {
+        const t = ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x1 = x2;
+            y1 = y2;
+        } else if (t > 0) {
+            x1 += dx * t;
+            y1 += dy * t;
+        }
+    }
+    dx = x - x1;
+    dy = y - y1;
+    return dx * dx + dy * dy;
+}
+
+// Douglas-Peucker on a line or ring; lines that would drop below minPoints
+// (2 for lines, 4 for closed rings) are kept whole
+function simplifyLine(points, tolerance, minPoints) {
+    if (points.length <= minPoints) return points;
+
+    const sqTolerance = tolerance * tolerance;
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        let maxSqDistance = 0;
+        let index = 0;
+        for (let i = first + 1; i < last; i++) {
+            const sqDistance = getSegmentSqDistance(points[i], points[first], points[last]);
+            if (sqDistance > maxSqDistance) {
+                index = i;
+                maxSqDistance = sqDistance;
+            }
+        }
+        if (maxSqDistance > sqTolerance) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    const simplified = points.filter((point, i) => keep[i]);
+    return simplified.length >= minPoints ? simplified : points;
+}
+
+// Points and geometry collections are returned as they are
+function simplifyGeometry(geometry, tolerance) {
+    switch (geometry?.type) {
+        case 'LineString':
+            return { ...geometry, coordinates: simplifyLine(geometry.coordinates, tolerance, 2) };
+        case 'MultiLineString':
+            return { ...geometry, coordinates: geometry.coordinates.map(line => simplifyLine(line, tolerance, 2)) };
+        case 'Polygon':
+            return { ...geometry, coordinates: geometry.coordinates.map(ring => simplifyLine(ring, tolerance, 4)) };
+        case 'MultiPolygon':
+            return {
+                ...geometry,
+                coordinates: geometry.coordinates.map(polygon => polygon.map(ring => simplifyLine(ring, tolerance, 4)))
+            };
+        default:
+            return geometry;
+    }
+}
+
+// One list of geometries per entry of SIMPLIFY_MAX_ZOOMS, aligned with the features.
+// Every level is simplified from the original, so errors don't add up between levels
+function getSimplifiedGeometries(geojsonData) {
+    const geometries = (geojsonData.features || []).map(feature => feature.geometry);
+    return SIMPLIFY_MAX_ZOOMS.map(zoom => {
+        const tolerance = getSimplifyTolerance(zoom);
+        return geometries.map(geometry => simplifyGeometry(geometry, tolerance));
+    });
+}
+
+// ==================== Geometry Validation ====================
+// Arrays to flatten before reaching the position lists (lines, rings, points) of each type
+const GEOMETRY_NESTING = { Point: 0, MultiPoint: 0, LineString: 0, MultiLineString: 1, Polygon: 1, MultiPolygon: 2 };
+
+// Geometry problems that cannot be drawn at all; the others are drawn as they are
+const UNUSABLE_GEOMETRY_PROBLEMS = ['empty', 'type', 'coordinates'];
+
+function isValidPosition(position) {
+    return Array.isArray(position) && position.length >= 2 && Number.isFinite(position[0]) && Number.isFinite(position[1]);
+}
+
+// 'empty', 'type', 'coordinates', 'line' (fewer than 2 positions), 'ring' (open or
+// fewer than 4 positions) or null for a valid geometry
+function getGeometryProblem(geometry) {
+    if (!geometry) return 'empty';
+    if (geometry.type === 'GeometryCollection') {
+        if (!geometry.geometries?.length) return 'empty';
+        return geometry.geometries.map(getGeometryProblem).find(Boolean) || null;
+    }
+    if (!(geometry.type in GEOMETRY_NESTING)) return 'type';
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) return 'empty';
+
+    let paths = geometry.type === 'Point' ? [[geometry.coordinates]] : [geometry.coordinates];
+    for (let i = 0; i < GEOMETRY_NESTING[geometry.type]; i++) {
+        paths = paths.flat();
+    }
+    if (!paths.every(path => Array.isArray(path) && path.length > 0 && path.every(isValidPosition))) return 'coordinates';
+
+    if (/LineString/.test(geometry.type) && paths.some(line => line.length < 2)) return 'line';
+    if (/Polygon/.test(geometry.type) && paths.some(ring => {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return ring.length < 4 || first[0] !== last[0] || first[1] !== last[1];
+    })) return 'ring';
+    return null;
+}
+
+// Feature indexes (in file order) by geometry problem. Geometries that cannot be
+// drawn are dropped, so the rest of the layer still loads and reprojects
+function checkGeometries(geojsonData) {
+    const problems = {};
+    (geojsonData.features || []).forEach((feature, index) => {
+        const problem = getGeometryProblem(feature.geometry);
+        if (!problem) return;
+
+        (problems[problem] = problems[problem] || []).push(index);
+        if (UNUSABLE_GEOMETRY_PROBLEMS.includes(problem)) {
+            feature.geometry = null;
+        }
+    });
+    return problems;
+}
+
+// [minX, minY, maxX, maxY] of a valid geometry
+function getGeometryBounds(geometry, bounds = [Infinity, Infinity, -Infinity, -Infinity]) {
+    const extend = coords => {
+        if (typeof coords[0] === 'number') {
+            bounds[0] = Math.min(bounds[0], coords[0]);
+            bounds[1] = Math.min(bounds[1], coords[1]);
+            bounds[2] = Math.max(bounds[2], coords[0]);
+            bounds[3] = Math.max(bounds[3], coords[1]);
+        } else {
+            coords.forEach(extend);
+        }
+    };
+
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(part => getGeometryBounds(part, bounds));
+    } else {
+        extend(geometry.coordinates);
+    }
+    return bounds;
+}
+
+// Indexes of the features lying entirely outside extent ([[south, west], [north, east]]
+// in WGS84), usually the sign of a wrong reference system
+function getFeaturesOutsideExtent(geojsonData, [[south, west], [north, east]]) {
+    const outside = [];
+    (geojsonData.features || []).forEach((feature, index) => {
+        if (!feature.geometry) return;
+
+        const [minX, minY, maxX, maxY] = getGeometryBounds(feature.geometry);
+        if (maxX < west || minX > east || maxY < south || minY > north) {
+            outside.push(index);
+        }
+    });
+    return outside;
+}
+
+// ==================== Layer Preparation ====================
+// Everything done to a registry file between download and display. Layers with
+// more than largeLayerVertices vertices are flagged large; the polygon and line
+// ones also get their simplified geometries. Features are checked against extent,
+// the area the data is expected to cover
+function prepareLayerData(geojsonData, { crs, defaultProjectedCrs, largeLayerVertices, extent }) {
+    const declaredCrs = normalizeCrsName(geojsonData.crs?.properties?.name);
+    const sourceCrs = crs || detectCrs(geojsonData, defaultProjectedCrs);
+    const geometryProblems = checkGeometries(geojsonData);
+    reprojectGeoJSON(geojsonData, sourceCrs);
+
+    const large = countVertices(geojsonData) > largeLayerVertices;
+    const hasShapes = (geojsonData.features || []).some(feature => /LineString|Polygon/.test(feature.geometry?.type));
+    return {
+        geojsonData,
+        large,
+        simplified: large && hasShapes ? getSimplifiedGeometries(geojsonData) : null,
+        // Read by the validation report (see Data Validation in app.js)
+        validation: {
+            crs: sourceCrs,
+            declaredCrs,
+            assumedCrs: !crs && !declaredCrs && sourceCrs !== 'EPSG:4326',
+            geometryProblems,
+            outsideExtent: extent ? getFeaturesOutsideExtent(geojsonData, extent) : []
+        }
+    };
+}
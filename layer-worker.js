@@ -0,0 +1,22 @@
+// Web Worker that prepares registry layers off the main thread: download, JSON
+// parsing, geometry checks, reprojection to WGS84 and simplification (see prepareLayerData).
+// Requests come from readLayerFile in app.js, answers carry the same id.
+importScripts('https://cdnjs.cloudflare.com/ajax/libs/proj4js/2.9.0/proj4.js', 'geodata.js');
+
+registerProjections();
+
+self.addEventListener('message', async (event) => {
+    const { id, file, options } = event.data;
+
+    try {
+        const response = await fetch(file);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const result = prepareLayerData(await response.json(), options);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,120 @@
+// Service worker of the geoportal: keeps the app shell, the layer files and the
+// basemap tiles downloaded in "Uso offline" available without a connection.
+// Cache names are shared with the Offline section of app.js.
+const SHELL_CACHE = 'geoportal-japeri-shell-v3';
+const DATA_CACHE = 'geoportal-japeri-data';
+const TILE_CACHE = 'geoportal-japeri-tiles';
+
+// Slow responses fall back to the cache, as on the weak signal of rural sectors;
+// without a cached copy the network is awaited however long it takes
+const NETWORK_TIMEOUT = 4000;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'geodata.js',
+    'layer-worker.js',
+    'app.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    'https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/proj4js/2.9.0/proj4.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/proj4leaflet/1.0.2/proj4leaflet.min.js',
+    'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
+    'https://unpkg.com/@mapbox/shp-write@0.4.3/shpwrite.js',
+    'https://unpkg.com/@turf/turf@7.2.0/turf.min.js',
+    'https://unpkg.com/@tmcw/togeojson@7.1.2/dist/togeojson.umd.js',
+    'https://unpkg.com/shpjs@6.2.0/dist/shp.min.js',
+    'https://unpkg.com/jspdf@2.5.2/dist/jspdf.umd.min.js'
+];
+
+// Cross-origin hosts whose responses are kept with the shell (libraries and fonts)
+const SHELL_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Layer files and their QGIS sidecars
+const DATA_PATH = /\/data\/[^/]+\.(geojson|json|qml|qmd)$/i;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shells of previous versions; data and tiles are managed by the page
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('geoportal-japeri-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && DATA_PATH.test(url.pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if ((sameOrigin && !url.search) || SHELL_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(cachedTileOrNetwork(request));
+    }
+    // Everything else (OGC requests, other services) goes straight to the network
+});
+
+// The date a response was stored, read back by the page to show how old the data is
+async function withTimestamp(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+function fetchWithTimeout(request) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT);
+        fetch(request).then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
+
+async function networkFirst(request, cacheName) {
+    const cached = await caches.match(request, { ignoreVary: true });
+    try {
+        const response = await (cached ? fetchWithTimeout(request) : fetch(request));
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, await withTimestamp(response.clone()));
+        } else if (response.type === 'opaque') {
+            // Scripts and fonts from the CDNs are requested without CORS, so they are stored as they come
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (cached) return cached;
+
+        // Offline navigation to any page of the app opens the cached shell
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html', { ignoreVary: true });
+            if (shell) return shell;
+        }
+        return Response.error();
+    }
+}
+
+async function cachedTileOrNetwork(request) {
+    const cache = await caches.open(TILE_CACHE);
+    return (await cache.match(request, { ignoreVary: true })) || fetch(request);
+}
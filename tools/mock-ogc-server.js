@@ -0,0 +1,388 @@
+// Local stand-in for the OGC services consumed by the geoportal, for trying the
+// "Adicionar serviço" dialog without reaching INEA or IBGE servers.
+//
+//   node tools/mock-ogc-server.js [port]
+//
+// Serves the app itself on http://localhost:8090/ plus:
+//   /wms                  WMS 1.3.0: GetCapabilities, GetMap (PNG) and GetFeatureInfo
+//                         (application/json, text/html or text/plain)
+//   /wfs                  WFS 1.1.0 / 2.0.0: GetCapabilities and GetFeature (GeoJSON, bbox filter)
+//   /xyz/{z}/{x}/{y}.png  checkerboard tiles for custom basemaps
+//
+// Every service publishes the same synthetic grid of blocks over Japeri, so a
+// block drawn by GetMap is the one returned by GetFeatureInfo and GetFeature.
+// Only Node built-ins are used.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const PORT = Number(process.argv[2]) || 8090;
+const ROOT = path.resolve(__dirname, '..');
+const EARTH_RADIUS = 6378137;
+
+// Grid of blocks covering the municipality, in WGS84
+const GRID = { west: -43.72, south: -22.70, size: 0.02, columns: 7, rows: 6 };
+const LAYERS = {
+    'mock:quadras': { title: 'Quadras de teste', queryable: true, color: [102, 126, 234] },
+    'mock:destaque': { title: 'Quadras com valor acima de 50', queryable: false, color: [245, 87, 108] }
+};
+const STYLES = { preenchido: 'Preenchimento', contorno: 'Somente contorno' };
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.geojson': 'application/geo+json',
+    '.png': 'image/png',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml'
+};
+
+function getCell(column, row) {
+    const round = value => Number(value.toFixed(6));
+    const west = GRID.west + column * GRID.size;
+    const south = GRID.south + row * GRID.size;
+    return {
+        id: `Q${row + 1}${column + 1}`,
+        column,
+        row,
+        bbox: [west, south, west + GRID.size, south + GRID.size].map(round),
+        valor: (column * 37 + row * 53) % 100
+    };
+}
+
+function getCells() {
+    const cells = [];
+    for (let row = 0; row < GRID.rows; row++) {
+        for (let column = 0; column < GRID.columns; column++) {
+            cells.push(getCell(column, row));
+        }
+    }
+    return cells;
+}
+
+function findCell(lon, lat) {
+    const column = Math.floor((lon - GRID.west) / GRID.size);
+    const row = Math.floor((lat - GRID.south) / GRID.size);
+    if (column < 0 || row < 0 || column >= GRID.columns || row >= GRID.rows) return null;
+    return getCell(column, row);
+}
+
+function isCellInLayer(cell, layerName) {
+    return layerName !== 'mock:destaque' || cell.valor > 50;
+}
+
+function cellToFeature(cell, layerName) {
+    const [west, south, east, north] = cell.bbox;
+    return {
+        type: 'Feature',
+        id: `${layerName.split(':')[1]}.${cell.id}`,
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        },
+        properties: { nome: `Quadra ${cell.id}`, linha: cell.row + 1, coluna: cell.column + 1, valor: cell.valor }
+    };
+}
+
+function mercatorToLonLat(x, y) {
+    return [
+        x / EARTH_RADIUS * 180 / Math.PI,
+        (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * 180 / Math.PI
+    ];
+}
+
+// Pixel (i, j) of a WIDTH x HEIGHT image covering bbox, in the request CRS
+function pixelToLonLat(params, i, j) {
+    const [minX, minY, maxX, maxY] = params.BBOX.split(',').map(Number);
+    const width = Number(params.WIDTH);
+    const height = Number(params.HEIGHT);
+    const x = minX + (i + 0.5) / width * (maxX - minX);
+    const y = maxY - (j + 0.5) / height * (maxY - minY);
+    const crs = params.CRS || params.SRS || 'EPSG:3857';
+
+    if (/3857|900913/.test(crs)) return mercatorToLonLat(x, y);
+    // WMS 1.3.0 uses lat/lon axis order for EPSG:4326
+    return crs === 'EPSG:4326' && params.VERSION === '1.3.0' ? [y, x] : [x, y];
+}
+
+// ==================== PNG encoding ====================
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// pixel(i, j) returns [r, g, b, a]
+function encodePng(width, height, pixel) {
+    const raw = Buffer.alloc((width * 4 + 1) * height);
+    for (let j = 0; j < height; j++) {
+        const rowStart = j * (width * 4 + 1);
+        for (let i = 0; i < width; i++) {
+            raw.set(pixel(i, j), rowStart + 1 + i * 4);
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// ==================== WMS ====================
+function wmsCapabilities(baseUrl) {
+    const styles = Object.entries(STYLES)
+        .map(([name, title]) => `<Style><Name>${name}</Name><Title>${title}</Title></Style>`)
+        .join('');
+    const layers = Object.entries(LAYERS).map(([name, layer]) => `
+            <Layer queryable="${layer.queryable ? 1 : 0}">
+                <Name>${name}</Name>
+                <Title>${layer.title}</Title>
+                <CRS>EPSG:3857</CRS>
+                <EX_GeographicBoundingBox>
+                    <westBoundLongitude>${GRID.west}</westBoundLongitude>
+                    <eastBoundLongitude>${GRID.west + GRID.columns * GRID.size}</eastBoundLongitude>
+                    <southBoundLatitude>${GRID.south}</southBoundLatitude>
+                    <northBoundLatitude>${GRID.south + GRID.rows * GRID.size}</northBoundLatitude>
+                </EX_GeographicBoundingBox>
+                ${styles}
+            </Layer>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink">
+    <Service><Name>WMS</Name><Title>Mock WMS</Title></Service>
+    <Capability>
+        <Request>
+            <GetCapabilities><Format>text/xml</Format></GetCapabilities>
+            <GetMap>
+                <Format>image/png</Format>
+                <DCPType><HTTP><Get><OnlineResource xlink:href="${baseUrl}"/></Get></HTTP></DCPType>
+            </GetMap>
+            <GetFeatureInfo>
+                <Format>application/json</Format>
+                <Format>text/html</Format>
+                <Format>text/plain</Format>
+            </GetFeatureInfo>
+        </Request>
+        <Layer>
+            <Title>Mock</Title>
+            <CRS>EPSG:3857</CRS>
+            <CRS>EPSG:4326</CRS>${layers}
+        </Layer>
+    </Capability>
+</WMS_Capabilities>`;
+}
+
+function wmsGetMap(params) {
+    const layerNames = (params.LAYERS || '').split(',');
+    const styles = (params.STYLES || '').split(',');
+    const width = Math.min(Number(params.WIDTH) || 256, 2048);
+    const height = Math.min(Number(params.HEIGHT) || 256, 2048);
+    const [minX, minY, maxX, maxY] = params.BBOX.split(',').map(Number);
+    const edge = Math.max((maxX - minX) / width, (maxY - minY) / height) * 1.5;
+
+    return encodePng(width, height, (i, j) => {
+        const [lon, lat] = pixelToLonLat({ ...params, WIDTH: width, HEIGHT: height }, i, j);
+        const cell = findCell(lon, lat);
+        if (!cell) return [0, 0, 0, 0];
+
+        for (let index = layerNames.length - 1; index >= 0; index--) {
+            const layer = LAYERS[layerNames[index]];
+            if (!layer || !isCellInLayer(cell, layerNames[index])) continue;
+
+            // Border width in degrees, from the mercator pixel size near the equator
+            const border = /3857|900913/.test(params.CRS || params.SRS) ? edge / 111320 : edge;
+            const [west, south, east, north] = cell.bbox;
+            const onBorder = lon - west < border || east - lon < border || lat - south < border || north - lat < border;
+            if (onBorder) return [...layer.color, 255];
+            if (styles[index] !== 'contorno') return [...layer.color, 60 + cell.valor];
+        }
+        return [0, 0, 0, 0];
+    });
+}
+
+function wmsGetFeatureInfo(params) {
+    const i = Number(params.I ?? params.X);
+    const j = Number(params.J ?? params.Y);
+    const [lon, lat] = pixelToLonLat(params, i, j);
+    const cell = findCell(lon, lat);
+    const layerNames = (params.QUERY_LAYERS || '').split(',').filter(name => LAYERS[name]?.queryable);
+    const features = cell ? layerNames.filter(name => isCellInLayer(cell, name)).map(name => cellToFeature(cell, name)) : [];
+    const format = params.INFO_FORMAT || 'text/plain';
+
+    if (/json/.test(format)) {
+        return { type: 'application/json', body: JSON.stringify({ type: 'FeatureCollection', features }) };
+    }
+    if (format === 'text/html') {
+        const rows = features.map(feature => `<tr><td>${feature.properties.nome}</td><td>${feature.properties.valor}</td></tr>`);
+        return {
+            type: 'text/html; charset=utf-8',
+            body: `<html><body>${rows.length ? `<table><tr><th>Nome</th><th>Valor</th></tr>${rows.join('')}</table>` : ''}</body></html>`
+        };
+    }
+    return {
+        type: 'text/plain; charset=utf-8',
+        body: features.length ? features.map(feature => `${feature.id}: valor = ${feature.properties.valor}`).join('\n') : 'no features were found'
+    };
+}
+
+// ==================== WFS ====================
+function wfsCapabilities(version) {
+    const types = Object.entries(LAYERS).map(([name, layer]) => `
+        <FeatureType>
+            <Name>${name}</Name>
+            <Title>${layer.title}</Title>
+            <DefaultSRS>urn:ogc:def:crs:EPSG::4326</DefaultSRS>
+        </FeatureType>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<wfs:WFS_Capabilities version="${version}" xmlns:wfs="http://www.opengis.net/wfs" xmlns:ows="http://www.opengis.net/ows">
+    <ows:ServiceIdentification><ows:Title>Mock WFS</ows:Title></ows:ServiceIdentification>
+    <FeatureTypeList>${types}
+    </FeatureTypeList>
+</wfs:WFS_Capabilities>`;
+}
+
+function wfsGetFeature(params) {
+    const layerName = params.TYPENAMES || params.TYPENAME;
+    if (!LAYERS[layerName]) return null;
+
+    const limit = Number(params.COUNT || params.MAXFEATURES) || Infinity;
+    let features = getCells().filter(cell => isCellInLayer(cell, layerName));
+
+    if (params.BBOX) {
+        const parts = params.BBOX.split(',');
+        let [minX, minY, maxX, maxY] = parts.slice(0, 4).map(Number);
+        // WFS 2.0 with the URN form of EPSG:4326 uses lat/lon axis order
+        if (/^urn:ogc:def:crs:EPSG::4326$/.test(parts[4] || '')) {
+            [minX, minY, maxX, maxY] = [minY, minX, maxY, maxX];
+        }
+        features = features.filter(({ bbox }) => bbox[0] <= maxX && bbox[2] >= minX && bbox[1] <= maxY && bbox[3] >= minY);
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: features.slice(0, limit).map(cell => cellToFeature(cell, layerName))
+    };
+}
+
+// ==================== XYZ ====================
+function xyzTile(z, x, y) {
+    const light = (x + y) % 2 === 0;
+    return encodePng(256, 256, (i, j) => {
+        if (i < 2 || j < 2) return [60, 60, 80, 255];
+        return light ? [230, 232, 240, 255] : [200, 205, 225, 255];
+    });
+}
+
+// ==================== Server ====================
+function getParams(url) {
+    // OGC parameter names are case-insensitive
+    return Object.fromEntries([...url.searchParams].map(([key, value]) => [key.toUpperCase(), value]));
+}
+
+function send(res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': type, 'Access-Control-Allow-Origin': '*' });
+    res.end(body);
+}
+
+function sendException(res, message) {
+    send(res, 200, 'text/xml', `<?xml version="1.0" encoding="UTF-8"?>
+<ServiceExceptionReport version="1.3.0"><ServiceException>${message}</ServiceException></ServiceExceptionReport>`);
+}
+
+function serveStatic(res, pathname) {
+    const filePath = path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        send(res, 403, 'text/plain', 'Forbidden');
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            send(res, 404, 'text/plain', 'Not found');
+            return;
+        }
+        send(res, 200, MIME_TYPES[path.extname(filePath)] || 'application/octet-stream', data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const params = getParams(url);
+    const request = (params.REQUEST || '').toLowerCase();
+    console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    try {
+        if (url.pathname === '/wms') {
+            if (request === 'getcapabilities') {
+                send(res, 200, 'text/xml', wmsCapabilities(`${url.origin}/wms`));
+            } else if (request === 'getmap') {
+                send(res, 200, 'image/png', wmsGetMap(params));
+            } else if (request === 'getfeatureinfo') {
+                const info = wmsGetFeatureInfo(params);
+                send(res, 200, info.type, info.body);
+            } else {
+                sendException(res, `Unsupported request: ${params.REQUEST}`);
+            }
+            return;
+        }
+
+        if (url.pathname === '/wfs') {
+            if (request === 'getcapabilities') {
+                send(res, 200, 'text/xml', wfsCapabilities(params.VERSION || '1.1.0'));
+            } else if (request === 'getfeature') {
+                const collection = wfsGetFeature(params);
+                if (!collection) {
+                    sendException(res, `Unknown feature type: ${params.TYPENAMES || params.TYPENAME}`);
+                } else {
+                    send(res, 200, 'application/json', JSON.stringify(collection));
+                }
+            } else {
+                sendException(res, `Unsupported request: ${params.REQUEST}`);
+            }
+            return;
+        }
+
+        const tile = url.pathname.match(/^\/xyz\/(\d+)\/(\d+)\/(\d+)\.png$/);
+        if (tile) {
+            send(res, 200, 'image/png', xyzTile(...tile.slice(1).map(Number)));
+            return;
+        }
+
+        serveStatic(res, url.pathname);
+    } catch (error) {
+        console.error(error);
+        send(res, 500, 'text/plain', error.message);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Geoportal and mock OGC services on http://localhost:${PORT}/`);
+    console.log(`  WMS  http://localhost:${PORT}/wms`);
+    console.log(`  WFS  http://localhost:${PORT}/wfs`);
+    console.log(`  XYZ  http://localhost:${PORT}/xyz/{z}/{x}/{y}.png`);
+});